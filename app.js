@@ -8,30 +8,65 @@
   // ── State ──────────────────────────────────────────
   const state = {
     name: '',
+    identity: '', // optional id or email for the single preview
+    colorSpace: 'hsl',
     saturation: 65,
     lightness: 45,
+    darkSaturation: 55, // the dark theme's variants
+    darkLightness: 60,
+    lightSurface: '#ffffff', // what avatars sit on per theme
+    darkSurface: '#1e293b',
     fontSize: 40,
     letterSpacing: 0,
     fontWeight: 600,
+    fontFamily: '', // '' = the system font; else an installed or uploaded family
+    sizeRules: [], // { size, fontSize, letterSpacing, fontWeight } in px at that size
     useFullNameColor: false,
+    identityKey: '', // '' (name) | 'id' | 'email' | 'email-normalized'
+    hashStrategy: 'cyrb53',
+    hashCompare: false,
     limitedPalette: false,
+    useCustomPalette: false,
+    customPalette: [
+      { hex: '#1d3557' }, { hex: '#457b9d' }, { hex: '#2a9d8f' }, { hex: '#e9c46a' },
+      { hex: '#f4a261' }, { hex: '#e76f51' }, { hex: '#9d4edd' }, { hex: '#6d6875' },
+    ],
+    paletteName: '',
+    distinctColors: false,
     darkMode: false,
+    nameLocale: 'default',
+    initialsCount: 0, // 0 = the profile's count
+    particleRules: [], // { particle, action } overrides of the profile
+    contrastAlgorithm: 'wcag2',
     contrastLevel: 4.5,
     forceAAA: false,
-    dataset: [],
+    variant: 'filled', // 'filled' | 'soft' | 'outline'
+    textStrategy: 'black-white', // 'black-white' | 'tinted' | 'custom'
+    textColors: { dark: '#1f2937', light: '#f9fafb' }, // pair for the custom strategy
+    cvdMode: 'none',
+    dataset: [], // { name, id, email } records
+    tokenFormat: 'json',
+    imageFormat: 'svg',
+    imageSize: 128,
+    serviceUrl: 'http://localhost:8787', // where avatar-server.js runs
   };
 
   // ── DOM refs ───────────────────────────────────────
   const $ = (sel) => document.querySelector(sel);
   const nameInput = $('#name-input');
   const avatarPreview = $('#avatar-preview');
-  const avatarInitialsEl = $('#avatar-initials');
   const metaInitials = $('#meta-initials');
+  const metaInitialsRule = $('#meta-initials-rule');
   const metaHex = $('#meta-hex');
-  const metaHsl = $('#meta-hsl');
+  const metaColor = $('#meta-color');
+  const metaBackground = $('#meta-background');
   const metaTextColor = $('#meta-text-color');
+  const metaSurface = $('#meta-surface');
   const metaContrast = $('#meta-contrast');
+  const metaApca = $('#meta-apca');
   const metaWcag = $('#meta-wcag');
+  const metaAdjustment = $('#meta-adjustment');
+  const metaFit = $('#meta-fit');
   const gridEl = $('#avatar-grid');
   const gridCount = $('#grid-count');
   const listEl = $('#avatar-list');
@@ -39,311 +74,680 @@
   const tooltip = $('#grid-tooltip');
   const hueCanvas = $('#hue-wheel');
   const distWarnings = $('#distribution-warnings');
+  const histogramCanvas = $('#hue-histogram');
+  const reportTable = $('#distribution-report');
+
+  // ── Avatar engine ─────────────────────────────────
+  // All initials/color logic lives in avatar-engine.js so product code can
+  // reuse the exact algorithm. The engine is rebuilt from state per render.
+  const {
+    createAvatarEngine, resolveOptions, slugify, spaceToRgb, rgbToHex, hexToRgb, normalizeHex,
+    parsePalette, computeEntryColor, linearRgbToOklab, rgbToLinear, MAX_CHROMA,
+    CVD_TYPES, simulateCvdHex, cvdCollisions, NAME_PROFILES, HASH_STRATEGIES,
+    rgbToLab, deltaE2000, SURFACE_CONTRAST,
+  } = window.AvatarEngine;
+  let engine = createAvatarEngine(engineOptions());
+
+  // ── Language ──────────────────────────────────────
+  // Every UI string comes from the catalogues in locales/; the choice is a
+  // personal preference, so it is kept apart from presets and the link
+  const { t, errorText } = window.I18n;
+  const LANGUAGE_STORAGE_KEY = 'avatar-playground.language';
+
+  function initialLanguage() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (err) {
+      // Private mode: follow the browser
+    }
+    if (stored && I18n.has(stored)) return stored;
+    return I18n.negotiate(navigator.languages || [navigator.language]);
+  }
 
-  // ── Initials extraction ────────────────────────────
-  const PREFIXES = new Set([
-    'van', 'de', 'der', 'den', 'het', 'ter', 'ten', 'te',
-    'la', 'le', 'les', 'du', 'des', 'von', 'zu', 'di', 'da', 'del', 'della',
-    'el', 'al', 'bin', 'ibn',
-  ]);
+  function populateLanguages() {
+    $('#select-language').innerHTML = I18n.languages()
+      .map(({ code, name }) => `<option value="${code}">${escapeHtml(name)}</option>`)
+      .join('');
+    $('#select-language').value = I18n.getLocale();
+  }
 
-  function getInitials(name) {
-    const trimmed = name.trim();
-    if (!trimmed) return '?';
+  // Static markup, then everything the code words itself
+  function applyLanguage(code) {
+    I18n.setLocale(code);
+    document.documentElement.lang = I18n.getLocale();
+    I18n.translateDom(document);
+    populateNameProfiles();
+    populateHashStrategies();
+    syncControls();
+    renderSavedPresets($('#select-preset').value);
+    distributionDrawn = null;
+    comparisonDrawn = null;
+    abDrawn = null;
+    migrationDrawn = null;
+    render();
+  }
 
-    const words = trimmed.split(/\s+/);
-    const significant = words.filter(
-      (w) => !PREFIXES.has(w.toLowerCase())
-    );
+  // The custom palette only reaches the engine while it is switched on.
+  // settings: the current state unless given (an A/B snapshot); the
+  // dataset is always the current one.
+  function engineOptions(settings) {
+    const from = settings || state;
+    return Object.assign({}, from, {
+      customPalette: from.useCustomPalette ? from.customPalette : null,
+      identityKey: from.identityKey || null,
+      assignmentGroup: from.distinctColors ? state.dataset : null,
+      surfaceColor: from.lightSurface,
+      darkTheme: { saturation: from.darkSaturation, lightness: from.darkLightness, surfaceColor: from.darkSurface },
+    });
+  }
 
-    // If all words were prefixes, use the original words
-    const source = significant.length > 0 ? significant : words;
-
-    if (source.length === 1) {
-      // Single word: take first character (handles unicode)
-      return getFirstChar(source[0]).toUpperCase();
-    }
-
-    // Multiple words: first char of first and last significant word
-    const first = getFirstChar(source[0]).toUpperCase();
-    const last = getFirstChar(source[source.length - 1]).toUpperCase();
-    return first + last;
-  }
-
-  function getFirstChar(str) {
-    // Handle surrogate pairs / combining marks
-    const segments = [...str];
-    return segments.length > 0 ? segments[0] : '?';
-  }
-
-  // ── Deterministic hashing ─────────────────────────
-  function hashString(str) {
-    // Simple but effective: cyrb53-like hash
-    let h1 = 0xdeadbeef;
-    let h2 = 0x41c6ce57;
-    for (let i = 0; i < str.length; i++) {
-      const ch = str.charCodeAt(i);
-      h1 = Math.imul(h1 ^ ch, 2654435761);
-      h2 = Math.imul(h2 ^ ch, 1597334677);
-    }
-    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
-    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
-    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
-    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
-    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
-  }
-
-  function nameToHue(name) {
-    const basis = state.useFullNameColor
-      ? name.trim().toLowerCase()
-      : getInitials(name);
-    const hash = hashString(basis);
-
-    if (state.limitedPalette) {
-      // 12 evenly spaced hues
-      const bucket = Math.abs(hash) % 12;
-      return bucket * 30;
-    }
-
-    return Math.abs(hash) % 360;
-  }
-
-  // ── Color utilities ────────────────────────────────
-  function hslToRgb(h, s, l) {
-    s /= 100;
-    l /= 100;
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-    const m = l - c / 2;
-    let r, g, b;
-    if (h < 60) { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
-    return [
-      Math.round((r + m) * 255),
-      Math.round((g + m) * 255),
-      Math.round((b + m) * 255),
-    ];
+  // person: a name or a { name, id, email } record. Gives the variant of
+  // the theme being shown.
+  function computeAvatar(person) {
+    return state.darkMode ? engine.computeDark(person) : engine.compute(person);
+  }
+
+  // The single preview's identity field can hold an id or an email
+  function previewPerson() {
+    const identity = state.identity.trim();
+    return { name: state.name, id: identity || null, email: identity || null };
+  }
+
+  // ── Contrast algorithm ────────────────────────────
+  // Level options per algorithm; the first listed is the default
+  const CONTRAST_LEVELS = {
+    wcag2: [[4.5, 'contrast.levelAa'], [7, 'contrast.levelAaa']],
+    apca: [[60, 'contrast.levelLc60'], [75, 'contrast.levelLc75'], [90, 'contrast.levelLc90']],
+  };
+
+  function levelTitle() {
+    return t(`contrast.levelTitle.${state.contrastAlgorithm}`);
+  }
+
+  // An engine contrast level (see wcagLevel/apcaLevel) in words
+  function levelLabel(level) {
+    return t(`level.${level.key}`, { target: level.target });
+  }
+
+  // Repopulates the level select and returns the selected level: `level`
+  // when the algorithm offers it, otherwise the algorithm's default
+  function updateContrastLevels(level) {
+    const select = $('#select-contrast-level');
+    const levels = CONTRAST_LEVELS[state.contrastAlgorithm];
+    const selected = levels.some(([value]) => value === level) ? level : levels[0][0];
+    select.innerHTML = levels
+      .map(([value, key]) => `<option value="${value}">${t(key)}</option>`)
+      .join('');
+    select.value = String(selected);
+    $('#meta-level-label').textContent = levelTitle();
+    $('#label-force-aaa').textContent = t(`contrast.force.${state.contrastAlgorithm}`);
+    return selected;
+  }
+
+  // A contrast value in the selected algorithm's notation
+  function formatContrast(value) {
+    return state.contrastAlgorithm === 'apca' ? `Lc ${value}` : `${value}:1`;
+  }
+
+  function describeTextColor(hex) {
+    if (hex === '#ffffff') return t('color.whiteText');
+    if (hex === '#000000') return t('color.blackText');
+    return hex.toUpperCase();
+  }
+
+  // Forced contrast and shade searches report whether they reached their
+  // target, so a miss is shown instead of passing for a success
+  function describeAdjustment(adjustment) {
+    if (!adjustment) return { label: '—', cssClass: '' };
+    const target = formatContrast(adjustment.target);
+    if (adjustment.met) return { label: t('adjustment.met', { target }), cssClass: 'wcag-pass-aa' };
+    return { label: t('adjustment.missed', { target }), cssClass: 'wcag-fail' };
+  }
+
+  // ── Initials rules ────────────────────────────────
+  const PARTICLE_ACTIONS = ['skip', 'attach', 'name'];
+
+  // Profiles are named in the UI language, not the engine's
+  function profileLabel(key) {
+    return t(`profile.${key}`);
+  }
+
+  // One line for reviewers: profile, particles handled and the words used
+  function describeInitialsRule(rule) {
+    if (rule.kind === 'empty') return t('rule.empty');
+    if (rule.kind === 'symbol') return t('rule.symbol');
+    if (rule.kind === 'cjk') return t('rule.cjk');
+    const mark = (p) => (p.source === 'custom' ? t('rule.custom', { word: p.word }) : p.word);
+    const parts = [profileLabel(rule.profile)];
+    if (rule.skipped.length) parts.push(t('rule.skipped', { words: rule.skipped.map(mark).join(', ') }));
+    if (rule.attached.length) parts.push(t('rule.attached', { words: rule.attached.map(mark).join(', ') }));
+    parts.push(rule.words.join(' + '));
+    return parts.join(' · ');
+  }
+
+  function populateNameProfiles() {
+    $('#select-name-locale').innerHTML = Object.keys(NAME_PROFILES)
+      .map((key) => `<option value="${key}">${profileLabel(key)}</option>`)
+      .join('');
+    $('#select-name-locale').value = state.nameLocale;
   }
 
-  function rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('');
+  function updateProfileHint() {
+    const particles = NAME_PROFILES[state.nameLocale].particles;
+    $('#name-profile-particles').textContent = particles.length
+      ? t('profile.particles', { particles: particles.join(', ') })
+      : t('profile.noParticles');
   }
 
-  // Relative luminance (WCAG 2.1)
-  function relativeLuminance(r, g, b) {
-    const [rs, gs, bs] = [r, g, b].map((c) => {
-      c /= 255;
-      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  function renderParticleRules() {
+    const container = $('#particle-rules');
+    container.innerHTML = '';
+    state.particleRules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'particle-rule';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <input type="text" class="particle-word" value="${escapeHtml(rule.particle)}" placeholder="${t('particle.placeholder')}" spellcheck="false">
+        <select class="particle-action" aria-label="${t('particle.action')}">
+          ${PARTICLE_ACTIONS.map((value) => `<option value="${value}">${t(`particle.${value}`)}</option>`).join('')}
+        </select>
+        <button class="palette-btn" data-action="remove" title="${t('common.remove')}">×</button>
+      `;
+      row.querySelector('.particle-action').value = rule.action;
+      container.appendChild(row);
     });
-    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
   }
 
-  function contrastRatio(l1, l2) {
-    const lighter = Math.max(l1, l2);
-    const darker = Math.min(l1, l2);
-    return (lighter + 0.05) / (darker + 0.05);
+  function bindParticleRules() {
+    const container = $('#particle-rules');
+
+    container.addEventListener('change', (e) => {
+      const row = e.target.closest('.particle-rule');
+      if (!row) return;
+      const rule = state.particleRules[Number(row.dataset.index)];
+      if (e.target.classList.contains('particle-word')) rule.particle = e.target.value.trim();
+      else if (e.target.classList.contains('particle-action')) rule.action = e.target.value;
+      render();
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('.palette-btn');
+      if (!button) return;
+      state.particleRules.splice(Number(button.closest('.particle-rule').dataset.index), 1);
+      renderParticleRules();
+      render();
+    });
+
+    $('#btn-add-particle-rule').addEventListener('click', () => {
+      state.particleRules.push({ particle: '', action: 'skip' });
+      renderParticleRules();
+      container.querySelector('.particle-rule:last-child .particle-word').focus();
+    });
   }
 
-  function bestTextColor(bgR, bgG, bgB) {
-    const bgLum = relativeLuminance(bgR, bgG, bgB);
-    const whiteContrast = contrastRatio(1, bgLum);
-    const blackContrast = contrastRatio(bgLum, 0);
-    return whiteContrast >= blackContrast ? '#ffffff' : '#000000';
+  // ── Color space ───────────────────────────────────
+  const COLOR_SPACE_LABELS = { hsl: 'HSL', oklch: 'OKLCH', lch: 'LCh' };
+
+  // Slider labels follow the selected space: saturation is shown as the
+  // chroma it maps to in OKLCH/LCh
+  function updateColorSpaceLabels() {
+    const space = state.colorSpace;
+    const isHsl = space === 'hsl';
+    $('#color-settings-title').textContent = t('color.settingsTitle', { space: COLOR_SPACE_LABELS[space] });
+    $('#meta-color-label').textContent = COLOR_SPACE_LABELS[space];
+    // The light theme's sliders and the dark theme's
+    [['', state.saturation], ['dark-', state.darkSaturation]].forEach(([prefix, saturation]) => {
+      $(`#label-${prefix}saturation`).textContent = t(isHsl ? 'color.saturation' : 'color.chroma');
+      $(`#unit-${prefix}saturation`).textContent = isHsl ? '%' : '';
+      $(`#val-${prefix}saturation`).textContent = isHsl
+        ? saturation
+        : ((saturation / 100) * MAX_CHROMA[space]).toFixed(space === 'oklch' ? 3 : 1);
+      $(`#label-${prefix}lightness`).textContent = t(isHsl ? 'color.lightness' : 'color.lightnessL');
+    });
   }
 
-  function getContrastInfo(bgR, bgG, bgB, textHex) {
-    const bgLum = relativeLuminance(bgR, bgG, bgB);
-    const textRgb = hexToRgb(textHex);
-    const textLum = relativeLuminance(textRgb[0], textRgb[1], textRgb[2]);
-    const ratio = contrastRatio(bgLum, textLum);
-    return { ratio, bgLum, textLum };
+  // Pastel backdrop of the hue wheel, drawn in the selected space
+  function wheelColor(angle) {
+    if (state.colorSpace === 'hsl' && state.cvdMode === 'none') return `hsl(${angle}, 40%, 85%)`;
+    return displayColor(rgbToHex(...spaceToRgb(angle, 40, 85, state.colorSpace)));
   }
 
-  function hexToRgb(hex) {
-    const h = hex.replace('#', '');
-    return [
-      parseInt(h.substring(0, 2), 16),
-      parseInt(h.substring(2, 4), 16),
-      parseInt(h.substring(4, 6), 16),
-    ];
+  // ── Color-vision simulation ───────────────────────
+  // What a color looks like under the selected deficiency. Only the
+  // rendering goes through this; meta values and exports stay real.
+  function displayColor(hex) {
+    return state.cvdMode === 'none' ? hex : simulateCvdHex(hex, state.cvdMode);
   }
 
-  function wcagLevel(ratio, requiredLevel) {
-    if (ratio >= 7) return { label: 'AAA Pass', cssClass: 'wcag-pass-aaa' };
-    if (ratio >= 4.5) {
-      if (requiredLevel >= 7) return { label: 'AA Pass (AAA Fail)', cssClass: 'wcag-warn' };
-      return { label: 'AA Pass', cssClass: 'wcag-pass-aa' };
-    }
-    if (ratio >= 3) return { label: 'Onvoldoende (AA Fail)', cssClass: 'wcag-warn' };
-    return { label: 'Onvoldoende', cssClass: 'wcag-fail' };
-  }
-
-  // Adjust lightness to meet contrast requirement
-  function adjustForContrast(h, s, l, requiredRatio) {
-    // Try the original first
-    let rgb = hslToRgb(h, s, l);
-    let textHex = bestTextColor(...rgb);
-    let info = getContrastInfo(...rgb, textHex);
-    if (info.ratio >= requiredRatio) return l;
-
-    // Determine direction: should we go darker or lighter?
-    // If text is white, make background darker; if text is black, make background lighter
-    if (textHex === '#ffffff') {
-      // Darken background
-      for (let tryL = l; tryL >= 10; tryL -= 1) {
-        rgb = hslToRgb(h, s, tryL);
-        info = getContrastInfo(...rgb, '#ffffff');
-        if (info.ratio >= requiredRatio) return tryL;
-      }
-    } else {
-      // Lighten background
-      for (let tryL = l; tryL <= 90; tryL += 1) {
-        rgb = hslToRgb(h, s, tryL);
-        info = getContrastInfo(...rgb, '#000000');
-        if (info.ratio >= requiredRatio) return tryL;
-      }
-    }
-    return l; // fallback
+  // An engine result as <initials-avatar> should show it
+  function displayAvatar(av) {
+    if (state.cvdMode === 'none') return av;
+    return Object.assign({}, av, {
+      hex: displayColor(av.hex),
+      background: displayColor(av.background),
+      ring: av.ring && displayColor(av.ring),
+      textColor: displayColor(av.textColor),
+    });
   }
 
-  // ── Avatar computation ────────────────────────────
-  function computeAvatar(name) {
-    const initials = getInitials(name);
-    const hue = nameToHue(name);
-    let s = state.saturation;
-    let l = state.lightness;
+  // ── Typography ────────────────────────────────────
+  // <initials-avatar> applies the typography and measures the glyphs; the
+  // playground passes it the base settings, font and size rules
+  const { PREVIEW_SIZE } = InitialsAvatar;
+  const RULE_SIZES = [24, 32, 48, 96]; // offered in order by "Formaat toevoegen"
+  const FONT_WEIGHTS = [400, 500, 600, 700];
+  const FONT_SUGGESTIONS = ['system-ui', 'sans-serif', 'serif', 'Arial', 'Helvetica Neue', 'Georgia', 'Inter', 'Roboto', 'Segoe UI'];
 
-    if (state.forceAAA) {
-      l = adjustForContrast(hue, s, l, 7);
-    }
+  function typographyConfig(settings) {
+    const from = settings || state;
+    return {
+      fontSize: from.fontSize,
+      letterSpacing: from.letterSpacing,
+      fontWeight: from.fontWeight,
+      fontFamily: from.fontFamily,
+      sizeRules: from.sizeRules,
+    };
+  }
+
+  // Typography of an exported image of `size` px, in the preview-relative
+  // units of avatar-svg.js and the service's fs/ls parameters
+  function imageTypography(size, settings) {
+    const typography = InitialsAvatar.typographyFor(size, typographyConfig(settings));
+    const scale = PREVIEW_SIZE / size;
+    return {
+      fontSize: Math.round(typography.fontSize * scale * 100) / 100,
+      letterSpacing: Math.round(typography.letterSpacing * scale * 100) / 100,
+      fontWeight: typography.fontWeight,
+      fontFamily: typography.fontFamily,
+    };
+  }
 
-    const rgb = hslToRgb(hue, s, l);
-    const hex = rgbToHex(...rgb);
-    const textColor = bestTextColor(...rgb);
-    const contrastInfo = getContrastInfo(...rgb, textColor);
-    const wcag = wcagLevel(contrastInfo.ratio, state.contrastLevel);
+  // A rule for `size` that reproduces the base settings at that size
+  function baseSizeRule(size) {
+    return {
+      size,
+      fontSize: Math.round((state.fontSize * size) / PREVIEW_SIZE * 2) / 2,
+      letterSpacing: Math.round((state.letterSpacing * size) / PREVIEW_SIZE * 10) / 10,
+      fontWeight: state.fontWeight,
+    };
+  }
 
+  // Clamps a stored or edited rule; missing values come from the base
+  function normalizeSizeRule(rule) {
+    const number = (value, min, max) => (typeof value === 'number' && isFinite(value) ? Math.min(max, Math.max(min, value)) : null);
+    const size = Math.round(number(rule.size, 12, 512) || PREVIEW_SIZE);
+    const base = baseSizeRule(size);
+    const fontSize = number(rule.fontSize, 4, 400);
+    const letterSpacing = number(rule.letterSpacing, -20, 40);
     return {
-      name: name.trim(),
-      initials,
-      hue,
-      saturation: s,
-      lightness: l,
-      rgb,
-      hex,
-      textColor,
-      contrastRatio: contrastInfo.ratio,
-      wcag,
+      size,
+      fontSize: fontSize === null ? base.fontSize : fontSize,
+      letterSpacing: letterSpacing === null ? base.letterSpacing : letterSpacing,
+      fontWeight: FONT_WEIGHTS.includes(rule.fontWeight) ? rule.fontWeight : base.fontWeight,
     };
   }
 
+  // Sorted by size, one rule per size
+  function normalizeSizeRules(rules) {
+    return rules
+      .filter((rule) => rule && typeof rule === 'object')
+      .map(normalizeSizeRule)
+      .sort((a, b) => a.size - b.size)
+      .filter((rule, i, sorted) => i === 0 || sorted[i - 1].size !== rule.size);
+  }
+
+  const SIZE_RULE_FIELDS = {
+    'size-rule-size': 'size',
+    'size-rule-font': 'fontSize',
+    'size-rule-spacing': 'letterSpacing',
+    'size-rule-weight': 'fontWeight',
+  };
+
+  function renderSizeRules() {
+    const container = $('#size-rules');
+    container.innerHTML = '';
+    state.sizeRules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'size-rule';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <input type="number" class="size-rule-size" min="12" max="512" value="${rule.size}" title="${t('sizeRule.size')}" aria-label="${t('sizeRule.size')}">
+        <input type="number" class="size-rule-font" min="4" max="400" step="0.5" value="${rule.fontSize}" title="${t('sizeRule.fontSize')}" aria-label="${t('sizeRule.fontSize')}">
+        <input type="number" class="size-rule-spacing" min="-20" max="40" step="0.1" value="${rule.letterSpacing}" title="${t('sizeRule.letterSpacing')}" aria-label="${t('sizeRule.letterSpacing')}">
+        <select class="size-rule-weight" title="${t('typography.weight')}" aria-label="${t('typography.weight')}">
+          ${FONT_WEIGHTS.map((weight) => `<option value="${weight}">${weight}</option>`).join('')}
+        </select>
+        <button class="palette-btn" data-action="remove" title="${t('common.remove')}">×</button>
+      `;
+      row.querySelector('.size-rule-weight').value = String(rule.fontWeight);
+      container.appendChild(row);
+    });
+  }
+
+  function bindSizeRules() {
+    const container = $('#size-rules');
+
+    container.addEventListener('change', (e) => {
+      const row = e.target.closest('.size-rule');
+      const key = SIZE_RULE_FIELDS[e.target.className];
+      if (!row || !key) return;
+      const rule = Object.assign({}, state.sizeRules[Number(row.dataset.index)]);
+      rule[key] = e.target.value === '' ? null : Number(e.target.value);
+      state.sizeRules[Number(row.dataset.index)] = rule;
+      state.sizeRules = normalizeSizeRules(state.sizeRules);
+      renderSizeRules();
+      render();
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('.palette-btn');
+      if (!button) return;
+      state.sizeRules.splice(Number(button.closest('.size-rule').dataset.index), 1);
+      renderSizeRules();
+      render();
+    });
+
+    $('#btn-add-size-rule').addEventListener('click', () => {
+      const used = state.sizeRules.map((rule) => rule.size);
+      const size = RULE_SIZES.find((s) => !used.includes(s)) || Math.min(512, Math.max(...used) * 2);
+      state.sizeRules = normalizeSizeRules(state.sizeRules.concat([baseSizeRule(size)]));
+      renderSizeRules();
+      render();
+    });
+  }
+
+  // ── Fonts ─────────────────────────────────────────
+  function setFontStatus(msg, isError) {
+    const status = $('#font-status');
+    status.textContent = msg;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  function addFontSuggestions(families) {
+    const list = $('#font-families');
+    const known = new Set([...list.options].map((option) => option.value));
+    families.filter((family) => !known.has(family)).forEach((family) => {
+      const option = document.createElement('option');
+      option.value = family;
+      list.appendChild(option);
+      known.add(family);
+    });
+  }
+
+  // Uploaded fonts live in document.fonts for this session only; the
+  // settings keep the family name, which is the file name
+  function loadFontFile(file) {
+    if (!file) return;
+    if (typeof FontFace === 'undefined' || !document.fonts) {
+      setFontStatus(t('font.unsupported'), true);
+      return;
+    }
+    const family = file.name.replace(/\.(woff2?|ttf|otf)$/i, '').trim() || t('font.uploadedName');
+    file.arrayBuffer()
+      .then((buffer) => new FontFace(family, buffer).load())
+      .then((face) => {
+        document.fonts.add(face);
+        InitialsAvatar.clearMeasurements();
+        state.fontFamily = family;
+        $('#font-family').value = family;
+        addFontSuggestions([family]);
+        setFontStatus(t('font.loaded', { family }));
+        render();
+      })
+      .catch(() => setFontStatus(t('font.unreadable', { file: file.name }), true));
+  }
+
+  // The Local Font Access API asks for permission and only exists in
+  // Chromium; elsewhere a family can still be typed in
+  function loadLocalFonts() {
+    if (typeof window.queryLocalFonts !== 'function') {
+      setFontStatus(t('font.noLocalFonts'), true);
+      return;
+    }
+    window.queryLocalFonts()
+      .then((fonts) => {
+        const families = [...new Set(fonts.map((font) => font.family))].sort();
+        addFontSuggestions(families);
+        setFontStatus(t('font.localFonts', { count: families.length }));
+      })
+      .catch(() => setFontStatus(t('font.localFontsDenied'), true));
+  }
+
+  // ── Fit ───────────────────────────────────────────
+  // Initials are checked at every size rule, else at the preview size
+  function fitSizes() {
+    return state.sizeRules.length > 0 ? state.sizeRules.map((rule) => rule.size) : [PREVIEW_SIZE];
+  }
+
+  // The sizes at which the initials overflow the circle or sit off-centre,
+  // or null when they fit at every size (or cannot be measured)
+  function fitProblems(av) {
+    const config = typographyConfig();
+    const problems = { overflow: [], offCentre: [] };
+    fitSizes().forEach((size) => {
+      const fit = InitialsAvatar.measureFit(av.initials, size, config, Boolean(av.ring));
+      if (fit && fit.overflow) problems.overflow.push(size);
+      else if (fit && fit.offCentre) problems.offCentre.push(size);
+    });
+    return problems.overflow.length + problems.offCentre.length > 0 ? problems : null;
+  }
+
+  function describeFit(problems) {
+    if (!problems) return t('fit.fits');
+    const parts = [];
+    if (problems.overflow.length > 0) parts.push(t('fit.overflowAt', { sizes: problems.overflow.join(', ') }));
+    if (problems.offCentre.length > 0) parts.push(t('fit.offCentreAt', { sizes: problems.offCentre.join(', ') }));
+    return parts.join(' · ');
+  }
+
+  // Over the dataset in the theme shown; initials are measured once each
+  function renderFitStatus() {
+    const avatars = shownAvatars();
+    const checked = new Map();
+    let flagged = 0;
+    avatars.forEach((av) => {
+      const key = av.ring ? av.initials + '\u0000ring' : av.initials;
+      if (!checked.has(key)) checked.set(key, fitProblems(av));
+      if (checked.get(key)) flagged++;
+    });
+    const status = $('#fit-status');
+    status.textContent = flagged > 0
+      ? t('fit.status', { count: flagged, total: avatars.length })
+      : '';
+    status.classList.toggle('warn', flagged > 0);
+  }
+
   // ── Render single preview ─────────────────────────
   function renderSinglePreview() {
     const name = state.name;
     if (!name.trim()) {
-      avatarPreview.style.backgroundColor = '#e5e7eb';
-      avatarInitialsEl.textContent = '?';
-      avatarInitialsEl.style.color = '#9ca3af';
+      avatarPreview.avatar = null;
+      avatarPreview.removeAttribute('name');
       metaInitials.textContent = '—';
+      metaInitialsRule.textContent = '—';
       metaHex.textContent = '—';
-      metaHsl.textContent = '—';
+      metaColor.textContent = '—';
+      metaBackground.textContent = '—';
+      metaSurface.textContent = '—';
+      metaSurface.className = 'meta-value';
       metaTextColor.textContent = '—';
       metaContrast.textContent = '—';
+      metaApca.textContent = '—';
       metaWcag.textContent = '—';
       metaWcag.className = 'meta-value';
+      metaAdjustment.textContent = '—';
+      metaAdjustment.className = 'meta-value';
+      metaFit.textContent = '—';
+      metaFit.className = 'meta-value';
+      $('#preview-sizes').innerHTML = '';
       return;
     }
 
-    const av = computeAvatar(name);
+    const av = computeAvatar(previewPerson());
 
-    avatarPreview.style.backgroundColor = av.hex;
-    avatarInitialsEl.textContent = av.initials;
-    avatarInitialsEl.style.color = av.textColor;
-    avatarInitialsEl.style.fontSize = `${state.fontSize}px`;
-    avatarInitialsEl.style.letterSpacing = `${state.letterSpacing}px`;
-    avatarInitialsEl.style.fontWeight = state.fontWeight;
+    avatarPreview.setAttribute('name', av.name);
+    avatarPreview.avatar = displayAvatar(av);
 
     metaInitials.textContent = av.initials;
+    metaInitialsRule.textContent = describeInitialsRule(av.initialsRule);
     metaHex.textContent = av.hex.toUpperCase();
-    metaHsl.textContent = `hsl(${av.hue}, ${av.saturation}%, ${av.lightness}%)`;
-    metaTextColor.textContent = av.textColor === '#ffffff' ? 'Wit (#FFF)' : 'Zwart (#000)';
+    metaColor.textContent = av.css;
+    metaBackground.textContent = av.background.toUpperCase() + (av.ring ? ' · ' + t('meta.ring', { color: av.ring.toUpperCase() }) : '');
+    metaTextColor.textContent = describeTextColor(av.textColor);
+    const surface = state.darkMode ? state.darkSurface : state.lightSurface;
+    metaSurface.textContent = t('meta.surfaceContrast', { ratio: av.surfaceContrast.toFixed(2), surface: surface.toUpperCase() });
+    metaSurface.className = 'meta-value ' + (av.surfaceStatus === 'pass' ? 'wcag-pass-aa' : 'wcag-warn');
     metaContrast.textContent = av.contrastRatio.toFixed(2) + ':1';
-    metaWcag.textContent = av.wcag.label;
-    metaWcag.className = 'meta-value ' + av.wcag.cssClass;
+    metaApca.textContent = 'Lc ' + av.apcaContrast.toFixed(1);
+    metaWcag.textContent = levelLabel(av.level);
+    metaWcag.className = 'meta-value ' + av.level.cssClass;
+    const adjustment = describeAdjustment(av.contrastAdjustment);
+    metaAdjustment.textContent = adjustment.label;
+    metaAdjustment.className = 'meta-value ' + adjustment.cssClass;
+    const fit = fitProblems(av);
+    metaFit.textContent = describeFit(fit);
+    metaFit.className = 'meta-value ' + (fit ? 'wcag-warn' : 'wcag-pass-aa');
+    renderPreviewSizes(av);
+  }
+
+  // The preview once more at every size rule, flagged where it does not fit
+  function renderPreviewSizes(av) {
+    const container = $('#preview-sizes');
+    container.innerHTML = state.sizeRules.map((rule) => `
+      <figure class="preview-size">
+        <initials-avatar size="${rule.size}"></initials-avatar>
+        <figcaption>${rule.size}</figcaption>
+      </figure>
+    `).join('');
+    const config = typographyConfig();
+    container.querySelectorAll('.preview-size').forEach((figure, i) => {
+      const size = state.sizeRules[i].size;
+      const fit = InitialsAvatar.measureFit(av.initials, size, config, Boolean(av.ring));
+      figure.querySelector('initials-avatar').avatar = displayAvatar(av);
+      if (fit && (fit.overflow || fit.offCentre)) {
+        figure.classList.add('fit-warn');
+        figure.title = t(fit.overflow ? 'fit.overflowAt' : 'fit.offCentreAt', { sizes: size });
+      }
+    });
   }
 
   // ── Render grid ───────────────────────────────────
+  // Grid and list are virtualised: only the rows in view exist in the DOM
+  let datasetAvatars = [];
+  let datasetDarkAvatars = [];
+  let gridView = null;
+  let listView = null;
+
+  // The dataset in the theme being shown
+  function shownAvatars() {
+    return state.darkMode ? datasetDarkAvatars : datasetAvatars;
+  }
+
+  const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+  // Worst outcome over both themes: text contrast, a missed contrast
+  // target, and (as a warning) the avatar fading into its surface
+  function pairStatus(pair) {
+    return pair.reduce((worst, av) => {
+      let status = av.contrastAdjustment && !av.contrastAdjustment.met ? 'fail' : av.contrastStatus;
+      if (status === 'pass' && av.surfaceStatus !== 'pass') status = 'warn';
+      return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst;
+    }, 'pass');
+  }
+
   function renderGrid() {
-    gridEl.innerHTML = '';
-    const names = state.dataset;
-    gridCount.textContent = names.length > 0 ? `(${names.length})` : '';
-
-    names.forEach((name) => {
-      const av = computeAvatar(name);
-      const item = document.createElement('div');
-      item.className = 'avatar-grid-item';
-      item.dataset.name = name;
-      item.dataset.hex = av.hex;
-      item.dataset.hsl = `hsl(${av.hue}, ${av.saturation}%, ${av.lightness}%)`;
-      item.dataset.contrast = av.contrastRatio.toFixed(2);
-      item.dataset.wcag = av.wcag.label;
-
-      // Contrast dot
-      let dotClass = 'pass';
-      if (av.contrastRatio < 3) dotClass = 'fail';
-      else if (av.contrastRatio < state.contrastLevel) dotClass = 'warn';
-
-      item.innerHTML = `
-        <div class="avatar avatar-small" style="background-color:${av.hex}">
-          <span class="avatar-initials" style="color:${av.textColor};font-size:${Math.round(state.fontSize * 0.375)}px;letter-spacing:${state.letterSpacing}px;font-weight:${state.fontWeight}">${av.initials}</span>
-        </div>
-        <div class="contrast-dot ${dotClass}"></div>
-        <span class="avatar-grid-name">${escapeHtml(name.split(' ')[0])}</span>
-      `;
+    const records = state.dataset;
+    gridCount.textContent = records.length > 0 ? `(${records.length})` : '';
+    if (!gridView) {
+      gridView = VirtualList.createVirtualList(gridEl, {
+        rowHeight: 78,
+        columnWidth: 108,
+        gap: 12,
+        renderItem: gridItem,
+      });
+      gridEl.addEventListener('scroll', hideTooltip);
+    }
+    gridView.update(datasetAvatars.length);
+
+    renderDistribution(shownAvatars());
+  }
 
-      item.addEventListener('mouseenter', showTooltip);
-      item.addEventListener('mousemove', moveTooltip);
-      item.addEventListener('mouseleave', hideTooltip);
+  function gridItem(index) {
+    const pair = [datasetAvatars[index], datasetDarkAvatars[index]];
+    const av = pair[state.darkMode ? 1 : 0];
+    const item = document.createElement('div');
+    item.className = 'avatar-grid-item';
+    item.dataset.name = av.name;
+    item.dataset.identity = av.identity || '';
+    item.dataset.hex = av.hex;
+    item.dataset.color = av.css;
+    item.dataset.contrast = av.contrastRatio.toFixed(2);
+    item.dataset.apca = av.apcaContrast.toFixed(1);
+    item.dataset.level = levelLabel(av.level);
+    item.dataset.adjustment = describeAdjustment(av.contrastAdjustment).label;
+    item.dataset.rule = describeInitialsRule(av.initialsRule);
+    item.dataset.pair = pair.map((p) => p.hex.toUpperCase()).join(' / ');
+    item.dataset.surface = pair.map((p) => p.surfaceContrast.toFixed(2) + ':1').join(' / ');
+    const fit = fitProblems(av);
+    item.dataset.fit = describeFit(fit);
+
+    // Contrast dot, judged by the selected algorithm over both themes
+    const dotClass = pairStatus(pair);
+
+    item.innerHTML = `
+      <div class="avatar-pair">
+        <span class="avatar-theme" style="background:${displayColor(state.lightSurface)}"><initials-avatar size="40"></initials-avatar></span>
+        <span class="avatar-theme" style="background:${displayColor(state.darkSurface)}"><initials-avatar size="40"></initials-avatar></span>
+      </div>
+      <div class="contrast-dot ${dotClass}"></div>
+      ${fit ? `<div class="fit-flag" title="${item.dataset.fit}">Aa</div>` : ''}
+      <span class="avatar-grid-name">${escapeHtml(av.name.split(' ')[0])}</span>
+    `;
 
-      gridEl.appendChild(item);
+    item.querySelectorAll('initials-avatar').forEach((el, i) => {
+      el.avatar = displayAvatar(pair[i]);
     });
 
-    renderDistribution(names);
+    item.addEventListener('mouseenter', showTooltip);
+    item.addEventListener('mousemove', moveTooltip);
+    item.addEventListener('mouseleave', hideTooltip);
+    return item;
   }
 
   // ── Render list ───────────────────────────────────
   function renderList() {
-    listEl.innerHTML = '';
-    const names = state.dataset;
-    listCount.textContent = names.length > 0 ? `(${names.length})` : '';
-
-    names.forEach((name) => {
-      const av = computeAvatar(name);
-
-      let badgeClass = 'pass';
-      let badgeLabel = av.wcag.label;
-      if (av.contrastRatio < 3) badgeClass = 'fail';
-      else if (av.contrastRatio < state.contrastLevel) badgeClass = 'warn';
-
-      const item = document.createElement('div');
-      item.className = 'avatar-list-item';
-      item.innerHTML = `
-        <div class="avatar avatar-list-avatar" style="background-color:${av.hex}">
-          <span class="avatar-initials" style="color:${av.textColor};font-size:${Math.round(state.fontSize * 0.3)}px;letter-spacing:${state.letterSpacing}px;font-weight:${state.fontWeight}">${av.initials}</span>
-        </div>
-        <div class="avatar-list-info">
-          <div class="avatar-list-name">${escapeHtml(name)}</div>
-          <div class="avatar-list-detail">${av.hex.toUpperCase()} · ${av.contrastRatio.toFixed(2)}:1</div>
-        </div>
-        <span class="avatar-list-badge ${badgeClass}">${badgeLabel}</span>
-      `;
+    const records = state.dataset;
+    listCount.textContent = records.length > 0 ? `(${records.length})` : '';
+    if (!listView) {
+      listView = VirtualList.createVirtualList(listEl, {
+        rowHeight: 57,
+        renderItem: listItem,
+      });
+    }
+    listView.update(datasetAvatars.length);
+  }
 
-      listEl.appendChild(item);
-    });
+  function listItem(index) {
+    const av = shownAvatars()[index];
+    const missed = av.contrastAdjustment && !av.contrastAdjustment.met;
+    const badgeClass = missed ? 'fail' : av.contrastStatus;
+    const badgeLabel = missed ? describeAdjustment(av.contrastAdjustment).label : levelLabel(av.level);
+    const fit = fitProblems(av);
+
+    const item = document.createElement('div');
+    item.className = 'avatar-list-item';
+    item.innerHTML = `
+      <initials-avatar size="36"></initials-avatar>
+      <div class="avatar-list-info">
+        <div class="avatar-list-name">${escapeHtml(av.name)}</div>
+        <div class="avatar-list-detail">${av.identity ? escapeHtml(av.identity) + ' · ' : ''}${av.hex.toUpperCase()} · ${av.contrastRatio.toFixed(2)}:1 · Lc ${av.apcaContrast.toFixed(1)}</div>
+      </div>
+      ${fit ? `<span class="avatar-list-badge warn" title="${describeFit(fit)}">${t(fit.overflow.length > 0 ? 'fit.overflow' : 'fit.offCentre')}</span>` : ''}
+      <span class="avatar-list-badge ${badgeClass}">${badgeLabel}</span>
+    `;
+    item.firstElementChild.avatar = displayAvatar(av);
+    return item;
   }
 
   function escapeHtml(str) {
@@ -357,10 +761,17 @@
     const item = e.currentTarget;
     tooltip.innerHTML = `
       <div class="tt-name">${escapeHtml(item.dataset.name)}</div>
+      ${item.dataset.identity ? `<div class="tt-row"><span>${t('tooltip.key')}</span><span class="tt-val">${escapeHtml(item.dataset.identity)}</span></div>` : ''}
+      <div class="tt-row"><span>${t('tooltip.rule')}</span><span class="tt-val">${escapeHtml(item.dataset.rule)}</span></div>
       <div class="tt-row"><span>HEX</span><span class="tt-val">${item.dataset.hex.toUpperCase()}</span></div>
-      <div class="tt-row"><span>HSL</span><span class="tt-val">${item.dataset.hsl}</span></div>
-      <div class="tt-row"><span>Contrast</span><span class="tt-val">${item.dataset.contrast}:1</span></div>
-      <div class="tt-row"><span>WCAG</span><span class="tt-val">${item.dataset.wcag}</span></div>
+      <div class="tt-row"><span>${COLOR_SPACE_LABELS[state.colorSpace]}</span><span class="tt-val">${item.dataset.color}</span></div>
+      <div class="tt-row"><span>${t('tooltip.contrast')}</span><span class="tt-val">${item.dataset.contrast}:1</span></div>
+      <div class="tt-row"><span>APCA</span><span class="tt-val">Lc ${item.dataset.apca}</span></div>
+      <div class="tt-row"><span>${levelTitle()}</span><span class="tt-val">${item.dataset.level}</span></div>
+      <div class="tt-row"><span>${t('tooltip.target')}</span><span class="tt-val">${item.dataset.adjustment}</span></div>
+      <div class="tt-row"><span>${t('tooltip.pair')}</span><span class="tt-val">${item.dataset.pair}</span></div>
+      <div class="tt-row"><span>${t('tooltip.surface')}</span><span class="tt-val">${item.dataset.surface}</span></div>
+      <div class="tt-row"><span>${t('tooltip.fit')}</span><span class="tt-val">${item.dataset.fit}</span></div>
     `;
     tooltip.classList.add('visible');
   }
@@ -375,17 +786,36 @@
   }
 
   // ── Color distribution analysis ───────────────────
-  function renderDistribution(names) {
-    const ctx = hueCanvas.getContext('2d');
-    const w = hueCanvas.width;
-    const h = hueCanvas.height;
+  const COLLISION_THRESHOLD = 10; // degrees
+
+  // Redrawn only when the avatars or the way colors are shown change
+  let distributionDrawn = null;
+
+  function renderDistribution(avatars) {
+    const drawn = { avatars, darkMode: state.darkMode, cvdMode: state.cvdMode, colorSpace: state.colorSpace };
+    if (distributionDrawn && Object.keys(drawn).every((key) => drawn[key] === distributionDrawn[key])) return;
+    distributionDrawn = drawn;
+    drawHueWheel(hueCanvas, avatars, { dotRadius: 5, lineWidth: 1.5 });
+
+    // Analyze for collisions
+    analyzeDistribution(avatars.map((av) => av.hue), avatars);
+    renderReport(avatars);
+  }
+
+  // Hue wheel with one dot per avatar and a name count in the middle.
+  // Sizes scale with the canvas so the comparison view can reuse it.
+  function drawHueWheel(canvas, avatars, opts) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
     const cx = w / 2;
     const cy = h / 2;
-    const radius = Math.min(cx, cy) - 20;
+    const scale = w / 300;
+    const radius = Math.min(cx, cy) - 20 * scale;
 
     ctx.clearRect(0, 0, w, h);
 
-    if (names.length === 0) return;
+    if (avatars.length === 0) return;
 
     // Draw hue wheel background
     for (let angle = 0; angle < 360; angle++) {
@@ -395,91 +825,188 @@
       ctx.moveTo(cx, cy);
       ctx.arc(cx, cy, radius, rad1 - Math.PI / 2, rad2 - Math.PI / 2);
       ctx.closePath();
-      ctx.fillStyle = `hsl(${angle}, 40%, 85%)`;
+      ctx.fillStyle = wheelColor(angle);
       ctx.fill();
     }
 
     // Inner white/dark circle
     const isDark = state.darkMode;
     ctx.beginPath();
-    ctx.arc(cx, cy, radius - 20, 0, Math.PI * 2);
+    ctx.arc(cx, cy, radius - 20 * scale, 0, Math.PI * 2);
     ctx.fillStyle = isDark ? '#1e293b' : '#ffffff';
     ctx.fill();
 
     // Plot dots for each name
-    const hues = [];
-    names.forEach((name) => {
-      const av = computeAvatar(name);
-      hues.push(av.hue);
-
-      const dotRadius = radius - 10;
+    avatars.forEach((av) => {
+      const dotRadius = radius - 10 * scale;
       const rad = ((av.hue - 90) * Math.PI) / 180;
       const dx = cx + Math.cos(rad) * dotRadius;
       const dy = cy + Math.sin(rad) * dotRadius;
 
       ctx.beginPath();
-      ctx.arc(dx, dy, 5, 0, Math.PI * 2);
-      ctx.fillStyle = av.hex;
+      ctx.arc(dx, dy, opts.dotRadius, 0, Math.PI * 2);
+      ctx.fillStyle = displayColor(av.hex);
       ctx.fill();
       ctx.strokeStyle = isDark ? '#f1f5f9' : '#1a1a2e';
-      ctx.lineWidth = 1.5;
+      ctx.lineWidth = opts.lineWidth;
       ctx.stroke();
     });
 
     // Center label
     ctx.fillStyle = isDark ? '#f1f5f9' : '#1a1a2e';
-    ctx.font = '600 13px -apple-system, sans-serif';
+    ctx.font = `600 ${Math.round(13 * scale)}px -apple-system, sans-serif`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(`${names.length} namen`, cx, cy - 8);
-    ctx.font = '400 11px -apple-system, sans-serif';
+    ctx.fillText(t('wheel.names', { count: avatars.length }), cx, cy - 8 * scale);
+    ctx.font = `400 ${Math.round(11 * scale)}px -apple-system, sans-serif`;
     ctx.fillStyle = isDark ? '#94a3b8' : '#6b7280';
-    ctx.fillText('hue spread', cx, cy + 8);
-
-    // Analyze for collisions
-    analyzeDistribution(hues, names);
+    ctx.fillText(t('wheel.spread'), cx, cy + 8 * scale);
   }
 
-  function analyzeDistribution(hues, names) {
-    distWarnings.innerHTML = '';
-
-    if (names.length < 2) return;
-
-    // Sort hues and find minimum gap
+  // Smallest gap between neighbouring hues, and how many gaps fall under
+  // the collision threshold
+  function hueStats(hues) {
     const sorted = [...hues].sort((a, b) => a - b);
     let minGap = 360;
     let collisions = 0;
-    const THRESHOLD = 10; // degrees
 
     for (let i = 0; i < sorted.length; i++) {
       const next = (i + 1) % sorted.length;
       let gap = sorted[next] - sorted[i];
       if (next === 0) gap = 360 - sorted[i] + sorted[0];
       if (gap < minGap) minGap = gap;
-      if (gap < THRESHOLD) collisions++;
+      if (gap < COLLISION_THRESHOLD) collisions++;
     }
 
-    // Ideal spread
-    const idealGap = 360 / names.length;
+    return { minGap, collisions, idealGap: 360 / hues.length };
+  }
+
+  function analyzeDistribution(hues, avatars) {
+    distWarnings.innerHTML = '';
+
+    if (avatars.length < 2) return;
+
+    const { minGap, collisions, idealGap } = hueStats(hues);
 
     if (collisions > 0) {
       addWarning(
         'warning',
-        `${collisions} kleurpaar/paren liggen binnen ${THRESHOLD} graden van elkaar — mogelijk moeilijk te onderscheiden.`
+        t('warning.hueCollisions', { count: collisions, threshold: COLLISION_THRESHOLD })
       );
     }
 
-    if (minGap < 5 && names.length > 3) {
+    if (minGap < 5 && avatars.length > 3) {
       addWarning(
         'warning',
-        `Minimale hue-afstand is slechts ${minGap.toFixed(1)}°. Overweeg een beperkt kleurenpalet of andere hash-strategie.`
+        t('warning.minGap', { gap: minGap.toFixed(1) })
+      );
+    }
+
+    if (state.useCustomPalette) analyzePalette();
+    analyzeCvd(avatars);
+    analyzeAdjustments(avatars);
+    analyzeSurfaces();
+
+    const assignment = engine.assignment();
+    if (assignment) {
+      addWarning(
+        'info',
+        t('info.assignment', {
+          minDeltaE: assignment.minDeltaE.toFixed(1),
+          baseline: assignment.baselineMinDeltaE.toFixed(1),
+          count: assignment.moved,
+          total: assignment.size,
+        })
       );
     }
 
     addWarning(
       'info',
-      `Hue spread: min ${minGap.toFixed(1)}° | ideaal ${idealGap.toFixed(1)}° per naam | ${state.limitedPalette ? '12-kleurenpalet' : 'volledig spectrum'}`
+      t('info.spread', { min: minGap.toFixed(1), ideal: idealGap.toFixed(1), palette: paletteLabel() })
+    );
+  }
+
+  // Color pairs that stay apart for typical vision but merge for
+  // one of the simulated deficiencies
+  function analyzeCvd(avatars) {
+    const collisions = cvdCollisions(avatars);
+    const shortName = (group) => group.names[0].split(' ')[0] + (group.names.length > 1 ? ` +${group.names.length - 1}` : '');
+
+    CVD_TYPES.forEach((type) => {
+      const pairs = collisions[type];
+      if (pairs.length === 0) return;
+      const examples = pairs
+        .slice(0, 3)
+        .map((p) => `${shortName(p.a)} / ${shortName(p.b)} (ΔE ${p.deltaE.toFixed(1)})`)
+        .join(', ');
+      addWarning(
+        'warning',
+        t('warning.cvd', { type: t('cvd.' + type), count: pairs.length, examples })
+      );
+    });
+  }
+
+  function analyzeAdjustments(avatars) {
+    const missed = avatars.filter((av) => av.contrastAdjustment && !av.contrastAdjustment.met);
+    if (missed.length === 0) return;
+    addWarning(
+      'warning',
+      t('warning.adjustments', {
+        count: missed.length,
+        target: formatContrast(missed[0].contrastAdjustment.target),
+        examples: missed.slice(0, 3).map((av) => av.name).join(', '),
+      })
+    );
+  }
+
+  // Both themes, whichever is shown: an avatar that fades into its surface
+  // in the other theme is just as much a problem
+  function analyzeSurfaces() {
+    const themes = [
+      ['warning.surfaceLight', datasetAvatars, state.lightSurface],
+      ['warning.surfaceDark', datasetDarkAvatars, state.darkSurface],
+    ];
+    const parts = themes
+      .map(([label, avatars, surface]) => [label, avatars.filter((av) => av.surfaceStatus !== 'pass').length, surface])
+      .filter(([, count]) => count > 0)
+      .map(([key, count, surface]) => t(key, { count, surface: surface.toUpperCase() }));
+    if (parts.length === 0) return;
+    addWarning(
+      'warning',
+      t('warning.surfaces', { ratio: String(SURFACE_CONTRAST), themes: parts.join(', ') })
+    );
+  }
+
+  function paletteLabel() {
+    if (state.useCustomPalette) return t('info.customPalette', { count: state.customPalette.length });
+    return t(state.limitedPalette ? 'info.limitedPalette' : 'info.fullSpectrum');
+  }
+
+  // Hue gaps say little about a hand-picked palette, so entries are
+  // compared by OKLab distance and checked for text contrast instead
+  function analyzePalette() {
+    const SIMILAR = 0.05; // ΔE in OKLab
+    const labs = state.customPalette.map((e) => linearRgbToOklab(rgbToLinear(hexToRgb(e.hex))));
+    const similar = [];
+    for (let i = 0; i < labs.length; i++) {
+      for (let j = i + 1; j < labs.length; j++) {
+        const d = Math.hypot(labs[i][0] - labs[j][0], labs[i][1] - labs[j][1], labs[i][2] - labs[j][2]);
+        if (d < SIMILAR) similar.push(`${state.customPalette[i].hex.toUpperCase()} / ${state.customPalette[j].hex.toUpperCase()}`);
+      }
+    }
+    if (similar.length > 0) {
+      addWarning('warning', t('warning.paletteSimilar', { colors: similar.join(', ') }));
+    }
+
+    const failing = state.customPalette.filter(
+      (entry) => computeEntryColor(entry, engine.config).contrastStatus !== 'pass'
     );
+    if (failing.length > 0) {
+      addWarning(
+        'warning',
+        t('warning.paletteContrast', { count: failing.length, colors: failing.map((e) => e.hex.toUpperCase()).join(', ') })
+      );
+    }
   }
 
   function addWarning(type, msg) {
@@ -489,166 +1016,1850 @@
     distWarnings.appendChild(div);
   }
 
-  // ── Random name generator ─────────────────────────
-  const FIRST_NAMES = [
-    'Emma', 'Noah', 'Sophie', 'Liam', 'Julia', 'Lucas', 'Mila', 'Daan',
-    'Tess', 'Finn', 'Sara', 'Sem', 'Anna', 'Milan', 'Eva', 'James',
-    'Olivia', 'Alexander', 'Maria', 'Mohammed', 'Fatima', 'Jan', 'Petra',
-    'Pieter', 'Ingrid', 'Carlos', 'Jose', 'Yuki', 'Akira', 'Priya',
-    'Lars', 'Freya', 'Bjorn', 'Astrid', 'Marco', 'Isabella', 'Andre',
-    'Chen', 'Wei', 'Aisha', 'Omar', 'Elena', 'Viktor', 'Anastasia',
-    'Dmitri', 'Sakura', 'Hiroshi', 'Amara', 'Kwame', 'Zara',
-  ];
+  // ── Distribution report ───────────────────────────
+  let distributionReport = null;
 
-  const LAST_NAMES = [
-    'de Vries', 'Jansen', 'van den Berg', 'van Dijk', 'Bakker',
-    'Janssen', 'Visser', 'de Boer', 'Mulder', 'de Groot',
-    'Bos', 'Vos', 'Peters', 'Hendriks', 'van Leeuwen',
-    'Dekker', 'Brouwer', 'de Wit', 'Dijkstra', 'Smit',
-    'Smith', 'Johnson', 'Williams', 'Brown', 'Garcia',
-    'Mueller', 'Schmidt', 'Schneider', 'Fischer', 'Weber',
-    'Rossi', 'Russo', 'Ferrari', 'Esposito', 'Bianchi',
-    'Tanaka', 'Watanabe', 'Yamamoto', 'Nakamura', 'Kobayashi',
-    'Johansson', 'Andersson', 'Nilsson', 'Eriksson', 'Larsson',
-    'van der Linden', 'ter Haar', 'ten Brink', 'van Houten', 'de Jong',
-  ];
+  // How many distinct colors the strategy can hand out, for the uniformity
+  // test and the expected rates of identical and close colors
+  function colorSlots(settings) {
+    const from = settings || state;
+    if (from.useCustomPalette && from.customPalette.length > 0) return from.customPalette.length;
+    return from.limitedPalette ? 12 : 360;
+  }
 
-  function generateRandomNames(count) {
-    const names = [];
-    const used = new Set();
-    while (names.length < count) {
-      const first = FIRST_NAMES[Math.floor(Math.random() * FIRST_NAMES.length)];
-      const last = LAST_NAMES[Math.floor(Math.random() * LAST_NAMES.length)];
-      const full = first + ' ' + last;
-      if (!used.has(full)) {
-        used.add(full);
-        names.push(full);
-      }
-      // Safety valve
-      if (used.size >= FIRST_NAMES.length * LAST_NAMES.length) break;
-    }
-    return names;
+  // The hues of a custom palette's entries; the hue palettes are evenly spaced
+  function slotHues(settings) {
+    const from = settings || state;
+    if (!from.useCustomPalette || from.customPalette.length === 0) return null;
+    const config = resolveOptions(engineOptions(from));
+    return from.customPalette.map((entry) => computeEntryColor(entry, config).hue);
   }
 
-  // ── Design token export ───────────────────────────
-  function exportDesignTokens() {
-    const names = state.dataset.length > 0 ? state.dataset : (state.name.trim() ? [state.name.trim()] : []);
-    if (names.length === 0) {
-      alert('Geen namen beschikbaar om te exporteren. Voer een naam in of genereer een dataset.');
+  // Null below two avatars, where there is no spread to measure
+  function buildDistributionReport(avatars, settings) {
+    if (avatars.length < 2) return null;
+    return DistributionReport.buildReport(avatars, {
+      collisionThreshold: COLLISION_THRESHOLD,
+      slots: colorSlots(settings),
+      slotHues: slotHues(settings),
+      toLab: rgbToLab,
+      deltaE: deltaE2000,
+    });
+  }
+
+  function renderReport(avatars) {
+    distributionReport = buildDistributionReport(avatars);
+    drawHistogram(histogramCanvas, distributionReport);
+    $('#btn-report-json').disabled = !distributionReport;
+    $('#btn-report-csv').disabled = !distributionReport;
+    fillReportTable(reportTable, distributionReport);
+  }
+
+  // extraRows: [label, value] pairs shown above the report's own
+  function fillReportTable(table, r, extraRows) {
+    if (!r) {
+      table.innerHTML = '';
       return;
     }
+    const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const rows = [
+      [t('report.uniformity'), `${r.uniformity.chiSquare} (df ${r.uniformity.degreesOfFreedom})`],
+      [t('report.pValue'), r.uniformity.reliable ? String(r.uniformity.pValue) : t('report.unreliable', { value: String(r.uniformity.pValue) })],
+      [t('report.huePairs', { threshold: COLLISION_THRESHOLD }), t('report.expected', { observed: String(r.hueCollisions.observedPairs), expected: String(r.hueCollisions.expectedPairs) })],
+      [t('report.identical'), t('report.expected', { observed: String(r.identicalColors.observedPairs), expected: String(r.identicalColors.expectedPairs) })],
+      ['ΔE2000 min / p5', `${r.deltaE2000.min} / ${r.deltaE2000.p5}`],
+      [t('report.deltaEMedian'), `${r.deltaE2000.p25} / ${r.deltaE2000.p50}`],
+      [t('report.contrast'), `${pct(r.contrast.passRate)} (${r.contrast.pass}/${r.count})`],
+    ];
+    if (r.deltaE2000.sampled) rows[4][0] += ' *';
+    table.innerHTML = (extraRows || []).concat(rows)
+      .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+    if (r.deltaE2000.sampled) {
+      table.title = t('report.sampled', { pairs: r.deltaE2000.pairs, total: r.deltaE2000.totalPairs });
+    } else {
+      table.removeAttribute('title');
+    }
+  }
 
-    const tokens = {
-      'avatar-color-strategy': {
-        description: 'Avatar kleurstrategie — gegenereerd door Avatar Playground',
-        settings: {
-          saturation: state.saturation,
-          lightness: state.lightness,
-          palette: state.limitedPalette ? 'limited-12' : 'full-spectrum',
-          'color-basis': state.useFullNameColor ? 'full-name' : 'initials',
-          'forced-contrast': state.forceAAA ? 'AAA' : 'none',
-        },
-        colors: {},
-      },
-    };
-
-    names.forEach((name) => {
-      const av = computeAvatar(name);
-      const key = name
-        .trim()
-        .toLowerCase()
-        .replace(/\s+/g, '-')
-        .replace(/[^a-z0-9-]/g, '');
-      tokens['avatar-color-strategy'].colors[key] = {
-        name: name.trim(),
-        initials: av.initials,
-        background: av.hex,
-        'text-color': av.textColor,
-        hsl: `hsl(${av.hue}, ${av.saturation}%, ${av.lightness}%)`,
-        'contrast-ratio': Number(av.contrastRatio.toFixed(2)),
-        wcag: av.wcag.label,
-      };
+  // Bars per hue bucket, with the even-spread expectation as a dashed line
+  function drawHistogram(canvas, report) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    if (!report) return;
+
+    const { counts, bucketSize } = report.histogram;
+    const expected = report.count / counts.length;
+    const max = Math.max(expected, ...counts);
+    const barWidth = w / counts.length;
+    const plotHeight = h - 16;
+
+    counts.forEach((count, i) => {
+      const barHeight = (count / max) * plotHeight;
+      ctx.fillStyle = wheelColor((i + 0.5) * bucketSize);
+      ctx.fillRect(i * barWidth + 1, plotHeight - barHeight, barWidth - 2, barHeight);
     });
 
-    const json = JSON.stringify(tokens, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'avatar-design-tokens.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const y = plotHeight - (expected / max) * plotHeight;
+    ctx.strokeStyle = state.darkMode ? '#94a3b8' : '#6b7280';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(w, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = state.darkMode ? '#94a3b8' : '#6b7280';
+    ctx.font = '400 10px -apple-system, sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText('0°', 0, h);
+    ctx.textAlign = 'center';
+    ctx.fillText('180°', w / 2, h);
+    ctx.textAlign = 'right';
+    ctx.fillText('360°', w, h);
   }
 
-  // ── Full render ───────────────────────────────────
-  function render() {
-    renderSinglePreview();
-    renderGrid();
-    renderList();
+  // The report carries the settings it was measured under
+  function exportReport(format) {
+    if (!distributionReport) return;
+    const report = Object.assign({ settings: DesignTokens.settingsMetadata(engine.config) }, distributionReport);
+    if (format === 'csv') {
+      downloadBlob(new Blob([DistributionReport.toCsv(report)], { type: 'text/csv' }), 'avatar-distributie.csv');
+    } else {
+      downloadBlob(new Blob([DistributionReport.toJson(report)], { type: 'application/json' }), 'avatar-distributie.json');
+    }
   }
 
-  // ── Event bindings ────────────────────────────────
-  function init() {
-    // Name input
-    nameInput.addEventListener('input', (e) => {
-      state.name = e.target.value;
-      render();
-    });
-
-    // Toggles
-    $('#toggle-fullname-color').addEventListener('change', (e) => {
-      state.useFullNameColor = e.target.checked;
-      render();
-    });
+  // ── Hash strategy comparison ──────────────────────
+  const HASH_LABELS = {
+    cyrb53: 'cyrb53',
+    fnv1a: 'FNV-1a (32-bit)',
+    murmur3: 'MurmurHash3 (32-bit)',
+    djb2: 'djb2',
+    java: 'Java String.hashCode',
+    sha256: 'SHA-256 (SubtleCrypto)',
+  };
+  function hashLabel(key) {
+    return key === DEFAULT_STATE.hashStrategy ? `${HASH_LABELS[key]} (${t('hash.default')})` : HASH_LABELS[key];
+  }
 
-    $('#toggle-limited-palette').addEventListener('change', (e) => {
-      state.limitedPalette = e.target.checked;
-      render();
-    });
+  function populateHashStrategies() {
+    const select = $('#select-hash-strategy');
+    select.innerHTML = HASH_STRATEGIES
+      .map((key) => `<option value="${key}">${hashLabel(key)}</option>`)
+      .join('');
+    select.value = state.hashStrategy;
+  }
 
-    $('#toggle-dark-mode').addEventListener('change', (e) => {
+  // Bumped per comparison so a slow SHA-256 run cannot overwrite a newer one
+  let comparisonRun = 0;
+  let comparisonDrawn = null;
+  // Spread statistics settle long before this; larger datasets are sampled
+  const HASH_COMPARE_LIMIT = 5000;
+
+  // The dataset under every strategy, each on its own small hue wheel with
+  // the same min-gap and collision figures as the main distribution
+  async function renderHashComparison() {
+    const container = $('#hash-compare');
+    if (!state.hashCompare || state.dataset.length === 0) {
+      comparisonRun++;
+      container.innerHTML = '';
+      comparisonDrawn = null;
+      return;
+    }
+    // A render with unchanged inputs lets a run that is still hashing
+    // finish; only a change starts a new run, which cancels the old one
+    const drawn = { engine, darkMode: state.darkMode, cvdMode: state.cvdMode, colorSpace: state.colorSpace };
+    if (comparisonDrawn && Object.keys(drawn).every((key) => drawn[key] === comparisonDrawn[key])) return;
+    comparisonDrawn = drawn;
+    const run = ++comparisonRun;
+
+    const step = Math.ceil(state.dataset.length / HASH_COMPARE_LIMIT);
+    const sample = step > 1 ? state.dataset.filter((record, i) => i % step === 0) : state.dataset;
+    const results = [];
+    for (const strategy of HASH_STRATEGIES) {
+      const compareEngine = createAvatarEngine(Object.assign(engineOptions(), {
+        hashStrategy: strategy,
+        assignmentGroup: state.distinctColors ? sample : null,
+      }));
+      try {
+        await compareEngine.prepare(sample);
+      } catch (err) {
+        results.push({ strategy, error: errorText(err) });
+        continue;
+      }
+      const avatars = compareEngine.computeAll(sample);
+      results.push({ strategy, avatars, stats: hueStats(avatars.map((av) => av.hue)) });
+    }
+    if (run !== comparisonRun) return;
+
+    container.innerHTML = '';
+    results.forEach(({ strategy, avatars, stats, error }) => {
+      const card = document.createElement('div');
+      card.className = 'hash-compare-card' + (strategy === state.hashStrategy ? ' active' : '');
+      card.innerHTML = `
+        <div class="hash-compare-title">${hashLabel(strategy)}</div>
+        <canvas width="160" height="160"></canvas>
+        <div class="hash-compare-stats"></div>
+      `;
+      const statsEl = card.querySelector('.hash-compare-stats');
+      if (error) {
+        statsEl.textContent = error;
+      } else {
+        drawHueWheel(card.querySelector('canvas'), avatars, { dotRadius: 3, lineWidth: 1 });
+        statsEl.textContent =
+          t('hashCompare.stats', { gap: stats.minGap.toFixed(1), count: stats.collisions, threshold: COLLISION_THRESHOLD }) +
+          (sample.length < state.dataset.length ? ' · ' + t('hashCompare.sample', { count: sample.length }) : '');
+      }
+      container.appendChild(card);
+    });
+  }
+
+  // ── A/B comparison ────────────────────────────────
+  // Two settings snapshots, each rendering the current dataset with its own
+  // engine, so "initials vs full name" can be judged side by side
+  const abSnapshots = { a: null, b: null };
+  const AB_SIDES = ['a', 'b'];
+  // How the playground is used rather than how avatars look: not part of
+  // a snapshot's differences, and kept as they are when one is loaded
+  const AB_IGNORED = ['name', 'identity', 'dataset', 'hashCompare', 'cvdMode', 'paletteName', 'tokenFormat', 'imageFormat', 'imageSize', 'serviceUrl'];
+  const AB_AVATAR_SIZE = 36;
+
+  let abRun = 0;
+  let abResult = null; // { a, b, dataset, sides, diffs, changed }
+  let abDrawn = null;
+  const abGrids = {};
+  let abDiffList = null;
+
+  function snapshotSettings() {
+    const settings = {};
+    Object.keys(state).forEach((key) => {
+      if (key !== 'dataset') settings[key] = JSON.parse(JSON.stringify(state[key]));
+    });
+    return settings;
+  }
+
+  function loadSnapshot(snapshot) {
+    const kept = {};
+    AB_IGNORED.forEach((key) => {
+      kept[key] = state[key];
+    });
+    applySettings(Object.assign({}, snapshot, kept));
+    render();
+  }
+
+  function settingDifferences(a, b) {
+    return Object.keys(a).filter(
+      (key) => !AB_IGNORED.includes(key) && JSON.stringify(a[key]) !== JSON.stringify(b[key])
+    );
+  }
+
+  function formatSetting(value) {
+    const text = JSON.stringify(value);
+    return text.length > 48 ? text.slice(0, 47) + '…' : text;
+  }
+
+  // Per side: whether it is captured and, once both are, the settings in
+  // which it differs from the other side
+  function renderAbSettings() {
+    const differences = abSnapshots.a && abSnapshots.b ? settingDifferences(abSnapshots.a, abSnapshots.b) : null;
+    AB_SIDES.forEach((side) => {
+      const snapshot = abSnapshots[side];
+      const el = $(`.ab-side[data-side="${side}"]`);
+      el.querySelector('[data-action="load"]').disabled = !snapshot;
+      let items;
+      if (!snapshot) items = [`<li class="ab-settings-empty">${t('ab.empty')}</li>`];
+      else if (!differences) items = [];
+      else if (differences.length === 0) items = [`<li class="ab-settings-empty">${t('ab.same')}</li>`];
+      else items = differences.map((key) => `<li><code>${key}</code> ${escapeHtml(formatSetting(snapshot[key]))}</li>`);
+      el.querySelector('.ab-settings').innerHTML = items.join('');
+    });
+  }
+
+  function computeAbSide(settings) {
+    const sideEngine = createAvatarEngine(engineOptions(settings));
+    return sideEngine.prepare(state.dataset).then(() => {
+      const avatars = settings.darkMode ? sideEngine.computeAllDark(state.dataset) : sideEngine.computeAll(state.dataset);
+      return {
+        settings,
+        avatars,
+        stats: hueStats(avatars.map((av) => av.hue)),
+        report: buildDistributionReport(avatars, settings),
+      };
+    });
+  }
+
+  // Names whose color or contrast level differs between the sides
+  function abDifferences(sides) {
+    const [a, b] = sides.map((side) => side.avatars);
+    const diffs = [];
+    const changed = new Uint8Array(a.length);
+    a.forEach((av, index) => {
+      const color = av.hex !== b[index].hex;
+      const level = av.level.key !== b[index].level.key;
+      if (!color && !level) return;
+      diffs.push({ index, color, level });
+      changed[index] = 1;
+    });
+    return { diffs, changed };
+  }
+
+  async function renderAbComparison() {
+    const run = ++abRun;
+    const { a, b } = abSnapshots;
+    const summary = $('#ab-summary');
+    renderAbSettings();
+    if (!a || !b || state.dataset.length === 0) {
+      abResult = null;
+      abDrawn = null;
+      showAbResult(false);
+      summary.textContent = t(!a || !b ? 'ab.needBoth' : 'ab.needDataset');
+      return;
+    }
+
+    const current = abResult && abResult.a === a && abResult.b === b && abResult.dataset === state.dataset;
+    if (!current) {
+      summary.textContent = t('grid.computing');
+      let sides;
+      try {
+        sides = await Promise.all([computeAbSide(a), computeAbSide(b)]);
+      } catch (err) {
+        if (run === abRun) summary.textContent = t('warning.hashUnavailable', { error: errorText(err) });
+        return;
+      }
+      if (run !== abRun) return;
+      abResult = Object.assign({ a, b, dataset: state.dataset, sides }, abDifferences(sides));
+    }
+
+    const drawn = { result: abResult, darkMode: state.darkMode, cvdMode: state.cvdMode };
+    if (abDrawn && Object.keys(drawn).every((key) => drawn[key] === abDrawn[key])) return;
+    abDrawn = drawn;
+    drawAbComparison();
+  }
+
+  function showAbResult(visible) {
+    document.querySelectorAll('.ab-side-body').forEach((el) => {
+      el.hidden = !visible;
+    });
+    $('#ab-diff-block').hidden = !visible;
+  }
+
+  function drawAbComparison() {
+    const { sides, diffs } = abResult;
+    showAbResult(true);
+    AB_SIDES.forEach((side, i) => {
+      const result = sides[i];
+      const el = $(`.ab-side[data-side="${side}"]`);
+      if (!abGrids[side]) {
+        abGrids[side] = VirtualList.createVirtualList(el.querySelector('.ab-grid'), {
+          rowHeight: AB_AVATAR_SIZE + 16,
+          columnWidth: AB_AVATAR_SIZE + 16,
+          gap: 8,
+          renderItem: (index) => abGridItem(i, index),
+        });
+      }
+      abGrids[side].update(result.avatars.length);
+      drawHueWheel(el.querySelector('canvas'), result.avatars, { dotRadius: 3, lineWidth: 1 });
+      fillReportTable(el.querySelector('.report-table'), result.report, [
+        [t('ab.minGap'), `${result.stats.minGap.toFixed(1)}°`],
+      ]);
+    });
+
+    const total = sides[0].avatars.length;
+    $('#ab-summary').textContent = [
+      t('ab.colorChanges', { count: diffs.filter((d) => d.color).length, total }),
+      t('ab.levelChanges', { count: diffs.filter((d) => d.level).length }),
+    ].join(' · ');
+    if (!abDiffList) abDiffList = VirtualList.createVirtualList($('#ab-diff'), { rowHeight: 44, renderItem: abDiffItem });
+    abDiffList.update(diffs.length);
+  }
+
+  // The side's own typography, as attributes of one <initials-avatar>
+  function showAbAvatar(el, result, av) {
+    const typography = imageTypography(Number(el.getAttribute('size')), result.settings);
+    el.setAttribute('font-size', typography.fontSize);
+    el.setAttribute('letter-spacing', typography.letterSpacing);
+    el.setAttribute('font-weight', typography.fontWeight);
+    if (result.settings.fontFamily) el.setAttribute('font-family', result.settings.fontFamily);
+    el.avatar = displayAvatar(av);
+  }
+
+  function abSurface(settings) {
+    return settings.darkMode ? settings.darkSurface : settings.lightSurface;
+  }
+
+  function abGridItem(sideIndex, index) {
+    const result = abResult.sides[sideIndex];
+    const av = result.avatars[index];
+    const item = document.createElement('div');
+    item.className = 'ab-grid-item' + (abResult.changed[index] ? ' changed' : '');
+    item.title = av.name;
+    item.style.background = displayColor(abSurface(result.settings));
+    item.innerHTML = `<initials-avatar size="${AB_AVATAR_SIZE}"></initials-avatar>`;
+    showAbAvatar(item.firstElementChild, result, av);
+    return item;
+  }
+
+  function abDiffItem(diffIndex) {
+    const diff = abResult.diffs[diffIndex];
+    const pair = abResult.sides.map((result) => result.avatars[diff.index]);
+    const side = (av) => {
+      const status = av.contrastAdjustment && !av.contrastAdjustment.met ? 'fail' : av.contrastStatus;
+      return `
+        <span class="ab-diff-side">
+          <initials-avatar size="28"></initials-avatar>
+          <code class="${diff.color ? 'ab-changed' : ''}">${av.hex.toUpperCase()}</code>
+          <span class="avatar-list-badge ${status}${diff.level ? ' ab-changed' : ''}">${levelLabel(av.level)}</span>
+        </span>
+      `;
+    };
+    const item = document.createElement('div');
+    item.className = 'ab-diff-item';
+    item.innerHTML = `
+      <span class="ab-diff-name">${escapeHtml(pair[0].name)}</span>
+      ${side(pair[0])}
+      <span class="ab-diff-arrow">→</span>
+      ${side(pair[1])}
+    `;
+    item.querySelectorAll('initials-avatar').forEach((el, i) => showAbAvatar(el, abResult.sides[i], pair[i]));
+    return item;
+  }
+
+  function bindAbComparison() {
+    AB_SIDES.forEach((side) => {
+      const el = $(`.ab-side[data-side="${side}"]`);
+      el.querySelector('[data-action="capture"]').addEventListener('click', () => {
+        abSnapshots[side] = snapshotSettings();
+        renderAbComparison();
+      });
+      el.querySelector('[data-action="load"]').addEventListener('click', () => {
+        if (abSnapshots[side]) loadSnapshot(abSnapshots[side]);
+      });
+    });
+
+    $('#btn-ab-clear').addEventListener('click', () => {
+      abSnapshots.a = null;
+      abSnapshots.b = null;
+      renderAbComparison();
+    });
+
+    // Both grids hold the same names in the same order: scroll them together
+    const grids = AB_SIDES.map((side) => $(`.ab-side[data-side="${side}"] .ab-grid`));
+    grids.forEach((grid, i) => {
+      grid.addEventListener('scroll', () => {
+        const other = grids[1 - i];
+        if (other.scrollTop !== grid.scrollTop) other.scrollTop = grid.scrollTop;
+      });
+    });
+  }
+
+  // ── Color migration ───────────────────────────────
+  // An exported avatar-design-tokens.json holds the colors existing users
+  // have today; the report shows what the current settings would change
+  let migrationBaseline = null; // ColorMigration.parseBaseline + fileName
+  let migrationRun = 0;
+  let migrationResult = null; // { baseline, key, migration }
+  let migrationDrawn = null;
+  let migrationRows = [];
+  let migrationList = null;
+  let migrationThreshold = 25;
+  // Pins toggled by hand; everyone else is pinned when their color moves
+  // at least the ΔE threshold
+  const migrationPins = new Map();
+
+  function setMigrationStatus(msg, isError) {
+    const status = $('#migration-status');
+    status.textContent = msg;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  // The baseline users under the current settings. With distinct colors
+  // they are the group colors are spread over, not the dataset.
+  function computeMigration(baseline) {
+    const people = baseline.users.map(ColorMigration.personOf);
+    const migrationEngine = createAvatarEngine(
+      Object.assign(engineOptions(), { assignmentGroup: state.distinctColors ? people : null })
+    );
+    return migrationEngine.prepare(people).then(() => {
+      const current = people.map((person) => ({
+        light: migrationEngine.compute(person),
+        dark: migrationEngine.computeDark(person),
+      }));
+      const settings = DesignTokens.settingsMetadata(migrationEngine.config, migrationEngine.darkConfig);
+      return ColorMigration.buildMigration(baseline, current, settings, { toLab: rgbToLab, deltaE: deltaE2000 });
+    });
+  }
+
+  async function renderMigration() {
+    const run = ++migrationRun;
+    const summary = $('#migration-summary');
+    $('#btn-migration-clear').disabled = !migrationBaseline;
+    if (!migrationBaseline) {
+      migrationResult = null;
+      migrationDrawn = null;
+      $('#migration-body').hidden = true;
+      summary.textContent = t('migration.empty');
+      return;
+    }
+
+    const key = settingsKey();
+    if (!migrationResult || migrationResult.baseline !== migrationBaseline || migrationResult.key !== key) {
+      summary.textContent = t('grid.computing');
+      let migration;
+      try {
+        migration = await computeMigration(migrationBaseline);
+      } catch (err) {
+        if (run === migrationRun) summary.textContent = t('warning.hashUnavailable', { error: errorText(err) });
+        return;
+      }
+      if (run !== migrationRun) return;
+      migrationResult = { baseline: migrationBaseline, key, migration };
+    }
+
+    const drawn = { result: migrationResult, darkMode: state.darkMode, cvdMode: state.cvdMode, threshold: migrationThreshold };
+    if (migrationDrawn && Object.keys(drawn).every((k) => drawn[k] === migrationDrawn[k])) return;
+    migrationDrawn = drawn;
+    drawMigration();
+  }
+
+  // The theme being shown, unless the baseline was exported without dark pairs
+  function migrationTheme() {
+    return state.darkMode && migrationResult.migration.summary.dark.count > 0 ? 'dark' : 'light';
+  }
+
+  function isPinned(user) {
+    if (migrationPins.has(user.key)) return migrationPins.get(user.key);
+    return Math.max(user.light.deltaE, user.dark ? user.dark.deltaE : 0) >= migrationThreshold;
+  }
+
+  function pinnedKeys() {
+    return migrationResult.migration.users.filter(isPinned).map((user) => user.key);
+  }
+
+  function renderPinnedCount() {
+    $('#migration-pinned').textContent = t('migration.pinned', { count: pinnedKeys().length });
+  }
+
+  function drawMigration() {
+    const { migration } = migrationResult;
+    const theme = migrationTheme();
+    const s = migration.summary[theme];
+    $('#migration-body').hidden = false;
+    $('#migration-summary').textContent = [
+      t('migration.changes', { count: s.changed, total: s.count }),
+      t('migration.belowTarget', { count: s.belowTarget, newly: s.newlyBelowTarget }),
+    ].join(' · ');
+
+    const { from, to } = migration.settings;
+    const changes = ColorMigration.settingChanges(migration);
+    $('#migration-settings').innerHTML = changes.length === 0
+      ? `<li class="ab-settings-empty">${t('migration.sameSettings')}</li>`
+      : changes.map((key) => `<li><code>${escapeHtml(key)}</code> ${escapeHtml(formatSetting(from[key]))} → ${escapeHtml(formatSetting(to[key]))}</li>`).join('');
+
+    const value = (n) => (n === null ? '—' : String(n));
+    const rows = [
+      [t('migration.theme'), t(theme === 'dark' ? 'migration.themeDark' : 'migration.themeLight')],
+      [t('migration.deltaEMean'), `${value(s.deltaE.mean)} / ${value(s.deltaE.p50)}`],
+      [t('migration.deltaEMax'), `${value(s.deltaE.p90)} / ${value(s.deltaE.max)}`],
+    ].concat(s.buckets.map((b) => [
+      b.max === null ? `ΔE ≥ ${b.min}` : `ΔE ${b.min}–${b.max}`,
+      String(b.count),
+    ]));
+    $('#migration-report').innerHTML = rows
+      .map(([label, text]) => `<tr><th>${label}</th><td>${escapeHtml(text)}</td></tr>`)
+      .join('');
+
+    // Users that move or miss the target, biggest change first
+    migrationRows = migration.users
+      .filter((user) => user[theme] && (user[theme].changed || user[theme].to.belowTarget))
+      .sort((a, b) => b[theme].deltaE - a[theme].deltaE);
+    if (!migrationList) migrationList = VirtualList.createVirtualList($('#migration-list'), { rowHeight: 44, renderItem: migrationItem });
+    migrationList.update(migrationRows.length);
+    renderPinnedCount();
+  }
+
+  function migrationSwatch(color, initials) {
+    const ring = color.ring ? `; box-shadow: inset 0 0 0 2px ${displayColor(color.ring)}` : '';
+    return `<span class="migration-swatch" style="background: ${displayColor(color.background)}; color: ${displayColor(color.textColor)}${ring}">${escapeHtml(initials)}</span>`;
+  }
+
+  function migrationItem(rowIndex) {
+    const user = migrationRows[rowIndex];
+    const entry = user[migrationTheme()];
+    const item = document.createElement('div');
+    item.className = 'ab-diff-item';
+    item.innerHTML = `
+      <span class="ab-diff-name">${escapeHtml(user.name)}</span>
+      ${migrationSwatch(entry.from, user.initials)}
+      <span class="ab-diff-arrow">→</span>
+      ${migrationSwatch(entry.to, user.initials)}
+      <span class="migration-delta">ΔE ${entry.deltaE}</span>
+      <span class="avatar-list-badge ${entry.to.belowTarget ? 'fail' : 'pass'}">${t(entry.to.belowTarget ? 'migration.below' : 'migration.meets')}</span>
+      <label class="migration-pin"><input type="checkbox"${isPinned(user) ? ' checked' : ''}> ${t('migration.pin')}</label>
+    `;
+    item.querySelector('input').addEventListener('change', (e) => {
+      migrationPins.set(user.key, e.target.checked);
+      renderPinnedCount();
+    });
+    return item;
+  }
+
+  function readMigrationFile(file) {
+    if (!file) return;
+    file.text().then((text) => {
+      let baseline;
+      try {
+        baseline = ColorMigration.parseBaseline(text);
+      } catch (err) {
+        setMigrationStatus(t('migration.unreadable', { error: errorText(err) }), true);
+        return;
+      }
+      migrationBaseline = Object.assign(baseline, { fileName: file.name });
+      migrationPins.clear();
+      setMigrationStatus(t('migration.loaded', { name: file.name, count: baseline.users.length }));
+      renderMigration();
+    });
+  }
+
+  function bindMigration() {
+    $('#migration-file').addEventListener('change', (e) => {
+      readMigrationFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    $('#btn-migration-clear').addEventListener('click', () => {
+      migrationBaseline = null;
+      migrationPins.clear();
+      setMigrationStatus('');
+      renderMigration();
+    });
+
+    $('#migration-threshold').addEventListener('change', (e) => {
+      const value = Number(e.target.value);
+      if (!(value > 0)) {
+        e.target.value = migrationThreshold;
+        return;
+      }
+      migrationThreshold = value;
+      renderMigration();
+    });
+
+    const migrationFile = (suffix) => `${(migrationBaseline.fileName || 'avatar-design-tokens').replace(/\.json$/i, '')}.${suffix}`;
+    $('#btn-migration-json').addEventListener('click', () => {
+      if (!migrationResult) return;
+      const data = ColorMigration.toMappingJson(migrationResult.migration);
+      downloadBlob(new Blob([data], { type: 'application/json' }), migrationFile('migration.json'));
+    });
+    $('#btn-migration-csv').addEventListener('click', () => {
+      if (!migrationResult) return;
+      const data = ColorMigration.toMappingCsv(migrationResult.migration);
+      downloadBlob(new Blob([data], { type: 'text/csv' }), migrationFile('migration.csv'));
+    });
+    $('#btn-migration-pins').addEventListener('click', () => {
+      if (!migrationResult) return;
+      const keys = pinnedKeys();
+      if (keys.length === 0) {
+        alert(t('migration.noPins'));
+        return;
+      }
+      const data = ColorMigration.toPinsJson(migrationResult.migration, keys);
+      downloadBlob(new Blob([data], { type: 'application/json' }), migrationFile('pins.json'));
+    });
+  }
+
+  // ── Brand palette editor ──────────────────────────
+  const PALETTE_STORAGE_KEY = 'avatar-playground.palettes';
+
+  function renderPaletteEditor() {
+    const container = $('#palette-entries');
+    container.innerHTML = '';
+    state.customPalette.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = 'palette-entry';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <input type="color" class="palette-swatch" value="${entry.hex}" aria-label="${t('palette.entry', { n: index + 1 })}">
+        <input type="text" class="palette-hex" value="${entry.hex.toUpperCase()}" spellcheck="false">
+        <select class="palette-text" aria-label="${t('palette.textColor')}">
+          <option value="">${t('palette.textAuto')}</option>
+          <option value="#ffffff">${t('palette.textWhite')}</option>
+          <option value="#000000">${t('palette.textBlack')}</option>
+        </select>
+        <span class="palette-contrast"></span>
+        <button class="palette-btn" data-action="up" title="${t('common.up')}" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="palette-btn" data-action="down" title="${t('common.down')}" ${index === state.customPalette.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="palette-btn" data-action="remove" title="${t('common.remove')}">×</button>
+      `;
+      row.querySelector('.palette-text').value = entry.text || '';
+      container.appendChild(row);
+      updatePaletteRow(row);
+    });
+  }
+
+  // Refresh one row in place so an open color picker is not torn down
+  function updatePaletteRow(row) {
+    const entry = state.customPalette[Number(row.dataset.index)];
+    const info = computeEntryColor(entry, engine.config);
+    const badge = row.querySelector('.palette-contrast');
+    badge.textContent = state.contrastAlgorithm === 'apca'
+      ? `Lc ${Math.abs(info.apcaContrast).toFixed(0)}`
+      : `${info.contrastRatio.toFixed(1)}:1`;
+    badge.className = 'palette-contrast ' + info.level.cssClass;
+    badge.title = levelLabel(info.level);
+    row.querySelector('.palette-swatch').value = entry.hex;
+    row.querySelector('.palette-hex').value = entry.hex.toUpperCase();
+  }
+
+  function setPaletteStatus(msg, isError) {
+    const status = $('#palette-status');
+    status.textContent = msg;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  function bindPaletteEditor() {
+    const container = $('#palette-entries');
+
+    container.addEventListener('input', (e) => {
+      if (!e.target.classList.contains('palette-swatch')) return;
+      const row = e.target.closest('.palette-entry');
+      state.customPalette[Number(row.dataset.index)].hex = e.target.value;
+      render();
+      updatePaletteRow(row);
+    });
+
+    container.addEventListener('change', (e) => {
+      const row = e.target.closest('.palette-entry');
+      if (!row) return;
+      const entry = state.customPalette[Number(row.dataset.index)];
+      if (e.target.classList.contains('palette-hex')) {
+        const hex = normalizeHex(e.target.value);
+        if (hex) entry.hex = hex;
+      } else if (e.target.classList.contains('palette-text')) {
+        if (e.target.value) entry.text = e.target.value;
+        else delete entry.text;
+      } else {
+        return;
+      }
+      render();
+      updatePaletteRow(row);
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('.palette-btn');
+      if (!button) return;
+      const index = Number(button.closest('.palette-entry').dataset.index);
+      const palette = state.customPalette;
+      const action = button.dataset.action;
+      if (action === 'remove') {
+        palette.splice(index, 1);
+      } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        [palette[index], palette[target]] = [palette[target], palette[index]];
+      }
+      renderPaletteEditor();
+      render();
+    });
+
+    $('#btn-add-palette-color').addEventListener('click', () => {
+      const last = state.customPalette[state.customPalette.length - 1];
+      state.customPalette.push({ hex: last ? last.hex : '#4f46e5' });
+      renderPaletteEditor();
+      render();
+    });
+
+    $('#btn-import-palette').addEventListener('click', () => {
+      let parsed;
+      try {
+        parsed = parsePalette($('#palette-import-text').value);
+      } catch (err) {
+        setPaletteStatus(t('palette.unreadable', { error: errorText(err) }), true);
+        return;
+      }
+      if (parsed.entries.length === 0) {
+        setPaletteStatus(t('palette.noColors'), true);
+        return;
+      }
+      state.customPalette = parsed.entries;
+      state.useCustomPalette = true;
+      $('#toggle-custom-palette').checked = true;
+      if (parsed.name) $('#palette-name').value = parsed.name;
+      setPaletteStatus(t('palette.imported', { count: parsed.entries.length }));
+      renderPaletteEditor();
+      render();
+    });
+
+    $('#btn-save-palette').addEventListener('click', () => {
+      const name = $('#palette-name').value.trim();
+      if (!name) {
+        setPaletteStatus(t('palette.nameRequired'), true);
+        return;
+      }
+      const saved = loadSavedPalettes();
+      saved[name] = state.customPalette.map((entry) => Object.assign({}, entry));
+      if (!storeSavedPalettes(saved)) return;
+      state.paletteName = name;
+      renderSavedPalettes();
+      setPaletteStatus(t('palette.stored', { name }));
+    });
+
+    $('#select-saved-palette').addEventListener('change', (e) => {
+      const saved = loadSavedPalettes();
+      const entries = saved[e.target.value];
+      if (!entries) return;
+      state.customPalette = entries.map((entry) => Object.assign({}, entry));
+      state.paletteName = e.target.value;
+      $('#palette-name').value = e.target.value;
+      renderPaletteEditor();
+      render();
+    });
+
+    $('#btn-delete-palette').addEventListener('click', () => {
+      const name = $('#select-saved-palette').value;
+      if (!name) return;
+      const saved = loadSavedPalettes();
+      delete saved[name];
+      if (!storeSavedPalettes(saved)) return;
+      renderSavedPalettes();
+      setPaletteStatus(t('palette.deleted', { name }));
+    });
+  }
+
+  function loadSavedPalettes() {
+    try {
+      return JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function storeSavedPalettes(saved) {
+    try {
+      localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(saved));
+      return true;
+    } catch (err) {
+      setPaletteStatus(t('common.storageFailed'), true);
+      return false;
+    }
+  }
+
+  function renderSavedPalettes() {
+    const select = $('#select-saved-palette');
+    const names = Object.keys(loadSavedPalettes()).sort();
+    select.innerHTML = `<option value="">${t('palette.choose')}</option>` + names
+      .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('');
+    select.value = names.includes(state.paletteName) ? state.paletteName : '';
+  }
+
+  // ── Shareable configuration ─────────────────────
+  // The whole state travels in the URL hash and in named presets. Controls
+  // are listed here so a loaded preset can be written back into the form.
+  const PRESET_STORAGE_KEY = 'avatar-playground.presets';
+  const DEFAULT_STATE = JSON.parse(JSON.stringify(state));
+
+  const CONTROLS = [
+    ['#select-name-locale', 'nameLocale'],
+    ['#select-initials-count', 'initialsCount'],
+    ['#identity-input', 'identity'],
+    ['#select-identity-key', 'identityKey'],
+    ['#select-hash-strategy', 'hashStrategy'],
+    ['#toggle-hash-compare', 'hashCompare'],
+    ['#select-color-space', 'colorSpace'],
+    ['#slider-saturation', 'saturation'],
+    ['#slider-lightness', 'lightness', '#val-lightness'],
+    ['#slider-dark-saturation', 'darkSaturation'],
+    ['#slider-dark-lightness', 'darkLightness', '#val-dark-lightness'],
+    ['#surface-light', 'lightSurface'],
+    ['#surface-dark', 'darkSurface'],
+    ['#slider-font-size', 'fontSize', '#val-font-size'],
+    ['#slider-letter-spacing', 'letterSpacing', '#val-letter-spacing'],
+    ['#select-font-weight', 'fontWeight'],
+    ['#font-family', 'fontFamily'],
+    ['#toggle-fullname-color', 'useFullNameColor'],
+    ['#toggle-limited-palette', 'limitedPalette'],
+    ['#toggle-custom-palette', 'useCustomPalette'],
+    ['#toggle-distinct-colors', 'distinctColors'],
+    ['#toggle-dark-mode', 'darkMode'],
+    ['#select-contrast-algorithm', 'contrastAlgorithm'],
+    ['#toggle-force-aaa', 'forceAAA'],
+    ['#select-variant', 'variant'],
+    ['#select-text-strategy', 'textStrategy'],
+    ['#select-cvd', 'cvdMode'],
+    ['#select-token-format', 'tokenFormat'],
+    ['#select-image-format', 'imageFormat'],
+    ['#select-image-size', 'imageSize'],
+    ['#service-base', 'serviceUrl'],
+  ];
+
+  // Copies every setting whose type matches the default; anything missing
+  // (an older preset) or malformed resets to the default instead
+  function applySettings(settings) {
+    Object.keys(DEFAULT_STATE).forEach((key) => {
+      const fallback = DEFAULT_STATE[key];
+      const value = settings[key];
+      const valid = Array.isArray(fallback)
+        ? Array.isArray(value)
+        : value !== null && typeof value === typeof fallback;
+      state[key] = JSON.parse(JSON.stringify(valid ? value : fallback));
+    });
+
+    // Entries as parsePalette builds them: an invalid text color is dropped
+    // rather than reaching the engine
+    state.customPalette = state.customPalette
+      .filter((entry) => entry && normalizeHex(entry.hex))
+      .map((entry) => {
+        const clean = { hex: normalizeHex(entry.hex) };
+        const text = entry.text && normalizeHex(entry.text);
+        if (text) clean.text = text;
+        if (entry.name) clean.name = String(entry.name);
+        return clean;
+      });
+    state.fontFamily = state.fontFamily.trim();
+    state.sizeRules = normalizeSizeRules(state.sizeRules);
+    ['lightSurface', 'darkSurface'].forEach((key) => {
+      state[key] = normalizeHex(state[key]) || DEFAULT_STATE[key];
+    });
+    const textColors = state.textColors || {};
+    state.textColors = {
+      dark: normalizeHex(textColors.dark || '') || DEFAULT_STATE.textColors.dark,
+      light: normalizeHex(textColors.light || '') || DEFAULT_STATE.textColors.light,
+    };
+    state.particleRules = state.particleRules
+      .filter((rule) => rule && typeof rule.particle === 'string')
+      .map((rule) => ({
+        particle: rule.particle,
+        action: PARTICLE_ACTIONS.includes(rule.action) ? rule.action : 'skip',
+      }));
+    state.dataset = cleanDataset(state.dataset);
+
+    // Select values the form does not offer fall back too, and slider
+    // values are held to the slider's range
+    CONTROLS.forEach(([sel, key]) => {
+      const el = $(sel);
+      if (el.type === 'range') {
+        const value = Math.round(state[key]);
+        state[key] = isFinite(value)
+          ? Math.min(Number(el.max), Math.max(Number(el.min), value))
+          : DEFAULT_STATE[key];
+        return;
+      }
+      if (el.tagName !== 'SELECT') return;
+      const offered = [...el.options].some((option) => option.value === String(state[key]));
+      if (!offered) state[key] = DEFAULT_STATE[key];
+    });
+
+    syncControls();
+  }
+
+  // Records as the import builds them: { name, id, email }
+  function cleanDataset(records) {
+    return records
+      .filter((record) => record && typeof record.name === 'string')
+      .map((record) => ({
+        name: record.name,
+        id: record.id == null ? null : String(record.id),
+        email: record.email == null ? null : String(record.email),
+      }));
+  }
+
+  // Writes state back into every control and dependent label
+  function syncControls() {
+    nameInput.value = state.name;
+    CONTROLS.forEach(([sel, key, valueLabel]) => {
+      const el = $(sel);
+      if (el.type === 'checkbox') el.checked = state[key];
+      else el.value = String(state[key]);
+      if (valueLabel) $(valueLabel).textContent = state[key];
+    });
+    document.body.classList.toggle('dark-mode', state.darkMode);
+    state.contrastLevel = updateContrastLevels(state.contrastLevel);
+    updateColorSpaceLabels();
+    updateProfileHint();
+    renderParticleRules();
+    renderSizeRules();
+    syncTextColors();
+    $('#palette-name').value = state.paletteName;
+    renderPaletteEditor();
+    renderSavedPalettes();
+  }
+
+  function syncTextColors() {
+    $('#text-color-dark').value = state.textColors.dark;
+    $('#text-color-light').value = state.textColors.light;
+    $('#text-colors').hidden = state.textStrategy !== 'custom';
+  }
+
+  function currentPreset(name) {
+    return PlaygroundConfig.createPreset(state, name);
+  }
+
+  function loadPreset(preset) {
+    applySettings(preset.settings);
+    render();
+    if (preset.fromNewerVersion) {
+      setPresetStatus(t('presets.newerVersion'), true);
+    }
+  }
+
+  // The address bar follows the settings but never the dataset: thousands
+  // of names outgrow what browsers and servers accept in a URL. A copied
+  // link takes a small dataset along; a preset file takes any, and the
+  // browser keeps the last one (see Dataset storage).
+  const URL_EXCLUDED = ['dataset'];
+  const MAX_LINK_LENGTH = 8000; // hash characters a copied link may use
+  const URL_DELAY = 250; // ms of quiet before the address bar is rewritten
+  let urlTimer = null;
+
+  function linkHash(withDataset) {
+    const settings = {};
+    Object.keys(state).forEach((key) => {
+      if (withDataset || !URL_EXCLUDED.includes(key)) settings[key] = state[key];
+    });
+    return PlaygroundConfig.encodeHash(PlaygroundConfig.createPreset(settings));
+  }
+
+  // Keeps the address bar shareable without adding history entries;
+  // slider drags rewrite it once they pause
+  function updateUrl() {
+    clearTimeout(urlTimer);
+    urlTimer = setTimeout(() => {
+      urlTimer = null;
+      const hash = linkHash(false);
+      if (location.hash !== hash) history.replaceState(null, '', hash);
+    }, URL_DELAY);
+  }
+
+  // The link to copy: with the dataset when it fits, else without
+  function shareLink() {
+    const withDataset = state.dataset.length > 0 ? linkHash(true) : null;
+    const fits = withDataset !== null && withDataset.length <= MAX_LINK_LENGTH;
+    return {
+      url: location.href.split('#')[0] + (fits ? withDataset : linkHash(false)),
+      datasetDropped: withDataset !== null && !fits,
+    };
+  }
+
+  function loadFromUrl() {
+    let preset;
+    try {
+      preset = PlaygroundConfig.decodeHash(location.hash);
+    } catch (err) {
+      setPresetStatus(t('presets.invalidLink', { error: errorText(err) }), true);
+      return;
+    }
+    if (!preset) return;
+    // Links without a dataset leave the current one in place
+    if (!Array.isArray(preset.settings.dataset)) {
+      preset.settings = Object.assign({}, preset.settings, { dataset: state.dataset });
+    }
+    loadPreset(preset);
+  }
+
+  // ── Dataset storage ───────────────────────────────
+  // The last dataset is kept in IndexedDB, which has room for a large
+  // directory where localStorage does not, and restored on the next visit.
+  // Storage is a convenience: where it is unavailable (private windows,
+  // a full quota) the dataset is simply not restored.
+  const DATASET_DB = 'avatar-playground';
+  const DATASET_STORE = 'dataset';
+  let datasetDb = null;
+  let storedDataset = null; // the dataset last written
+  let datasetRestored = false; // nothing is written before the restore
+
+  function datasetRequest(mode, action) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    if (!datasetDb) {
+      datasetDb = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DATASET_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(DATASET_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return datasetDb.then((db) => new Promise((resolve, reject) => {
+      const req = action(db.transaction(DATASET_STORE, mode).objectStore(DATASET_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+  }
+
+  // Runs on every render, but only writes a dataset that was replaced
+  function storeDataset() {
+    if (!datasetRestored || state.dataset === storedDataset) return;
+    storedDataset = state.dataset;
+    datasetRequest('readwrite', (store) => store.put(state.dataset, 'current')).catch(() => {});
+  }
+
+  // A dataset from the link or one imported meanwhile wins over the
+  // stored one
+  function restoreDataset() {
+    const loaded = state.dataset;
+    datasetRequest('readonly', (store) => store.get('current'))
+      .then((records) => (Array.isArray(records) ? records : []), () => [])
+      .then((records) => {
+        datasetRestored = true;
+        if (records.length > 0 && state.dataset === loaded && loaded.length === 0) {
+          state.dataset = cleanDataset(records);
+          storedDataset = state.dataset;
+          render();
+        } else {
+          storeDataset();
+        }
+      });
+  }
+
+  function setPresetStatus(msg, isError) {
+    const status = $('#preset-status');
+    status.textContent = msg;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  function loadSavedPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function storeSavedPresets(saved) {
+    try {
+      localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(saved));
+      return true;
+    } catch (err) {
+      setPresetStatus(t('common.storageFailed'), true);
+      return false;
+    }
+  }
+
+  function renderSavedPresets(selected) {
+    const select = $('#select-preset');
+    const names = Object.keys(loadSavedPresets()).sort();
+    select.innerHTML = `<option value="">${t('presets.choose')}</option>` + names
+      .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('');
+    select.value = names.includes(selected) ? selected : '';
+  }
+
+  function readPresetFile(file) {
+    if (!file) return;
+    file.text().then((text) => {
+      let preset;
+      try {
+        preset = PlaygroundConfig.parsePreset(text);
+      } catch (err) {
+        setPresetStatus(t('presets.unreadable', { error: errorText(err) }), true);
+        return;
+      }
+      if (preset.name) $('#preset-name').value = preset.name;
+      loadPreset(preset);
+      if (!preset.fromNewerVersion) setPresetStatus(t('presets.loaded', { name: preset.name || file.name }));
+    });
+  }
+
+  function bindPresets() {
+    $('#btn-copy-link').addEventListener('click', () => {
+      const link = shareLink();
+      const done = () => setPresetStatus(t(link.datasetDropped ? 'presets.linkCopiedNoDataset' : 'presets.linkCopied'), link.datasetDropped);
+      const fail = () => setPresetStatus(t('presets.copyFailed'), true);
+      if (navigator.clipboard) navigator.clipboard.writeText(link.url).then(done, fail);
+      else fail();
+    });
+
+    $('#btn-save-preset').addEventListener('click', () => {
+      const name = $('#preset-name').value.trim();
+      if (!name) {
+        setPresetStatus(t('presets.nameRequired'), true);
+        return;
+      }
+      const saved = loadSavedPresets();
+      saved[name] = currentPreset(name);
+      if (!storeSavedPresets(saved)) return;
+      renderSavedPresets(name);
+      setPresetStatus(t('presets.stored', { name }));
+    });
+
+    $('#select-preset').addEventListener('change', (e) => {
+      const stored = loadSavedPresets()[e.target.value];
+      if (!stored) return;
+      let preset;
+      try {
+        preset = PlaygroundConfig.parsePreset(stored);
+      } catch (err) {
+        setPresetStatus(t('presets.unreadable', { error: errorText(err) }), true);
+        return;
+      }
+      $('#preset-name').value = e.target.value;
+      loadPreset(preset);
+    });
+
+    $('#btn-delete-preset').addEventListener('click', () => {
+      const name = $('#select-preset').value;
+      if (!name) return;
+      const saved = loadSavedPresets();
+      delete saved[name];
+      if (!storeSavedPresets(saved)) return;
+      renderSavedPresets();
+      setPresetStatus(t('presets.deleted', { name }));
+    });
+
+    $('#btn-export-preset').addEventListener('click', () => {
+      const name = $('#preset-name').value.trim();
+      const data = JSON.stringify(currentPreset(name), null, 2) + '\n';
+      downloadBlob(
+        new Blob([data], { type: 'application/json' }),
+        `${slugify(name) || 'avatar-playground'}.preset.json`
+      );
+    });
+
+    $('#preset-file').addEventListener('change', (e) => {
+      readPresetFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    window.addEventListener('hashchange', loadFromUrl);
+  }
+
+  // ── Random name generator ─────────────────────────
+  const FIRST_NAMES = [
+    'Emma', 'Noah', 'Sophie', 'Liam', 'Julia', 'Lucas', 'Mila', 'Daan',
+    'Tess', 'Finn', 'Sara', 'Sem', 'Anna', 'Milan', 'Eva', 'James',
+    'Olivia', 'Alexander', 'Maria', 'Mohammed', 'Fatima', 'Jan', 'Petra',
+    'Pieter', 'Ingrid', 'Carlos', 'Jose', 'Yuki', 'Akira', 'Priya',
+    'Lars', 'Freya', 'Bjorn', 'Astrid', 'Marco', 'Isabella', 'Andre',
+    'Chen', 'Wei', 'Aisha', 'Omar', 'Elena', 'Viktor', 'Anastasia',
+    'Dmitri', 'Sakura', 'Hiroshi', 'Amara', 'Kwame', 'Zara',
+  ];
+
+  const LAST_NAMES = [
+    'de Vries', 'Jansen', 'van den Berg', 'van Dijk', 'Bakker',
+    'Janssen', 'Visser', 'de Boer', 'Mulder', 'de Groot',
+    'Bos', 'Vos', 'Peters', 'Hendriks', 'van Leeuwen',
+    'Dekker', 'Brouwer', 'de Wit', 'Dijkstra', 'Smit',
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Garcia',
+    'Mueller', 'Schmidt', 'Schneider', 'Fischer', 'Weber',
+    'Rossi', 'Russo', 'Ferrari', 'Esposito', 'Bianchi',
+    'Tanaka', 'Watanabe', 'Yamamoto', 'Nakamura', 'Kobayashi',
+    'Johansson', 'Andersson', 'Nilsson', 'Eriksson', 'Larsson',
+    'van der Linden', 'ter Haar', 'ten Brink', 'van Houten', 'de Jong',
+  ];
+
+  // Full names in their own script and name order, so the grid exercises
+  // the script-aware initials rules
+  const INTERNATIONAL_NAMES = [
+    '王小明', '李娜', '欧阳娜娜', '山田太郎', '佐藤 花子', 'やまだ たろう',
+    '김민준', '이서연', 'محمد الأحمد', 'فاطمة الزهراء', 'عبد الله',
+    'דוד כהן', 'נועה לוי', 'สมชาย ใจดี', 'เอกชัย ศรีวิชัย',
+    'अंकित शर्मा', 'क्षितिज पटेल', 'Αλέξανδρος Παπαδόπουλος',
+    'Ольга Смирнова', 'Þórdís Ólafsdóttir', 'Zoë 🌸 de Wit', '🦊',
+  ];
+
+  function generateRandomNames(count) {
+    const names = [];
+    const used = new Set();
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+    while (names.length < count) {
+      // Roughly one in five names comes from the international list
+      const full = Math.random() < 0.2
+        ? pick(INTERNATIONAL_NAMES)
+        : pick(FIRST_NAMES) + ' ' + pick(LAST_NAMES);
+      if (!used.has(full)) {
+        used.add(full);
+        names.push(full);
+      }
+      // Safety valve
+      if (used.size >= FIRST_NAMES.length * LAST_NAMES.length + INTERNATIONAL_NAMES.length) break;
+    }
+    return names;
+  }
+
+  // Sample records get an id and an address so identity keys can be tried
+  function sampleRecords(names) {
+    return names.map((name, i) => {
+      const id = 'u' + String(i + 1).padStart(3, '0');
+      const local = slugify(name).replace(/-+/g, '.') || id;
+      return { name, id, email: `${local}@example.com` };
+    });
+  }
+
+  // ── Dataset import ────────────────────────────────
+  let pendingImport = null;
+  // The text last read, so the header toggle can parse it again
+  let importSource = null;
+
+  function showImportError(err) {
+    const status = $('#import-status');
+    pendingImport = null;
+    $('#import-mapping').hidden = true;
+    status.classList.add('error');
+    status.textContent = t('import.unreadable', { error: errorText(err) });
+  }
+
+  // header: whether the first CSV row names the columns; left out, it is
+  // guessed and the toggle shows the guess
+  function loadImportText(text, fileName, header) {
+    const status = $('#import-status');
+    status.classList.remove('error');
+    importSource = { text, fileName };
+    try {
+      pendingImport = DatasetImport.parse(text, fileName, {
+        header,
+        columnName: (n) => t('import.column', { n: String(n) }),
+      });
+    } catch (err) {
+      showImportError(err);
+      return;
+    }
+
+    if (pendingImport.rows.length === 0) {
+      $('#import-mapping').hidden = true;
+      status.textContent = t('import.noRows');
+      return;
+    }
+
+    const mapping = DatasetImport.guessMapping(pendingImport.columns);
+    DatasetImport.FIELDS.forEach((field) => {
+      const select = $(`#map-${field}`);
+      select.innerHTML = `<option value="">${t('import.none')}</option>` + pendingImport.columns
+        .map((col) => `<option value="${escapeHtml(col)}">${escapeHtml(col)}</option>`)
+        .join('');
+      select.value = mapping[field];
+    });
+
+    $('#import-header-row').hidden = pendingImport.format !== 'csv';
+    $('#toggle-import-header').checked = Boolean(pendingImport.header);
+    $('#import-mapping').hidden = false;
+    const found = t('import.found', { count: pendingImport.rows.length, format: pendingImport.format.toUpperCase() });
+    status.textContent = pendingImport.skipped
+      ? found + ' ' + t('import.skippedItems', { count: pendingImport.skipped })
+      : found;
+  }
+
+  function applyImport() {
+    if (!pendingImport) return;
+    const mapping = {};
+    DatasetImport.FIELDS.forEach((field) => {
+      mapping[field] = $(`#map-${field}`).value;
+    });
+
+    const result = DatasetImport.buildDataset(pendingImport.rows, mapping);
+    state.dataset = result.records;
+    $('#import-status').textContent = [
+      t('import.imported', { count: result.records.length }),
+      t('import.duplicates', { count: result.duplicates }),
+      t('import.skipped', { count: result.skipped }),
+    ].join(' · ');
+    render();
+  }
+
+  function readImportFile(file) {
+    if (!file) return;
+    file.text().then((text) => loadImportText(text, file.name)).catch(showImportError);
+  }
+
+  // ── Design token export ───────────────────────────
+  function exportDesignTokens() {
+    const people = state.dataset.length > 0 ? state.dataset : (state.name.trim() ? [previewPerson()] : []);
+    if (people.length === 0) {
+      alert(t('export.noNames'));
+      return;
+    }
+
+    const tokenSet = DesignTokens.buildTokenSet(engine, people);
+    const files = DesignTokens.formatTokens(tokenSet, state.tokenFormat);
+
+    // Multi-file formats (Android values + values-night, iOS asset
+    // catalog) are bundled as a ZIP
+    if (files.length > 1) {
+      const zip = ZipWriter.createZip(files);
+      downloadBlob(new Blob([zip], { type: 'application/zip' }), `avatar-tokens-${state.tokenFormat}.zip`);
+      return;
+    }
+
+    const file = files[0];
+    const fileName = file.name.split('/').pop();
+    const type = fileName.endsWith('.json') ? 'application/json' : 'text/plain';
+    downloadBlob(new Blob([file.data], { type }), fileName);
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // ── Avatar service ────────────────────────────────
+  // The avatar-server.js URL that renders the current preview, with the
+  // image format and size chosen for export
+  function serviceUrl() {
+    const name = state.name.trim();
+    if (!name) return '';
+    const typography = imageTypography(state.imageSize);
+    const options = Object.assign({}, engine.config, {
+      fontSize: typography.fontSize,
+      letterSpacing: typography.letterSpacing,
+      fontWeight: typography.fontWeight,
+      theme: state.darkMode ? 'dark' : 'light',
+    });
+    const person = { name, identity: state.identity.trim() };
+    const base = (state.serviceUrl || DEFAULT_STATE.serviceUrl).replace(/\/+$/, '');
+    return base + AvatarUrl.avatarPath(person, options, state.imageFormat, state.imageSize);
+  }
+
+  function renderServiceUrl() {
+    $('#service-url').value = serviceUrl();
+    // The service hashes each name on its own; it cannot see the dataset
+    setServiceStatus(state.distinctColors
+      ? t('service.distinctNote')
+      : '');
+  }
+
+  function setServiceStatus(msg, isError) {
+    const status = $('#service-status');
+    status.textContent = msg;
+    status.classList.toggle('error', Boolean(isError));
+  }
+
+  // ── Image export ──────────────────────────────────
+  // The image's size rule applies; the font is referenced by name, so an
+  // uploaded one only shows where it is installed
+  function avatarSvg(av, size) {
+    return AvatarSvg.renderAvatarSvg(av, Object.assign({ size }, imageTypography(size)));
+  }
+
+  // Rasterise through an <img> so the PNG is pixel-identical to the SVG
+  function rasterizeSvg(svg, size) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(img, 0, 0, size, size);
+        canvas.toBlob((blob) => {
+          if (blob) resolve(blob);
+          else reject(new Error(t('export.pngFailed')));
+        }, 'image/png');
+      };
+      img.onerror = () => reject(new Error(t('export.svgFailed')));
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+  }
+
+  function renderAvatarImage(av) {
+    const size = state.imageSize;
+    const svg = avatarSvg(av, size);
+    if (state.imageFormat === 'png') return rasterizeSvg(svg, size);
+    return Promise.resolve(new Blob([svg], { type: 'image/svg+xml' }));
+  }
+
+  function exportPreviewImage() {
+    if (!state.name.trim()) {
+      alert(t('export.noName'));
+      return;
+    }
+    const av = computeAvatar(state.name);
+    renderAvatarImage(av)
+      .then((blob) => downloadBlob(blob, `${slugify(state.name) || 'avatar'}.${state.imageFormat}`))
+      .catch((err) => alert(errorText(err)));
+  }
+
+  // Packs every dataset avatar into one ZIP, named by token key
+  async function exportDatasetZip() {
+    const records = state.dataset;
+    if (records.length === 0) {
+      alert(t('export.noDataset'));
+      return;
+    }
+
+    const button = $('#btn-export-zip');
+    const label = button.textContent;
+    button.disabled = true;
+
+    try {
+      const entries = [];
+      const used = new Set();
+      for (let i = 0; i < records.length; i++) {
+        button.textContent = t('export.progress', { current: i + 1, total: records.length });
+        const av = computeAvatar(records[i]);
+        const blob = await renderAvatarImage(av);
+        const fileName = uniqueFileName(DesignTokens.baseKey(engine, av) || 'avatar', state.imageFormat, used);
+        entries.push({ name: fileName, data: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      const zip = ZipWriter.createZip(entries);
+      downloadBlob(
+        new Blob([zip], { type: 'application/zip' }),
+        `avatars-${state.imageFormat}-${state.imageSize}.zip`
+      );
+    } catch (err) {
+      alert(errorText(err));
+    } finally {
+      button.disabled = false;
+      button.textContent = label;
+    }
+  }
+
+  function uniqueFileName(key, ext, used) {
+    let fileName = `${key}.${ext}`;
+    for (let n = 2; used.has(fileName); n++) {
+      fileName = `${key}-${n}.${ext}`;
+    }
+    used.add(fileName);
+    return fileName;
+  }
+
+  // ── Dataset worker ────────────────────────────────
+  // Large datasets are computed in a Web Worker so sliders stay responsive.
+  // A newer job replaces a running one: the worker is restarted rather
+  // than left to finish results nobody will draw.
+  const WORKER_THRESHOLD = 2000;
+  let worker = null; // null = not started, false = unavailable
+  let workerJob = null;
+  let workerJobId = 0;
+
+  function startWorker() {
+    try {
+      worker = new Worker('avatar-worker.js');
+    } catch (err) {
+      worker = false;
+      return;
+    }
+    worker.onmessage = (e) => {
+      const job = workerJob;
+      if (!job || e.data.id !== job.id) return;
+      workerJob = null;
+      if (e.data.error) job.reject(new Error(e.data.error));
+      else job.resolve(e.data);
+    };
+    // Blocked (e.g. opened from file://) or crashed: compute on the main thread
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      worker = false;
+      if (workerJob) workerJob.reject(new Error('Web Worker niet beschikbaar'));
+      workerJob = null;
+    };
+  }
+
+  function computeInWorker(next, people) {
+    if (workerJob) {
+      worker.terminate();
+      worker = null;
+      workerJob.reject(null);
+    }
+    if (worker === null) startWorker();
+    if (!worker) return Promise.reject(new Error('Web Worker niet beschikbaar'));
+
+    const id = ++workerJobId;
+    return new Promise((resolve, reject) => {
+      workerJob = { id, resolve, reject };
+      worker.postMessage({
+        id,
+        config: Object.assign({}, next.config, { assignmentGroup: null }),
+        people,
+        distinct: Boolean(next.config.assignmentGroup),
+      });
+    }).then((result) => {
+      next.prime(people, result.avatars, result.assignment, result.darkAvatars);
+    });
+  }
+
+  // ── Full render ───────────────────────────────────
+  // The engine (and with it the memoised avatars) is kept while the color
+  // settings and dataset stay the same, so typography and display changes
+  // only redraw.
+  let pendingEngine = null;
+  let engineKey = null;
+  let engineDataset = null;
+  let avatarsEngine = null;
+
+  function settingsKey() {
+    const config = resolveOptions(engineOptions());
+    return JSON.stringify(Object.assign(config, { assignmentGroup: Boolean(config.assignmentGroup) }));
+  }
+
+  function render() {
+    updateUrl();
+    storeDataset();
+    const key = settingsKey();
+    const reuse = pendingEngine !== null && key === engineKey && state.dataset === engineDataset;
+    const next = reuse ? pendingEngine : createAvatarEngine(engineOptions());
+    pendingEngine = next;
+    engineKey = key;
+    engineDataset = state.dataset;
+    // Still being prepared: that render will pick up the current state
+    if (reuse && avatarsEngine !== next) return;
+
+    const ready = prepareEngine(next, reuse);
+    if (!ready) {
+      renderViews(next);
+      return;
+    }
+    // Only the latest render draws. The preview may have changed meanwhile,
+    // so its digest is checked once more.
+    ready.then(() => next.needsPreparation && next.prepare([previewPerson()])).then(
+      () => {
+        if (pendingEngine === next) renderViews(next);
+      },
+      (err) => {
+        if (err === null || pendingEngine !== next) return;
+        pendingEngine = null;
+        distWarnings.innerHTML = '';
+        addWarning('warning', t('warning.hashUnavailable', { error: errorText(err) }));
+      }
+    );
+  }
+
+  // Returns a promise when `next` needs asynchronous work before it can
+  // compute without blocking (SHA-256 digests, a worker job), else null
+  function prepareEngine(next, reuse) {
+    const preview = [previewPerson()];
+    const digests = (people) => (next.needsPreparation ? next.prepare(people) : null);
+    if (reuse) return digests(preview);
+
+    const useWorker = worker !== false && typeof Worker !== 'undefined' &&
+      state.dataset.length >= WORKER_THRESHOLD;
+    if (!useWorker) return digests(state.dataset.concat(preview));
+
+    gridCount.textContent = `(${state.dataset.length} · ${t('grid.computing')})`;
+    return Promise.all([computeInWorker(next, state.dataset), digests(preview)]).catch((err) => {
+      if (err === null) throw err; // superseded by a newer job
+      // No worker after all: compute on this thread
+      return digests(state.dataset.concat(preview));
+    });
+  }
+
+  // Coalesces slider drags into one render per frame
+  let renderQueued = false;
+
+  function scheduleRender() {
+    if (renderQueued) return;
+    renderQueued = true;
+    requestAnimationFrame(() => {
+      renderQueued = false;
+      render();
+    });
+  }
+
+  function renderViews(next) {
+    engine = next;
+    InitialsAvatar.configure(typographyConfig());
+    if (avatarsEngine !== next) {
+      datasetAvatars = next.computeAll(state.dataset);
+      datasetDarkAvatars = next.computeAllDark(state.dataset);
+      avatarsEngine = next;
+    }
+    renderSinglePreview();
+    renderServiceUrl();
+    renderGrid();
+    renderList();
+    renderFitStatus();
+    renderHashComparison();
+    renderAbComparison();
+    renderMigration();
+  }
+
+  // ── Event bindings ────────────────────────────────
+  function init() {
+    // Language first, so everything below words itself in it
+    I18n.setLocale(initialLanguage());
+    document.documentElement.lang = I18n.getLocale();
+    I18n.translateDom(document);
+    populateLanguages();
+    // Labels worded by the code, for the default settings
+    updateColorSpaceLabels();
+    state.contrastLevel = updateContrastLevels(state.contrastLevel);
+
+    $('#select-language').addEventListener('change', (e) => {
+      try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, e.target.value);
+      } catch (err) {
+        // Not remembered, but still switched for this visit
+      }
+      applyLanguage(e.target.value);
+    });
+
+    // Name input
+    nameInput.addEventListener('input', (e) => {
+      state.name = e.target.value;
+      render();
+    });
+
+    $('#identity-input').addEventListener('input', (e) => {
+      state.identity = e.target.value;
+      render();
+    });
+
+    $('#select-identity-key').addEventListener('change', (e) => {
+      state.identityKey = e.target.value;
+      render();
+    });
+
+    populateHashStrategies();
+
+    $('#select-hash-strategy').addEventListener('change', (e) => {
+      state.hashStrategy = e.target.value;
+      render();
+    });
+
+    $('#toggle-hash-compare').addEventListener('change', (e) => {
+      state.hashCompare = e.target.checked;
+      renderHashComparison();
+    });
+
+    // A/B comparison
+    bindAbComparison();
+
+    // Color migration
+    bindMigration();
+
+    // Initials rules
+    populateNameProfiles();
+    updateProfileHint();
+    bindParticleRules();
+    renderParticleRules();
+
+    $('#select-name-locale').addEventListener('change', (e) => {
+      state.nameLocale = e.target.value;
+      updateProfileHint();
+      render();
+    });
+
+    $('#select-initials-count').addEventListener('change', (e) => {
+      state.initialsCount = Number(e.target.value);
+      render();
+    });
+
+    // Toggles
+    $('#toggle-fullname-color').addEventListener('change', (e) => {
+      state.useFullNameColor = e.target.checked;
+      render();
+    });
+
+    $('#toggle-limited-palette').addEventListener('change', (e) => {
+      state.limitedPalette = e.target.checked;
+      render();
+    });
+
+    $('#toggle-distinct-colors').addEventListener('change', (e) => {
+      state.distinctColors = e.target.checked;
+      render();
+    });
+
+    $('#toggle-custom-palette').addEventListener('change', (e) => {
+      state.useCustomPalette = e.target.checked;
+      render();
+    });
+
+    bindPaletteEditor();
+    renderPaletteEditor();
+    renderSavedPalettes();
+
+    $('#toggle-dark-mode').addEventListener('change', (e) => {
       state.darkMode = e.target.checked;
       document.body.classList.toggle('dark-mode', state.darkMode);
       render();
     });
 
+    $('#select-color-space').addEventListener('change', (e) => {
+      state.colorSpace = e.target.value;
+      updateColorSpaceLabels();
+      render();
+    });
+
     // Sliders
     $('#slider-saturation').addEventListener('input', (e) => {
       state.saturation = Number(e.target.value);
-      $('#val-saturation').textContent = state.saturation;
-      render();
+      updateColorSpaceLabels();
+      scheduleRender();
     });
 
     $('#slider-lightness').addEventListener('input', (e) => {
       state.lightness = Number(e.target.value);
       $('#val-lightness').textContent = state.lightness;
-      render();
+      scheduleRender();
+    });
+
+    // Dark theme and surfaces
+    $('#slider-dark-saturation').addEventListener('input', (e) => {
+      state.darkSaturation = Number(e.target.value);
+      updateColorSpaceLabels();
+      scheduleRender();
+    });
+
+    $('#slider-dark-lightness').addEventListener('input', (e) => {
+      state.darkLightness = Number(e.target.value);
+      $('#val-dark-lightness').textContent = state.darkLightness;
+      scheduleRender();
+    });
+
+    [['#surface-light', 'lightSurface'], ['#surface-dark', 'darkSurface']].forEach(([sel, key]) => {
+      $(sel).addEventListener('input', (e) => {
+        state[key] = e.target.value;
+        scheduleRender();
+      });
     });
 
     $('#slider-font-size').addEventListener('input', (e) => {
       state.fontSize = Number(e.target.value);
       $('#val-font-size').textContent = state.fontSize;
-      render();
+      scheduleRender();
     });
 
     $('#slider-letter-spacing').addEventListener('input', (e) => {
       state.letterSpacing = Number(e.target.value);
       $('#val-letter-spacing').textContent = state.letterSpacing;
-      render();
+      scheduleRender();
     });
 
     // Font weight
     $('#select-font-weight').addEventListener('change', (e) => {
-      state.fontWeight = e.target.value;
+      state.fontWeight = Number(e.target.value);
+      render();
+    });
+
+    addFontSuggestions(FONT_SUGGESTIONS);
+    bindSizeRules();
+    renderSizeRules();
+
+    $('#font-family').addEventListener('change', (e) => {
+      state.fontFamily = e.target.value.trim();
       render();
     });
 
-    // Contrast level
+    $('#font-file').addEventListener('change', (e) => {
+      loadFontFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    $('#btn-local-fonts').addEventListener('click', loadLocalFonts);
+
+    // Contrast algorithm and level
+    $('#select-contrast-algorithm').addEventListener('change', (e) => {
+      state.contrastAlgorithm = e.target.value;
+      state.contrastLevel = updateContrastLevels();
+      render();
+      renderPaletteEditor();
+    });
+
     $('#select-contrast-level').addEventListener('change', (e) => {
       state.contrastLevel = Number(e.target.value);
       render();
+      renderPaletteEditor();
+    });
+
+    $('#select-cvd').addEventListener('change', (e) => {
+      state.cvdMode = e.target.value;
+      render();
     });
 
     $('#toggle-force-aaa').addEventListener('change', (e) => {
@@ -656,9 +2867,30 @@
       render();
     });
 
+    // Style variant and text color strategy
+    $('#select-variant').addEventListener('change', (e) => {
+      state.variant = e.target.value;
+      render();
+      renderPaletteEditor();
+    });
+
+    $('#select-text-strategy').addEventListener('change', (e) => {
+      state.textStrategy = e.target.value;
+      syncTextColors();
+      render();
+      renderPaletteEditor();
+    });
+
+    ['dark', 'light'].forEach((tone) => {
+      $(`#text-color-${tone}`).addEventListener('input', (e) => {
+        state.textColors = Object.assign({}, state.textColors, { [tone]: e.target.value });
+        scheduleRender();
+      });
+    });
+
     // Dataset buttons
     $('#btn-generate-dataset').addEventListener('click', () => {
-      state.dataset = generateRandomNames(50);
+      state.dataset = sampleRecords(generateRandomNames(50));
       render();
     });
 
@@ -667,11 +2899,83 @@
       render();
     });
 
+    // Import
+    $('#import-file').addEventListener('change', (e) => {
+      readImportFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    $('#btn-parse-import').addEventListener('click', () => {
+      loadImportText($('#import-text').value);
+    });
+
+    $('#btn-apply-import').addEventListener('click', applyImport);
+    $('#toggle-import-header').addEventListener('change', (e) => {
+      if (importSource) loadImportText(importSource.text, importSource.fileName, e.target.checked);
+    });
+
+    const dropzone = $('#import-dropzone');
+    dropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropzone.classList.add('dragover');
+    });
+    dropzone.addEventListener('dragleave', () => {
+      dropzone.classList.remove('dragover');
+    });
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropzone.classList.remove('dragover');
+      readImportFile(e.dataTransfer.files[0]);
+    });
+
     // Export
+    $('#select-token-format').addEventListener('change', (e) => {
+      state.tokenFormat = e.target.value;
+    });
+
     $('#btn-export-tokens').addEventListener('click', exportDesignTokens);
 
+    $('#select-image-format').addEventListener('change', (e) => {
+      state.imageFormat = e.target.value;
+      renderServiceUrl();
+    });
+
+    $('#select-image-size').addEventListener('change', (e) => {
+      state.imageSize = Number(e.target.value);
+      renderServiceUrl();
+    });
+
+    $('#btn-export-image').addEventListener('click', exportPreviewImage);
+    $('#btn-export-zip').addEventListener('click', exportDatasetZip);
+
+    // Avatar service
+    $('#service-base').addEventListener('input', (e) => {
+      state.serviceUrl = e.target.value.trim();
+      updateUrl();
+      renderServiceUrl();
+    });
+
+    $('#btn-copy-service-url').addEventListener('click', () => {
+      const url = $('#service-url').value;
+      if (!url) return;
+      const done = () => setServiceStatus(t('service.copied'));
+      const fail = () => setServiceStatus(t('service.copyFailed'), true);
+      if (navigator.clipboard) navigator.clipboard.writeText(url).then(done, fail);
+      else fail();
+    });
+
+    // Distribution report
+    $('#btn-report-json').addEventListener('click', () => exportReport('json'));
+    $('#btn-report-csv').addEventListener('click', () => exportReport('csv'));
+
+    // Presets, and a configuration passed in the link
+    bindPresets();
+    renderSavedPresets();
+    loadFromUrl();
+
     // Initial render
     render();
+    restoreDataset();
   }
 
   // ── Boot ──────────────────────────────────────────
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/* ============================================
+   Avatar CLI — headless tokens, SVGs and audits
+   Runs the playground's engine over a names file
+   so a build pipeline can export without a browser
+   and fail when contrast requirements are not met.
+   ============================================ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const AvatarEngine = require('./avatar-engine.js');
+const DatasetImport = require('./dataset-import.js');
+const DesignTokens = require('./design-tokens.js');
+const AvatarSvg = require('./avatar-svg.js');
+const PlaygroundConfig = require('./playground-config.js');
+const I18n = require('./i18n.js');
+
+// Messages come from the playground's catalogues, in the language of
+// --lang or of the environment (LANG), else English
+I18n.register('en', require('./locales/en.js'));
+I18n.register('nl', require('./locales/nl.js'));
+const { t, errorText } = I18n;
+
+function usage() {
+  return t('cli.usage', {
+    hashes: AvatarEngine.HASH_STRATEGIES.join(', '),
+    profiles: Object.keys(AvatarEngine.NAME_PROFILES).join(', '),
+    darkSaturation: String(AvatarEngine.DARK_THEME.saturation),
+    darkLightness: String(AvatarEngine.DARK_THEME.lightness),
+    darkSurface: AvatarEngine.DARK_THEME.surfaceColor.slice(1),
+    formats: DesignTokens.FORMATS.join(', '),
+    languages: I18n.languages().map((lang) => lang.code).join(', '),
+  });
+}
+
+const BOOLEAN_FLAGS = new Set(['force-contrast', 'distinct', 'json', 'help']);
+const COMMANDS = ['tokens', 'svg', 'audit'];
+
+class UsageError extends Error {}
+// Exit code 3: the run was valid but its output could not be written
+class OutputError extends Error {}
+
+// ── Arguments ───────────────────────────────────────
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const key = arg.slice(2, eq === -1 ? undefined : eq);
+    if (BOOLEAN_FLAGS.has(key)) {
+      flags[key] = true;
+    } else if (eq !== -1) {
+      flags[key] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length) {
+      flags[key] = argv[++i];
+    } else {
+      throw new UsageError(t('cli.flagValue', { flag: key }));
+    }
+  }
+  return { command: positional[0], input: positional[1], flags };
+}
+
+function numberFlag(flags, key, min, max) {
+  const value = Number(flags[key]);
+  if (flags[key] === '' || !isFinite(value) || value < min || value > max) {
+    throw new UsageError(t('cli.flagNumber', { flag: key, min: String(min), max: String(max) }));
+  }
+  return value;
+}
+
+function hexFlag(flags, key) {
+  const hex = AvatarEngine.normalizeHex(flags[key]);
+  if (!hex) throw new UsageError(t('cli.flagHex', { flag: key }));
+  return hex;
+}
+
+function choiceFlag(flags, key, choices) {
+  if (!choices.includes(flags[key])) {
+    throw new UsageError(t('cli.flagChoice', { flag: key, choices: choices.join(', ') }));
+  }
+  return flags[key];
+}
+
+// ── Settings ────────────────────────────────────────
+// Playground state (from a preset) → engine options, the way the
+// playground's engineOptions() maps it
+function presetOptions(file) {
+  let settings;
+  try {
+    settings = PlaygroundConfig.parsePreset(readFile(file)).settings;
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(t('cli.invalidPreset', { file, error: errorText(err) }));
+  }
+  return Object.assign({}, settings, {
+    customPalette: settings.useCustomPalette ? settings.customPalette : null,
+    identityKey: settings.identityKey || null,
+    distinct: Boolean(settings.distinctColors),
+    surfaceColor: settings.lightSurface,
+    darkTheme: { saturation: settings.darkSaturation, lightness: settings.darkLightness, surfaceColor: settings.darkSurface },
+  });
+}
+
+function buildOptions(flags) {
+  const options = flags.preset ? presetOptions(flags.preset) : {};
+
+  if (flags.saturation !== undefined) options.saturation = numberFlag(flags, 'saturation', 0, 100);
+  if (flags.lightness !== undefined) options.lightness = numberFlag(flags, 'lightness', 0, 100);
+  if (flags.palette !== undefined) {
+    options.limitedPalette = flags.palette === 'limited';
+    options.customPalette = null;
+    if (flags.palette !== 'full' && flags.palette !== 'limited') {
+      const { entries } = AvatarEngine.parsePalette(readFile(flags.palette));
+      if (entries.length === 0) throw new UsageError(t('cli.noColors', { file: flags.palette }));
+      options.customPalette = entries;
+    }
+  }
+  if (flags.basis !== undefined) {
+    const basis = choiceFlag(flags, 'basis', ['initials', 'full-name'].concat(AvatarEngine.IDENTITY_KEYS));
+    options.useFullNameColor = basis === 'full-name';
+    options.identityKey = AvatarEngine.IDENTITY_KEYS.includes(basis) ? basis : null;
+  }
+  if (flags.hash !== undefined) options.hashStrategy = choiceFlag(flags, 'hash', AvatarEngine.HASH_STRATEGIES);
+  if (flags['color-space'] !== undefined) {
+    options.colorSpace = choiceFlag(flags, 'color-space', AvatarEngine.COLOR_SPACES);
+  }
+  if (flags.locale !== undefined) {
+    options.nameLocale = choiceFlag(flags, 'locale', Object.keys(AvatarEngine.NAME_PROFILES));
+  }
+  if (flags['contrast-algorithm'] !== undefined) {
+    options.contrastAlgorithm = choiceFlag(flags, 'contrast-algorithm', ['wcag2', 'apca']);
+    // The level's scale differs per algorithm, so it resets with it
+    if (flags.level === undefined) options.contrastLevel = AvatarEngine.CONTRAST_LEVELS[options.contrastAlgorithm].initial;
+  }
+  if (flags.level !== undefined) {
+    const range = AvatarEngine.CONTRAST_LEVELS[options.contrastAlgorithm === 'apca' ? 'apca' : 'wcag2'];
+    options.contrastLevel = numberFlag(flags, 'level', range.min, range.max);
+  }
+  if (flags['force-contrast']) options.forceAAA = true;
+  if (flags.variant !== undefined) options.variant = choiceFlag(flags, 'variant', AvatarEngine.VARIANTS);
+  if (flags.text !== undefined) options.textStrategy = choiceFlag(flags, 'text', AvatarEngine.TEXT_STRATEGIES);
+  if (flags['text-colors'] !== undefined) {
+    const [dark, light] = flags['text-colors'].split(',').map((hex) => AvatarEngine.normalizeHex(hex));
+    if (!dark || !light) throw new UsageError(t('cli.textColors'));
+    options.textColors = { dark, light };
+    if (flags.text === undefined) options.textStrategy = 'custom';
+  }
+  if (flags.surface !== undefined) options.surfaceColor = hexFlag(flags, 'surface');
+  const dark = Object.assign({}, options.darkTheme);
+  if (flags['dark-saturation'] !== undefined) dark.saturation = numberFlag(flags, 'dark-saturation', 0, 100);
+  if (flags['dark-lightness'] !== undefined) dark.lightness = numberFlag(flags, 'dark-lightness', 0, 100);
+  if (flags['dark-surface'] !== undefined) dark.surfaceColor = hexFlag(flags, 'dark-surface');
+  if (Object.keys(dark).length > 0) options.darkTheme = dark;
+  if (flags.distinct) options.distinct = true;
+  return options;
+}
+
+// ── Input / output ──────────────────────────────────
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(t('cli.unreadable', { file, error: err.message }));
+  }
+}
+
+function loadPeople(file) {
+  let parsed;
+  try {
+    parsed = DatasetImport.parse(readFile(file), path.basename(file));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(t('cli.unreadable', { file, error: errorText(err) }));
+  }
+  const { records } = DatasetImport.buildDataset(parsed.rows, DatasetImport.guessMapping(parsed.columns));
+  if (records.length === 0) throw new UsageError(t('cli.noNames', { file }));
+  return records;
+}
+
+function writeFiles(dir, files) {
+  files.forEach((file) => {
+    const target = path.join(dir, file.name);
+    writeFile(target, file.data, true);
+  });
+}
+
+// makeDir: create the missing directories first
+function writeFile(file, data, makeDir) {
+  try {
+    if (makeDir) fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+  } catch (err) {
+    throw new OutputError(t('cli.unwritable', { file, error: err.message }));
+  }
+}
+
+// ── Contrast audit ──────────────────────────────────
+// Every avatar has to meet the forced target when colors are adjusted,
+// otherwise the configured level, in the light and in the dark theme.
+// Avatars below 3:1 against their surface are counted but do not fail.
+function audit(engine, people) {
+  const config = engine.config;
+  const required = AvatarEngine.requiredContrast(config);
+  const isApca = config.contrastAlgorithm === 'apca';
+  const themes = { light: engine.computeAll(people), dark: engine.computeAllDark(people) };
+  const failing = [];
+  const failedPeople = new Set();
+  const surface = { minimum: AvatarEngine.SURFACE_CONTRAST };
+
+  Object.keys(themes).forEach((theme) => {
+    surface[theme] = themes[theme].filter((av) => av.surfaceStatus !== 'pass').length;
+    themes[theme].forEach((av, i) => {
+      const value = isApca ? Math.abs(av.apcaContrast) : av.contrastRatio;
+      if (value >= required) return;
+      failedPeople.add(i);
+      failing.push({
+        theme,
+        name: av.name,
+        identity: av.identity,
+        background: av.background,
+        textColor: av.textColor,
+        contrast: Number(value.toFixed(isApca ? 1 : 2)),
+      });
+    });
+  });
+
+  return {
+    settings: DesignTokens.settingsMetadata(config, engine.darkConfig),
+    required: { algorithm: config.contrastAlgorithm, level: required },
+    total: people.length,
+    passed: people.length - failedPeople.size,
+    failed: failedPeople.size,
+    failing,
+    surface,
+  };
+}
+
+function formatAudit(report) {
+  const unit = report.required.algorithm === 'apca' ? 'Lc ' : '';
+  const suffix = report.required.algorithm === 'apca' ? '' : ':1';
+  const lines = [
+    t('cli.audit.title', { algorithm: report.required.algorithm, level: `${unit}${report.required.level}${suffix}` }),
+    t('cli.audit.summary', { passed: report.passed, total: report.total, failed: report.failed }),
+  ];
+  report.failing.forEach((f) => {
+    const theme = t(`cli.audit.${f.theme}`);
+    lines.push(`  [${theme}] ${f.background} / ${f.textColor}  ${unit}${f.contrast}${suffix}  ${f.name}${f.identity ? ` <${f.identity}>` : ''}`);
+  });
+  if (report.surface.light > 0 || report.surface.dark > 0) {
+    lines.push(t('cli.audit.surface', {
+      minimum: String(report.surface.minimum),
+      light: report.surface.light,
+      dark: report.surface.dark,
+    }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ── Commands ────────────────────────────────────────
+function runTokens(engine, people, flags) {
+  const format = flags.format === undefined ? 'json' : choiceFlag(flags, 'format', DesignTokens.FORMATS);
+  const files = DesignTokens.formatTokens(DesignTokens.buildTokenSet(engine, people), format);
+  if (flags.out) {
+    writeFiles(flags.out, files);
+  } else if (files.length === 1) {
+    process.stdout.write(files[0].data);
+  } else {
+    throw new UsageError(t('cli.multipleFiles', { format }));
+  }
+}
+
+function runSvg(engine, people, flags, options) {
+  if (!flags.out) throw new UsageError(t('cli.svgNeedsOut'));
+  const size = flags.size === undefined ? 128 : numberFlag(flags, 'size', 16, 2048);
+  const svgOptions = { size };
+  ['fontSize', 'letterSpacing', 'fontWeight'].forEach((key) => {
+    if (options[key] !== undefined) svgOptions[key] = options[key];
+  });
+
+  const used = new Set();
+  const files = engine.computeAll(people).map((av) => {
+    const key = DesignTokens.baseKey(engine, av) || 'avatar';
+    let name = `${key}.svg`;
+    for (let n = 2; used.has(name); n++) name = `${key}-${n}.svg`;
+    used.add(name);
+    return { name, data: AvatarSvg.renderAvatarSvg(av, svgOptions) + '\n' };
+  });
+  writeFiles(flags.out, files);
+}
+
+// Resolves to the exit code
+async function run(argv) {
+  I18n.setLocale(I18n.negotiate(I18n.environmentLanguages(process.env)));
+  try {
+    const { command, input, flags } = parseArgs(argv);
+    if (flags.lang !== undefined) {
+      I18n.setLocale(choiceFlag(flags, 'lang', I18n.languages().map((lang) => lang.code)));
+    }
+    if (flags.help) {
+      process.stdout.write(usage() + '\n');
+      return 0;
+    }
+    if (!COMMANDS.includes(command)) {
+      throw new UsageError(command ? t('cli.unknownCommand', { command }) : t('cli.noCommand'));
+    }
+    if (!input) throw new UsageError(t('cli.noInput'));
+
+    const options = buildOptions(flags);
+    const people = loadPeople(input);
+    const engine = AvatarEngine.createAvatarEngine(Object.assign({}, options, {
+      assignmentGroup: options.distinct ? people : null,
+    }));
+    if (engine.needsPreparation) {
+      try {
+        await engine.prepare(people);
+      } catch (err) {
+        throw new UsageError(t('cli.hashUnavailable', { strategy: engine.config.hashStrategy, error: errorText(err) }));
+      }
+    }
+
+    const report = audit(engine, people);
+    if (command === 'tokens') runTokens(engine, people, flags);
+    if (command === 'svg') runSvg(engine, people, flags, options);
+    if (command === 'audit') {
+      const text = flags.json ? JSON.stringify(report, null, 2) + '\n' : formatAudit(report);
+      if (flags.out) writeFile(flags.out, text);
+      else process.stdout.write(text);
+    }
+
+    if (report.failed > 0) {
+      process.stderr.write(`avatar-cli: ${t('cli.contrastFailed', { failed: report.failed, total: report.total })}\n`);
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      process.stderr.write(`avatar-cli: ${err.message}\n${t('cli.seeHelp')}\n`);
+      return 2;
+    }
+    // Never 1: that code means a contrast failure to the pipeline
+    process.stderr.write(`avatar-cli: ${errorText(err)}\n`);
+    return 3;
+  }
+}
+
+module.exports = { parseArgs, buildOptions, audit, run };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      process.stderr.write(`avatar-cli: ${errorText(err)}\n`);
+      process.exitCode = 3;
+    }
+  );
+}
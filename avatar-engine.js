@@ -0,0 +1,1575 @@
+/* ============================================
+   Avatar Engine — DOM-free initials & color logic
+   Works as a classic <script> (window.AvatarEngine),
+   as CommonJS (require) and, via avatar-engine.mjs,
+   as an ES module.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AvatarEngine = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // ── Defaults ───────────────────────────────────────
+  // Every setting the engine reads. Anything else passed to
+  // createAvatarEngine (e.g. the playground's full state) is ignored.
+  const DEFAULT_OPTIONS = {
+    saturation: 65,
+    lightness: 45,
+    colorSpace: 'hsl', // 'hsl' | 'oklch' | 'lch'
+    useFullNameColor: false,
+    identityKey: null, // 'id' | 'email' | 'email-normalized' — hash this field instead of the name
+    hashStrategy: 'cyrb53', // key of HASH_STRATEGIES
+    limitedPalette: false,
+    customPalette: null, // [{ hex, text?, name? }] — overrides the hue palettes
+    assignmentGroup: null, // names or person records to keep maximally distinct (see assignDistinct)
+    contrastAlgorithm: 'wcag2', // 'wcag2' | 'apca'
+    contrastLevel: 4.5, // ratio for wcag2, Lc for apca
+    forceAAA: false,
+    textStrategy: 'black-white', // key of TEXT_STRATEGIES
+    textColors: null, // { dark, light } — the pair for the 'custom' text strategy
+    variant: 'filled', // 'filled' | 'soft' | 'outline'
+    surfaceColor: '#ffffff', // what avatars sit on (the light theme's surface)
+    darkTheme: null, // { saturation, lightness, surfaceColor } — overrides for the dark-theme variant
+    nameLocale: 'default', // key of NAME_PROFILES
+    particleRules: [], // [{ particle, action: 'skip' | 'attach' | 'name' }] — override the profile
+    initialsCount: 0, // 1–3, or 0 for the profile's count
+  };
+
+  function resolveOptions(options) {
+    const config = {};
+    Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+      config[key] = options && options[key] !== undefined
+        ? options[key]
+        : DEFAULT_OPTIONS[key];
+    });
+    return config;
+  }
+
+  // ── Name particle profiles ────────────────────────
+  // Per locale: which particles to skip, whether a capitalised particle
+  // ("Del Toro", "Le Pen") belongs to the surname instead, how many
+  // initials to take, and which word is the surname. Particles ending in an
+  // apostrophe are elisions stripped from the front of a word ("d'Artagnan").
+  const NAME_PROFILES = {
+    default: {
+      label: 'Gemengd (standaard)',
+      particles: [
+        'van', 'de', 'der', 'den', 'het', 'ter', 'ten', 'te',
+        'la', 'le', 'les', 'du', 'des', 'von', 'zu', 'di', 'da', 'del', 'della',
+        'el', 'al', 'bin', 'ibn',
+      ],
+      capitalized: 'skip',
+      count: 2,
+      surname: 'last',
+    },
+    en: { label: 'Engels', particles: [], capitalized: 'skip', count: 2, surname: 'last' },
+    nl: {
+      label: 'Nederlands',
+      particles: ['van', 'de', 'der', 'den', 'het', "'t", 'ter', 'ten', 'te', 'op', 'in', "'s"],
+      capitalized: 'skip',
+      count: 2,
+      surname: 'last',
+    },
+    de: {
+      label: 'Duits',
+      particles: ['von', 'vom', 'zu', 'zum', 'zur', 'van', 'der', 'den'],
+      capitalized: 'skip',
+      count: 2,
+      surname: 'last',
+    },
+    fr: {
+      label: 'Frans',
+      particles: ['de', 'du', 'des', 'la', 'le', 'les', "d'", "l'"],
+      capitalized: 'attach',
+      count: 2,
+      surname: 'last',
+    },
+    es: {
+      label: 'Spaans',
+      particles: ['de', 'del', 'la', 'las', 'los', 'y'],
+      capitalized: 'attach',
+      count: 2,
+      surname: 'penultimate', // paternal surname comes first of two
+    },
+    pt: {
+      label: 'Portugees',
+      particles: ['da', 'das', 'do', 'dos', 'de', 'e'],
+      capitalized: 'skip',
+      count: 2,
+      surname: 'last',
+    },
+    it: {
+      label: 'Italiaans',
+      particles: ['di', 'da', 'de', 'del', 'della', 'dei', 'degli', 'lo', 'la', "d'", "dell'"],
+      capitalized: 'attach',
+      count: 2,
+      surname: 'last',
+    },
+    ar: {
+      label: 'Arabisch',
+      particles: ['al', 'el', 'bin', 'ibn', 'bint', 'بن', 'بنت', 'ابن'],
+      capitalized: 'skip',
+      count: 2,
+      surname: 'last',
+    },
+  };
+
+  // The default profile's particles, kept for existing imports
+  const PREFIXES = new Set(NAME_PROFILES.default.particles);
+
+  const APOSTROPHES = /[’']/g;
+
+  // 'skip', 'attach' or null (an ordinary word), plus where that came from
+  function particleRule(word, profile, customRules) {
+    const lower = word.toLowerCase().replace(APOSTROPHES, "'");
+    const custom = customRules.find((rule) => rule.particle === lower);
+    if (custom) return { action: custom.action === 'name' ? null : custom.action, source: 'custom' };
+    if (!profile.particles.includes(lower)) return { action: null };
+    const capitalized = word[0] !== word[0].toLowerCase();
+    return { action: capitalized ? profile.capitalized : 'skip', source: 'profile' };
+  }
+
+  // Strips an elision ("d'", "dell'") from the front of a word
+  function stripElision(word, profile, customRules) {
+    const lower = word.toLowerCase().replace(APOSTROPHES, "'");
+    const matches = (p) => p.endsWith("'") && lower.startsWith(p) && lower.length > p.length;
+    const custom = customRules.find((rule) => matches(rule.particle));
+    if (custom && custom.action !== 'skip') return { word };
+    const match = custom ? custom.particle : profile.particles.find(matches);
+    if (!match) return { word };
+    return {
+      word: word.slice(match.length),
+      elision: { word: word.slice(0, match.length), source: custom ? 'custom' : 'profile' },
+    };
+  }
+
+  function normalizeRules(rules) {
+    return (Array.isArray(rules) ? rules : [])
+      .filter((rule) => rule && typeof rule.particle === 'string' && rule.particle.trim())
+      .map((rule) => ({
+        particle: rule.particle.trim().toLowerCase().replace(APOSTROPHES, "'"),
+        action: rule.action,
+      }));
+  }
+
+  // ── Initials extraction ────────────────────────────
+
+  // Grapheme clusters, so combining marks, conjuncts, flags and ZWJ emoji
+  // stay whole. The regex is a close fallback where Intl.Segmenter is missing.
+  const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+  const GRAPHEME_FALLBACK =
+    /\p{RI}\p{RI}|\P{M}[\p{M}\p{Emoji_Modifier}]*(?:\u200D\P{M}[\p{M}\p{Emoji_Modifier}]*)*/gu;
+
+  // Below U+0300 (no combining marks or surrogates) every code unit is its
+  // own grapheme, except CR LF. Most names take this much faster path.
+  const SIMPLE_TEXT = /^[^\r\u0300-\uffff]*$/;
+
+  function splitGraphemes(str) {
+    if (SIMPLE_TEXT.test(str)) return str.split('');
+    if (graphemeSegmenter) {
+      return Array.from(graphemeSegmenter.segment(str), (part) => part.segment);
+    }
+    return str.match(GRAPHEME_FALLBACK) || [];
+  }
+
+  // Script of the first letter decides the rule set
+  const SCRIPTS = [
+    ['han', /\p{Script=Han}/u],
+    ['hangul', /\p{Script=Hangul}/u],
+    ['kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['arabic', /\p{Script=Arabic}/u],
+    ['hebrew', /\p{Script=Hebrew}/u],
+    ['thai', /\p{Script=Thai}/u],
+    ['devanagari', /\p{Script=Devanagari}/u],
+  ];
+  const CJK_SCRIPTS = new Set(['han', 'hangul', 'kana']);
+  const RTL_SCRIPTS = new Set(['arabic', 'hebrew']);
+
+  const LETTER = /[\p{L}\p{N}]/u;
+  const EMOJI = /\p{Extended_Pictographic}|\p{RI}/u;
+  const THAI_LEADING_VOWEL = /^[\u0E40-\u0E44]/;
+  const ARABIC_ARTICLE = /^[اأ]ل(?=\p{L}{2})/u;
+
+  function detectScript(name) {
+    const letter = name.match(/\p{L}/u);
+    if (!letter) return 'none';
+    const match = SCRIPTS.find(([, pattern]) => pattern.test(letter[0]));
+    return match ? match[0] : 'latin';
+  }
+
+  // First grapheme that carries a letter or digit; Thai vowels written
+  // before their consonant are skipped so the consonant leads
+  function firstGrapheme(word, script) {
+    const graphemes = splitGraphemes(word).filter((g) => LETTER.test(g));
+    if (script === 'thai' && graphemes.length > 1 && THAI_LEADING_VOWEL.test(graphemes[0])) {
+      return graphemes[1];
+    }
+    return graphemes[0] || '';
+  }
+
+  // Uppercase unless that changes the cluster count ("ß" → "SS")
+  function upper(grapheme) {
+    const up = grapheme.toUpperCase();
+    return splitGraphemes(up).length === 1 ? up : grapheme;
+  }
+
+  // CJK names are written family name first. Without spaces, a 4+ character
+  // name is read as a two-character family name followed by the given name.
+  function cjkInitials(words) {
+    if (words.length > 1) return firstGrapheme(words[0]) + firstGrapheme(words[1]);
+    const chars = splitGraphemes(words[0]).filter((g) => LETTER.test(g));
+    if (chars.length <= 1) return chars.join('');
+    return chars[0] + chars[chars.length >= 4 ? 2 : 1];
+  }
+
+  // Groups words into name parts: skipped particles drop out, attached
+  // particles join the word after them ("Del Toro" becomes one part)
+  function nameParts(words, profile, customRules, rule) {
+    const parts = [];
+    let pending = null;
+    words.forEach((raw) => {
+      const { word, elision } = stripElision(raw, profile, customRules);
+      if (elision) rule.skipped.push(elision);
+      const { action, source } = particleRule(word, profile, customRules);
+      if (action === 'skip') {
+        rule.skipped.push({ word, source });
+      } else if (action === 'attach') {
+        rule.attached.push({ word, source });
+        pending = pending ? `${pending} ${word}` : word;
+      } else {
+        parts.push(pending ? `${pending} ${word}` : word);
+        pending = null;
+      }
+    });
+    if (pending) parts.push(pending);
+
+    // If all words were particles, use the original words
+    if (parts.length > 0) return parts;
+    rule.skipped = [];
+    rule.attached = [];
+    return words;
+  }
+
+  // Given name, optional middle name, and the surname per the profile
+  function pickParts(parts, count, surname) {
+    if (parts.length === 1 || count === 1) return [parts[0]];
+    const surnameIndex = surname === 'penultimate' && parts.length >= 3
+      ? parts.length - 2
+      : parts.length - 1;
+    if (count === 3 && surnameIndex > 1) return [parts[0], parts[1], parts[surnameIndex]];
+    return [parts[0], parts[surnameIndex]];
+  }
+
+  // Returns { initials, script, direction, rule }. `rule` records how the
+  // initials came about: the profile, skipped and attached particles (with
+  // whether the profile or a custom rule decided) and the words used.
+  // Words without letters (emoji, punctuation) are ignored unless the name
+  // has nothing else.
+  function getInitialsInfo(name, options) {
+    const config = options || DEFAULT_OPTIONS;
+    const profileKey = NAME_PROFILES[config.nameLocale] ? config.nameLocale : 'default';
+    const profile = NAME_PROFILES[profileKey];
+    const customRules = normalizeRules(config.particleRules);
+    const count = config.initialsCount || profile.count;
+
+    const trimmed = String(name).trim();
+    const script = detectScript(trimmed);
+    const direction = RTL_SCRIPTS.has(script) ? 'rtl' : 'ltr';
+    const rule = { profile: profileKey, kind: 'particles', skipped: [], attached: [], words: [] };
+    const result = (initials, kind) => {
+      if (kind) rule.kind = kind;
+      return { initials: initials || '?', script, direction, rule };
+    };
+    if (!trimmed) return result('?', 'empty');
+
+    const words = trimmed.split(/\s+/).filter((w) => LETTER.test(w));
+    if (words.length === 0) {
+      return result(splitGraphemes(trimmed).find((g) => EMOJI.test(g)), 'symbol');
+    }
+
+    if (CJK_SCRIPTS.has(script)) {
+      rule.words = words;
+      return result(cjkInitials(words), 'cjk');
+    }
+
+    let parts = nameParts(words, profile, customRules, rule);
+    if (script === 'arabic') parts = parts.map((w) => w.replace(ARABIC_ARTICLE, ''));
+    rule.words = pickParts(parts, count, profile.surname);
+
+    // Arabic letters are kept apart with a ZWNJ so they render in isolated form
+    return result(
+      rule.words
+        .map((part) => upper(firstGrapheme(part, script)))
+        .join(script === 'arabic' ? '\u200C' : '')
+    );
+  }
+
+  function getInitials(name, options) {
+    return getInitialsInfo(name, options).initials;
+  }
+
+  function getFirstChar(str) {
+    return firstGrapheme(str) || '?';
+  }
+
+  // ── Deterministic hashing ─────────────────────────
+  function hashString(str) {
+    // Simple but effective: cyrb53-like hash
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+
+  // ── Hash strategies ───────────────────────────────
+  // Alternatives to cyrb53 for matching colors from other systems. They
+  // hash the UTF-8 bytes, except Java's String.hashCode, which works on
+  // UTF-16 code units and returns a signed int. The caller takes
+  // Math.abs(hash) % n, as before.
+  function utf8(str) {
+    return new TextEncoder().encode(str);
+  }
+
+  function fnv1a(str) {
+    let h = 0x811c9dc5;
+    utf8(str).forEach((b) => {
+      h = Math.imul(h ^ b, 0x01000193);
+    });
+    return h >>> 0;
+  }
+
+  function murmur3(str, seed) {
+    const bytes = utf8(str);
+    const tail = bytes.length & ~3;
+    let h = seed >>> 0;
+    const mix = (k) => {
+      k = Math.imul(k, 0xcc9e2d51);
+      k = (k << 15) | (k >>> 17);
+      return Math.imul(k, 0x1b873593);
+    };
+
+    for (let i = 0; i < tail; i += 4) {
+      h ^= mix(bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24));
+      h = (h << 13) | (h >>> 19);
+      h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+    }
+
+    let k = 0;
+    switch (bytes.length & 3) {
+      case 3: k ^= bytes[tail + 2] << 16; // falls through
+      case 2: k ^= bytes[tail + 1] << 8; // falls through
+      case 1: h ^= mix(k ^ bytes[tail]);
+    }
+
+    h ^= bytes.length;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  function djb2(str) {
+    let h = 5381;
+    utf8(str).forEach((b) => {
+      h = (Math.imul(h, 33) + b) >>> 0;
+    });
+    return h;
+  }
+
+  function javaHashCode(str) {
+    let h = 0;
+    for (let i = 0; i < str.length; i++) {
+      h = (Math.imul(31, h) + str.charCodeAt(i)) | 0;
+    }
+    return h;
+  }
+
+  // SubtleCrypto only digests asynchronously, so SHA-256 values are
+  // computed up front by prepareHashes() and looked up here. The hash is
+  // the first 32 bits of the digest, big-endian.
+  // The cache is shared by every engine in the process, so a long-running
+  // server keeps only the most recently used digests: a Map iterates in
+  // insertion order, and a use moves an entry to the end.
+  const digestCache = new Map();
+  const DIGEST_CACHE_LIMIT = 100000;
+
+  function sha256Cached(str) {
+    if (!digestCache.has(str)) {
+      throw Object.assign(new Error(`SHA-256 van "${str}" is nog niet berekend; roep eerst prepareHashes() aan`), { code: 'hash-not-prepared' });
+    }
+    return touchDigest(str);
+  }
+
+  function touchDigest(str) {
+    const hash = digestCache.get(str);
+    digestCache.delete(str);
+    digestCache.set(str, hash);
+    return hash;
+  }
+
+  // Drops the least recently used digests, but never one of the `keep`
+  // most recent: those were just prepared and are about to be used
+  function trimDigests(keep) {
+    const limit = Math.max(DIGEST_CACHE_LIMIT, keep);
+    for (const key of digestCache.keys()) {
+      if (digestCache.size <= limit) break;
+      digestCache.delete(key);
+    }
+  }
+
+  const HASH_FUNCTIONS = {
+    cyrb53: hashString,
+    fnv1a,
+    murmur3: (str) => murmur3(str, 0),
+    djb2,
+    java: javaHashCode,
+    sha256: sha256Cached,
+  };
+  const HASH_STRATEGIES = Object.keys(HASH_FUNCTIONS);
+  const ASYNC_HASHES = new Set(['sha256']);
+
+  function hashWith(strategy, str) {
+    return (HASH_FUNCTIONS[strategy] || hashString)(str);
+  }
+
+  // Resolves once every string can be hashed synchronously with `strategy`
+  function prepareHashes(strategy, strings) {
+    if (!ASYNC_HASHES.has(strategy)) return Promise.resolve();
+    const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+    if (!subtle) {
+      return Promise.reject(Object.assign(new Error('SubtleCrypto is niet beschikbaar in deze omgeving'), { code: 'no-subtle-crypto' }));
+    }
+    const unique = [...new Set(strings)];
+    const missing = unique.filter((str) => !digestCache.has(str));
+    return Promise.all(missing.map((str) =>
+      subtle.digest('SHA-256', utf8(str)).then((digest) => {
+        digestCache.set(str, new DataView(digest).getUint32(0));
+      })
+    )).then(() => {
+      // Strings that were already cached count as used again
+      unique.forEach((str) => {
+        if (digestCache.has(str)) touchDigest(str);
+      });
+      trimDigests(unique.length);
+    });
+  }
+
+  function hashBasis(input, config) {
+    return hashWith(config.hashStrategy, colorBasis(input, config));
+  }
+
+  // ── Identity ──────────────────────────────────────
+  // Everything that takes a name also takes a person record
+  // { name, id?, email? }, so colors can follow a stable identity.
+  const IDENTITY_KEYS = ['id', 'email', 'email-normalized'];
+
+  function toPerson(input) {
+    if (input && typeof input === 'object') {
+      return { name: String(input.name || ''), id: input.id, email: input.email };
+    }
+    return { name: String(input) };
+  }
+
+  // Lower-cased, with plus-addressing removed: "Jan+news@Example.com"
+  // and "jan@example.com" are the same person
+  function normalizeEmail(email) {
+    const trimmed = String(email).trim().toLowerCase();
+    const at = trimmed.lastIndexOf('@');
+    if (at < 1) return trimmed;
+    return trimmed.slice(0, at).replace(/\+.*$/, '') + trimmed.slice(at);
+  }
+
+  // The identity value the color is keyed on, or null when the option is
+  // off or the record lacks the field (the name is used instead)
+  function identityOf(input, config) {
+    if (!IDENTITY_KEYS.includes(config.identityKey)) return null;
+    const person = toPerson(input);
+    const raw = config.identityKey === 'id' ? person.id : person.email;
+    if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+    return config.identityKey === 'email-normalized' ? normalizeEmail(raw) : String(raw).trim();
+  }
+
+  function colorBasis(input, config) {
+    const identity = identityOf(input, config);
+    if (identity !== null) return identity;
+    const name = toPerson(input).name;
+    return config.useFullNameColor
+      ? name.trim().toLowerCase()
+      : getInitials(name, config);
+  }
+
+  function hasCustomPalette(config) {
+    return Array.isArray(config.customPalette) && config.customPalette.length > 0;
+  }
+
+  // Index into the custom palette, or null when the hue palettes are used
+  function nameToPaletteIndex(name, config) {
+    if (!hasCustomPalette(config)) return null;
+    return Math.abs(hashBasis(name, config)) % config.customPalette.length;
+  }
+
+  function nameToHue(name, config) {
+    if (hasCustomPalette(config)) {
+      const entry = config.customPalette[nameToPaletteIndex(name, config)];
+      return rgbToHsl(...hexToRgb(entry.hex))[0];
+    }
+
+    const hash = hashBasis(name, config);
+
+    if (config.limitedPalette) {
+      // 12 evenly spaced hues
+      const bucket = Math.abs(hash) % 12;
+      return bucket * 30;
+    }
+
+    return Math.abs(hash) % 360;
+  }
+
+  // ── Color utilities ────────────────────────────────
+  function hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = l - c / 2;
+    let r, g, b;
+    if (h < 60) { r = c; g = x; b = 0; }
+    else if (h < 120) { r = x; g = c; b = 0; }
+    else if (h < 180) { r = 0; g = c; b = x; }
+    else if (h < 240) { r = 0; g = x; b = c; }
+    else if (h < 300) { r = x; g = 0; b = c; }
+    else { r = c; g = 0; b = x; }
+    return [
+      Math.round((r + m) * 255),
+      Math.round((g + m) * 255),
+      Math.round((b + m) * 255),
+    ];
+  }
+
+  function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    let h = 0;
+    let s = 0;
+    if (d !== 0) {
+      s = d / (1 - Math.abs(2 * l - 1));
+      if (max === r) h = 60 * (((g - b) / d) % 6);
+      else if (max === g) h = 60 * ((b - r) / d + 2);
+      else h = 60 * ((r - g) / d + 4);
+    }
+    if (h < 0) h += 360;
+    return [Math.round(h) % 360, Math.round(s * 100), Math.round(l * 100)];
+  }
+
+  function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('');
+  }
+
+  function hexToRgb(hex) {
+    const h = hex.replace('#', '');
+    return [
+      parseInt(h.substring(0, 2), 16),
+      parseInt(h.substring(2, 4), 16),
+      parseInt(h.substring(4, 6), 16),
+    ];
+  }
+
+  // ── Perceptual color spaces ────────────────────────
+  // In OKLCH and CIELAB LCh the saturation/lightness settings keep their
+  // 0–100 ranges: lightness is L directly, saturation is a percentage of
+  // MAX_CHROMA. Colors outside sRGB are brought in by lowering chroma, so
+  // hue and perceived lightness stay constant.
+  const COLOR_SPACES = ['hsl', 'oklch', 'lch'];
+  const MAX_CHROMA = { oklch: 0.25, lch: 100 };
+
+  function linearToSrgb(c) {
+    return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  }
+
+  function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  // L in 0–1, C ≈ 0–0.4, h in degrees
+  function oklchToLinearRgb(L, C, h) {
+    const rad = (h * Math.PI) / 180;
+    const a = C * Math.cos(rad);
+    const b = C * Math.sin(rad);
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+    ];
+  }
+
+  // CIELAB LCh with the D50 white point, as CSS lch() uses
+  function lchToLinearRgb(L, C, h) {
+    const rad = (h * Math.PI) / 180;
+    const a = C * Math.cos(rad);
+    const b = C * Math.sin(rad);
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const fy = (L + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+    const xr = Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa;
+    const yr = L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa;
+    const zr = Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa;
+    const x = xr * 0.3457 / 0.3585;
+    const y = yr;
+    const z = zr * (1 - 0.3457 - 0.3585) / 0.3585;
+    // XYZ D50 → linear sRGB (Bradford-adapted to D65)
+    return [
+      3.1341359569958707 * x - 1.6173863321612538 * y - 0.4906619460083532 * z,
+      -0.978795502912089 * x + 1.916254567259524 * y + 0.03344273116131949 * z,
+      0.07195537988411677 * x - 0.2289768264158322 * y + 1.405386058324125 * z,
+    ];
+  }
+
+  function inGamut(lin) {
+    return lin.every((c) => c >= -0.0001 && c <= 1.0001);
+  }
+
+  function linearToRgb255(lin) {
+    return lin.map((c) => Math.round(Math.min(1, Math.max(0, linearToSrgb(c))) * 255));
+  }
+
+  // Binary-search the largest in-gamut chroma at fixed L and h
+  function gamutMap(toLinear, L, C, h) {
+    let lin = toLinear(L, C, h);
+    if (inGamut(lin)) return { rgb: linearToRgb255(lin), chroma: C };
+
+    let lo = 0;
+    let hi = C;
+    for (let i = 0; i < 24; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(toLinear(L, mid, h))) lo = mid;
+      else hi = mid;
+    }
+    lin = toLinear(L, lo, h);
+    return { rgb: linearToRgb255(lin), chroma: lo };
+  }
+
+  // Color for a hue and the saturation/lightness settings in a given space,
+  // with the CSS notation of the resulting (gamut-mapped) value
+  function spaceToColor(h, s, l, space) {
+    if (space === 'oklch') {
+      const mapped = gamutMap(oklchToLinearRgb, l / 100, (s / 100) * MAX_CHROMA.oklch, h);
+      return { rgb: mapped.rgb, css: `oklch(${l}% ${mapped.chroma.toFixed(3)} ${h})` };
+    }
+    if (space === 'lch') {
+      const mapped = gamutMap(lchToLinearRgb, l, (s / 100) * MAX_CHROMA.lch, h);
+      return { rgb: mapped.rgb, css: `lch(${l}% ${mapped.chroma.toFixed(1)} ${h})` };
+    }
+    return { rgb: hslToRgb(h, s, l), css: `hsl(${h}, ${s}%, ${l}%)` };
+  }
+
+  function rgbToLinear(rgb) {
+    return rgb.map((c) => srgbToLinear(c / 255));
+  }
+
+  function linearRgbToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    ];
+  }
+
+  // CIELAB (D50), L in 0–100
+  function linearRgbToLab([r, g, b]) {
+    const x = (0.4360747 * r + 0.3850649 * g + 0.1430804 * b) / 0.96422;
+    const y = 0.2225045 * r + 0.7168786 * g + 0.0606169 * b;
+    const z = (0.0139322 * r + 0.0971045 * g + 0.7141733 * b) / 0.82521;
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+    const [fx, fy, fz] = [x, y, z].map(f);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  function rgbToLab(rgb) {
+    return linearRgbToLab(rgbToLinear(rgb));
+  }
+
+  function toPolar(a, b) {
+    const h = (Math.atan2(b, a) * 180) / Math.PI;
+    return [Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h];
+  }
+
+  // CSS notation of an sRGB color in the given space
+  function rgbToCss(rgb, space) {
+    if (space === 'oklch') {
+      const [L, a, b] = linearRgbToOklab(rgbToLinear(rgb));
+      const [C, h] = toPolar(a, b);
+      return `oklch(${Math.round(L * 100)}% ${C.toFixed(3)} ${Math.round(h) % 360})`;
+    }
+    if (space === 'lch') {
+      const [L, a, b] = rgbToLab(rgb);
+      const [C, h] = toPolar(a, b);
+      return `lch(${Math.round(L)}% ${C.toFixed(1)} ${Math.round(h) % 360})`;
+    }
+    const [h, s, l] = rgbToHsl(...rgb);
+    return `hsl(${h}, ${s}%, ${l}%)`;
+  }
+
+  function spaceToRgb(h, s, l, space) {
+    return space && space !== 'hsl' ? spaceToColor(h, s, l, space).rgb : hslToRgb(h, s, l);
+  }
+
+  // Relative luminance (WCAG 2.1)
+  function relativeLuminance(r, g, b) {
+    const [rs, gs, bs] = [r, g, b].map((c) => {
+      c /= 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+  }
+
+  function contrastRatio(l1, l2) {
+    const lighter = Math.max(l1, l2);
+    const darker = Math.min(l1, l2);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  function bestTextColor(bgR, bgG, bgB, algorithm) {
+    if (algorithm === 'apca') {
+      const bg = [bgR, bgG, bgB];
+      const white = Math.abs(apcaContrast([255, 255, 255], bg));
+      const black = Math.abs(apcaContrast([0, 0, 0], bg));
+      return white >= black ? '#ffffff' : '#000000';
+    }
+    const bgLum = relativeLuminance(bgR, bgG, bgB);
+    const whiteContrast = contrastRatio(1, bgLum);
+    const blackContrast = contrastRatio(bgLum, 0);
+    return whiteContrast >= blackContrast ? '#ffffff' : '#000000';
+  }
+
+  function getContrastInfo(bgR, bgG, bgB, textHex) {
+    const bgLum = relativeLuminance(bgR, bgG, bgB);
+    const textRgb = hexToRgb(textHex);
+    const textLum = relativeLuminance(textRgb[0], textRgb[1], textRgb[2]);
+    const ratio = contrastRatio(bgLum, textLum);
+    return { ratio, bgLum, textLum };
+  }
+
+  // ── APCA (WCAG 3 draft) ───────────────────────────
+  // APCA-W3 0.0.98G-4g. Returns a signed Lc: positive for dark text on a
+  // light background, negative for light text on a dark one.
+  function apcaY(r, g, b) {
+    return 0.2126729 * Math.pow(r / 255, 2.4) +
+      0.7151522 * Math.pow(g / 255, 2.4) +
+      0.0721750 * Math.pow(b / 255, 2.4);
+  }
+
+  function apcaContrast(textRgb, bgRgb) {
+    const clamp = (y) => (y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414));
+    const txtY = clamp(apcaY(...textRgb));
+    const bgY = clamp(apcaY(...bgRgb));
+    if (Math.abs(bgY - txtY) < 0.0005) return 0;
+
+    if (bgY > txtY) {
+      const sapc = (Math.pow(bgY, 0.56) - Math.pow(txtY, 0.57)) * 1.14;
+      return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+    const sapc = (Math.pow(bgY, 0.65) - Math.pow(txtY, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+  }
+
+  // Contrast in the units of the chosen algorithm: WCAG ratio or |Lc|
+  function measureContrast(bgRgb, textHex, algorithm) {
+    if (algorithm === 'apca') return Math.abs(apcaContrast(hexToRgb(textHex), bgRgb));
+    return getContrastInfo(...bgRgb, textHex).ratio;
+  }
+
+  // What "Forceer AAA" aims for per algorithm. Lc 75 is APCA's minimum for
+  // body text and the usual counterpart of AAA 7:1.
+  const FORCED_CONTRAST = { wcag2: 7, apca: 75 };
+
+  // Below these the contrast counts as failing outright (large-text floor)
+  const CONTRAST_FLOOR = { wcag2: 3, apca: 45 };
+
+  // The levels each algorithm can be asked for, and the one it starts at:
+  // a WCAG ratio tops out at 21:1, an APCA Lc at about 108
+  const CONTRAST_LEVELS = {
+    wcag2: { min: 1, max: 21, initial: 4.5 },
+    apca: { min: 1, max: 108, initial: 60 },
+  };
+
+  // Levels carry a stable `key` (and the `target` their label names) so
+  // interfaces can word them in their own language; the English `label`
+  // is what token exports write
+  function apcaLevel(lc, requiredLc) {
+    const abs = Math.abs(lc);
+    if (abs >= 90) return { key: 'apca-preferred', label: 'Lc 90 Pass', cssClass: 'wcag-pass-aaa' };
+    if (abs >= requiredLc) return { key: 'apca-pass', target: requiredLc, label: `Lc ${requiredLc} Pass`, cssClass: 'wcag-pass-aa' };
+    if (abs >= CONTRAST_FLOOR.apca) {
+      return { key: 'apca-below', target: requiredLc, label: `Insufficient (Lc ${requiredLc} Fail)`, cssClass: 'wcag-warn' };
+    }
+    return { key: 'fail', label: 'Insufficient', cssClass: 'wcag-fail' };
+  }
+
+  function wcagLevel(ratio, requiredLevel) {
+    if (ratio >= 7) return { key: 'aaa', label: 'AAA Pass', cssClass: 'wcag-pass-aaa' };
+    if (ratio >= 4.5) {
+      if (requiredLevel >= 7) return { key: 'aa-not-aaa', label: 'AA Pass (AAA Fail)', cssClass: 'wcag-warn' };
+      return { key: 'aa', label: 'AA Pass', cssClass: 'wcag-pass-aa' };
+    }
+    if (ratio >= 3) return { key: 'below-aa', label: 'Insufficient (AA Fail)', cssClass: 'wcag-warn' };
+    return { key: 'fail', label: 'Insufficient', cssClass: 'wcag-fail' };
+  }
+
+  // The level forced contrast aims for, otherwise the configured level
+  function requiredContrast(config) {
+    return config.forceAAA ? FORCED_CONTRAST[config.contrastAlgorithm] : config.contrastLevel;
+  }
+
+  // Adjust lightness to meet contrast requirement. Returns the original
+  // lightness when no step gets there; computeColor reports that case.
+  function adjustForContrast(h, s, l, requiredRatio, space, algorithm) {
+    // Try the original first
+    let rgb = spaceToRgb(h, s, l, space);
+    const textHex = bestTextColor(...rgb, algorithm);
+    if (measureContrast(rgb, textHex, algorithm) >= requiredRatio) return l;
+
+    // Determine direction: should we go darker or lighter?
+    // If text is white, make background darker; if text is black, make background lighter
+    if (textHex === '#ffffff') {
+      // Darken background
+      for (let tryL = l; tryL >= 10; tryL -= 1) {
+        rgb = spaceToRgb(h, s, tryL, space);
+        if (measureContrast(rgb, '#ffffff', algorithm) >= requiredRatio) return tryL;
+      }
+    } else {
+      // Lighten background
+      for (let tryL = l; tryL <= 90; tryL += 1) {
+        rgb = spaceToRgb(h, s, tryL, space);
+        if (measureContrast(rgb, '#000000', algorithm) >= requiredRatio) return tryL;
+      }
+    }
+    return l; // fallback
+  }
+
+  // ── Text colors and style variants ────────────────
+  // How the text color is chosen: pure black or white, a shade of the
+  // avatar's own hue, or a shade of a configured dark/light pair
+  const TEXT_STRATEGIES = ['black-white', 'tinted', 'custom'];
+  const VARIANTS = ['filled', 'soft', 'outline'];
+
+  // Soft avatars: a pastel of the avatar color (this share of its
+  // saturation, at this lightness) behind text in the avatar color itself
+  const SOFT_BACKGROUND = { saturation: 0.5, lightness: 93 };
+
+  // The strategy a variant actually uses: soft text is always a shade of
+  // the avatar color, unless a custom pair was chosen
+  function textStrategyFor(config) {
+    return config.variant === 'soft' && config.textStrategy !== 'custom' ? 'tinted' : config.textStrategy;
+  }
+
+  // Binary-search the lightness between `from` and the extreme `to` that is
+  // closest to `from` and still meets the target; `to` when none does
+  function searchShade(colorAt, from, to, bgRgb, target, algorithm) {
+    const meets = (l) => measureContrast(bgRgb, rgbToHex(...colorAt(l)), algorithm) >= target;
+    if (meets(from)) return from;
+    if (!meets(to)) return to;
+    let lo = from; // fails
+    let hi = to; // meets
+    while (Math.abs(hi - lo) > 1) {
+      const mid = Math.round((lo + hi) / 2);
+      if (meets(mid)) hi = mid;
+      else lo = mid;
+    }
+    return hi;
+  }
+
+  // Text color on bgRgb. `base` ({ hue, s, l, space }) is where a tinted
+  // search starts; it moves toward black or white, whichever contrasts more.
+  function textColorFor(bgRgb, base, config) {
+    const algorithm = config.contrastAlgorithm;
+    const strategy = textStrategyFor(config);
+    const extreme = bestTextColor(...bgRgb, algorithm);
+    const to = extreme === '#ffffff' ? 100 : 0;
+    const target = requiredContrast(config);
+
+    if (strategy === 'tinted') {
+      const colorAt = (l) => spaceToRgb(base.hue, base.s, l, base.space);
+      return rgbToHex(...colorAt(searchShade(colorAt, base.l, to, bgRgb, target, algorithm)));
+    }
+    if (strategy === 'custom' && config.textColors) {
+      const pair = [config.textColors.dark, config.textColors.light].map(normalizeHex).filter(Boolean);
+      if (pair.length > 0) {
+        const start = pair.reduce((best, hex) =>
+          (measureContrast(bgRgb, hex, algorithm) > measureContrast(bgRgb, best, algorithm) ? hex : best));
+        if (measureContrast(bgRgb, start, algorithm) >= target) return start;
+        const [h, s, l] = rgbToHsl(...hexToRgb(start));
+        const colorAt = (tryL) => hslToRgb(h, s, tryL);
+        return rgbToHex(...colorAt(searchShade(colorAt, l, to, bgRgb, target, algorithm)));
+      }
+    }
+    return extreme;
+  }
+
+  // Background, ring and text of the configured variant for an avatar color.
+  // `fixedText` (a palette entry's own text color) skips the search.
+  function styleColors(base, fixedText, config) {
+    let bgRgb = base.rgb;
+    let ring = null;
+    if (config.variant === 'soft') {
+      bgRgb = spaceToRgb(base.hue, base.s * SOFT_BACKGROUND.saturation, SOFT_BACKGROUND.lightness, base.space);
+    } else if (config.variant === 'outline') {
+      bgRgb = hexToRgb(normalizeHex(config.surfaceColor) || DEFAULT_OPTIONS.surfaceColor);
+      ring = rgbToHex(...base.rgb);
+    }
+    const textColor = fixedText || textColorFor(bgRgb, base, config);
+
+    // Forced contrast and shade searches aim for a target; missing it is
+    // reported rather than passed off as a success
+    const searched = config.forceAAA || (!fixedText && textStrategyFor(config) !== 'black-white');
+    const target = requiredContrast(config);
+    const contrastAdjustment = searched
+      ? { target, met: measureContrast(bgRgb, textColor, config.contrastAlgorithm) >= target }
+      : null;
+
+    return Object.assign({
+      variant: VARIANTS.includes(config.variant) ? config.variant : 'filled',
+      background: rgbToHex(...bgRgb),
+      ring,
+      textColor,
+      contrastAdjustment,
+    }, contrastFields(bgRgb, textColor, config), surfaceFields(ring ? base.rgb : bgRgb, config));
+  }
+
+  // ── Surface contrast ──────────────────────────────
+  // The avatar's edge (its ring, else its background) against the surface
+  // it sits on, as WCAG 2.1 non-text contrast. Below 3:1 the avatar's shape
+  // fades into the page; the initials can still be readable.
+  const SURFACE_CONTRAST = 3;
+
+  function surfaceFields(edgeRgb, config) {
+    const surface = hexToRgb(normalizeHex(config.surfaceColor) || DEFAULT_OPTIONS.surfaceColor);
+    const ratio = contrastRatio(relativeLuminance(...edgeRgb), relativeLuminance(...surface));
+    return { surfaceContrast: ratio, surfaceStatus: ratio >= SURFACE_CONTRAST ? 'pass' : 'warn' };
+  }
+
+  // ── Avatar computation ────────────────────────────
+  // Both measures are always reported (for the painted background);
+  // `level` and `contrastStatus` follow the selected algorithm, `wcag` is
+  // always the WCAG 2.1 verdict
+  function contrastFields(rgb, textColor, config) {
+    const ratio = getContrastInfo(...rgb, textColor).ratio;
+    const apca = apcaContrast(hexToRgb(textColor), rgb);
+    const isApca = config.contrastAlgorithm === 'apca';
+    const wcag = wcagLevel(ratio, isApca ? DEFAULT_OPTIONS.contrastLevel : config.contrastLevel);
+    const value = isApca ? Math.abs(apca) : ratio;
+    const floor = CONTRAST_FLOOR[config.contrastAlgorithm];
+
+    let contrastStatus = 'pass';
+    if (value < floor) contrastStatus = 'fail';
+    else if (value < config.contrastLevel) contrastStatus = 'warn';
+
+    return {
+      contrastRatio: ratio,
+      apcaContrast: apca,
+      wcag,
+      level: isApca ? apcaLevel(apca, config.contrastLevel) : wcag,
+      contrastStatus,
+    };
+  }
+
+  // Everything that follows from a hue once the name has been hashed. `hex`
+  // is the avatar's color; `background` is what is painted behind the text
+  // (the same for filled avatars).
+  function computeColor(hue, config) {
+    const s = config.saturation;
+    let l = config.lightness;
+
+    // Soft and outline avatars meet forced contrast through the text shade
+    if (config.forceAAA && (config.variant || 'filled') === 'filled') {
+      l = adjustForContrast(
+        hue, s, l,
+        FORCED_CONTRAST[config.contrastAlgorithm],
+        config.colorSpace,
+        config.contrastAlgorithm
+      );
+    }
+
+    const { rgb, css } = spaceToColor(hue, s, l, config.colorSpace);
+
+    return Object.assign({
+      hue,
+      saturation: s,
+      lightness: l,
+      colorSpace: config.colorSpace,
+      css,
+      rgb,
+      hex: rgbToHex(...rgb),
+    }, styleColors({ hue, s, l, space: config.colorSpace, rgb }, null, config));
+  }
+
+  // Custom palette entries keep their exact hex — forced contrast never
+  // alters a brand color; failing entries are reported instead. An entry's
+  // own text color belongs to its filled form only.
+  function computeEntryColor(entry, config) {
+    const rgb = hexToRgb(entry.hex);
+    const [hue, s, l] = rgbToHsl(...rgb);
+    const fixedText = (config.variant || 'filled') === 'filled' ? entry.text : null;
+
+    return Object.assign({
+      hue,
+      saturation: s,
+      lightness: l,
+      colorSpace: config.colorSpace,
+      css: rgbToCss(rgb, config.colorSpace),
+      rgb,
+      hex: rgbToHex(...rgb),
+    }, styleColors({ hue, s, l, space: 'hsl', rgb }, fixedText, config));
+  }
+
+  // input: a name or a { name, id?, email? } record
+  function computeAvatar(input, config) {
+    const name = toPerson(input).name.trim();
+    const identity = identityOf(input, config);
+    const { initials, direction, rule } = getInitialsInfo(name, config);
+    const base = { name, identity, initials, direction, initialsRule: rule };
+    const index = nameToPaletteIndex(input, config);
+    if (index !== null) {
+      return Object.assign(
+        base,
+        { paletteIndex: index },
+        computeEntryColor(config.customPalette[index], config)
+      );
+    }
+
+    const hue = nameToHue(input, config);
+    return Object.assign(base, computeColor(hue, config));
+  }
+
+  // ── Themes ────────────────────────────────────────
+  // The dark-theme variant uses its own saturation, lightness and surface;
+  // everything else (hashing, palette, contrast) follows the light theme
+  const DARK_THEME = { saturation: 55, lightness: 60, surfaceColor: '#1e293b' };
+
+  function darkThemeConfig(config) {
+    const overrides = Object.assign({}, DARK_THEME);
+    Object.keys(DARK_THEME).forEach((key) => {
+      if (config.darkTheme && config.darkTheme[key] !== undefined) overrides[key] = config.darkTheme[key];
+    });
+    return Object.assign({}, config, overrides, { darkTheme: null, assignmentGroup: null });
+  }
+
+  // An avatar under other color settings, keeping its hue or palette entry,
+  // so a light avatar and its dark variant always form a pair (also when
+  // the hue came from a distinct assignment)
+  function recolor(avatar, config) {
+    const base = {
+      name: avatar.name,
+      identity: avatar.identity,
+      initials: avatar.initials,
+      direction: avatar.direction,
+      initialsRule: avatar.initialsRule,
+    };
+    if (avatar.reassigned !== undefined) base.reassigned = avatar.reassigned;
+    if (avatar.paletteIndex !== undefined) {
+      return Object.assign(
+        base,
+        { paletteIndex: avatar.paletteIndex },
+        computeEntryColor(config.customPalette[avatar.paletteIndex], config)
+      );
+    }
+    return Object.assign(base, computeColor(avatar.hue, config));
+  }
+
+  // The palette a configuration draws from: the custom entries, the 12
+  // limited-palette hues, or those 12 stops as reference points for the
+  // full spectrum. Keys are made unique so no entry overwrites another.
+  function getPalette(config) {
+    if (hasCustomPalette(config)) {
+      const used = new Set();
+      return config.customPalette.map((entry, i) => {
+        const base = (entry.name && slugify(entry.name)) || String(i + 1);
+        let key = base;
+        for (let n = 2; used.has(key); n++) key = `${base}-${n}`;
+        used.add(key);
+        return Object.assign({ key, name: entry.name || '' }, computeEntryColor(entry, config));
+      });
+    }
+
+    const palette = [];
+    for (let bucket = 0; bucket < 12; bucket++) {
+      palette.push(Object.assign({ key: String(bucket + 1) }, computeColor(bucket * 30, config)));
+    }
+    return palette;
+  }
+
+  // Key used for a name in token exports and exported file names. Letters
+  // and digits of any script are kept, so Cyrillic, Arabic or CJK names do
+  // not all collapse to the fallback key.
+  function slugify(name) {
+    return name
+      .normalize('NFC')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/[^\p{L}\p{M}\p{N}-]/gu, '');
+  }
+
+  // ── Perceptual distance ───────────────────────────
+  // CIEDE2000 on CIELAB values
+  function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(Cbar, 7) / (Math.pow(Cbar, 7) + Math.pow(25, 7))));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hp = (a, b) => {
+      if (a === 0 && b === 0) return 0;
+      const h = Math.atan2(b, a) / rad;
+      return h < 0 ? h + 360 : h;
+    };
+    const h1p = hp(a1p, b1);
+    const h2p = hp(a2p, b2);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+      hbarp /= 2;
+    }
+
+    const T = 1
+      - 0.17 * Math.cos((hbarp - 30) * rad)
+      + 0.24 * Math.cos(2 * hbarp * rad)
+      + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+      - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Rc = 2 * Math.sqrt(Math.pow(Cbarp, 7) / (Math.pow(Cbarp, 7) + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  }
+
+  // Smallest ΔE2000 between any two of the given colors; 0 if any repeat
+  function minPairwiseDeltaE(rgbs) {
+    const unique = new Map();
+    for (const rgb of rgbs) {
+      const hex = rgbToHex(...rgb);
+      if (unique.has(hex)) return 0;
+      unique.set(hex, rgbToLab(rgb));
+    }
+    const labs = [...unique.values()];
+    let min = Infinity;
+    for (let i = 0; i < labs.length; i++) {
+      for (let j = i + 1; j < labs.length; j++) {
+        min = Math.min(min, deltaE2000(labs[i], labs[j]));
+      }
+    }
+    return min;
+  }
+
+  // ── Color-vision deficiency ───────────────────────
+  // Machado, Oliveira & Fernandes (2009) at full severity, applied in
+  // linear sRGB; achromatopsia keeps only relative luminance
+  const CVD_MATRICES = {
+    protanopia: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900],
+    ],
+  };
+  const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+  // Below this ΔE2000 two avatar colors are treated as indistinguishable
+  const CVD_COLLAPSE_DELTA_E = 10;
+
+  function simulateCvd(rgb, type) {
+    if (!type || type === 'none') return rgb;
+    const lin = rgbToLinear(rgb);
+    let out;
+    if (type === 'achromatopsia') {
+      const y = 0.2126 * lin[0] + 0.7152 * lin[1] + 0.0722 * lin[2];
+      out = [y, y, y];
+    } else {
+      out = CVD_MATRICES[type].map((row) => row[0] * lin[0] + row[1] * lin[1] + row[2] * lin[2]);
+    }
+    return linearToRgb255(out);
+  }
+
+  function simulateCvdHex(hex, type) {
+    return rgbToHex(...simulateCvd(hexToRgb(hex), type));
+  }
+
+  // Per deficiency, the color pairs that are distinct for typical vision
+  // but collapse under simulation. Avatars sharing a color are grouped, so
+  // each pair lists every name on either side.
+  function cvdCollisions(avatars, threshold) {
+    const limit = threshold || CVD_COLLAPSE_DELTA_E;
+    const groups = new Map();
+    avatars.forEach((av) => {
+      if (!groups.has(av.hex)) groups.set(av.hex, { hex: av.hex, rgb: av.rgb, names: [] });
+      groups.get(av.hex).names.push(av.name);
+    });
+    const colors = [...groups.values()];
+    const labs = colors.map((c) => rgbToLab(c.rgb));
+
+    const result = {};
+    CVD_TYPES.forEach((type) => {
+      const simLabs = colors.map((c) => rgbToLab(simulateCvd(c.rgb, type)));
+      const pairs = [];
+      for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+          const original = deltaE2000(labs[i], labs[j]);
+          if (original < limit) continue;
+          const simulated = deltaE2000(simLabs[i], simLabs[j]);
+          if (simulated < limit) {
+            pairs.push({ a: colors[i], b: colors[j], deltaE: simulated, originalDeltaE: original });
+          }
+        }
+      }
+      result[type] = pairs.sort((p, q) => p.deltaE - q.deltaE);
+    });
+    return result;
+  }
+
+  // ── Collision-aware assignment ────────────────────
+  // Keep the hashed color while it is at least half as far from the taken
+  // colors as the best free slot, so many people keep their usual color
+  const KEEP_PREFERRED = 0.5;
+
+  // Every color a name can land on, indexed like the hash buckets:
+  // 360 hues, 12 limited hues or the custom palette entries
+  function candidateColors(config) {
+    if (hasCustomPalette(config)) {
+      return config.customPalette.map((entry, i) =>
+        Object.assign({ paletteIndex: i }, computeEntryColor(entry, config)));
+    }
+    const count = config.limitedPalette ? 12 : 360;
+    const step = 360 / count;
+    const candidates = [];
+    for (let i = 0; i < count; i++) candidates.push(computeColor(i * step, config));
+    return candidates;
+  }
+
+  function slotDistance(a, b, count) {
+    const d = Math.abs(a - b) % count;
+    return Math.min(d, count - d);
+  }
+
+  // The key a person is assigned under: their identity, else their name
+  function assignmentKey(input, config) {
+    const identity = identityOf(input, config);
+    return identity !== null ? 'identity:' + identity : toPerson(input).name.trim();
+  }
+
+  // Greedy max-min assignment. People are visited in hash order (so the
+  // result depends on the set, not the order it was given in); each takes
+  // its hashed slot unless another slot is clearly further from the colors
+  // already taken. Once every slot is used a new round starts.
+  // `byName` is keyed by assignmentKey().
+  function assignDistinct(people, config) {
+    const uniqueByKey = new Map();
+    people.forEach((input) => {
+      const key = assignmentKey(input, config);
+      if (toPerson(input).name.trim() && !uniqueByKey.has(key)) uniqueByKey.set(key, input);
+    });
+    const unique = [...uniqueByKey.values()];
+    const candidates = candidateColors(config);
+    const labs = candidates.map((c) => rgbToLab(c.rgb));
+    const count = candidates.length;
+    // Every slot-to-slot distance once, instead of per placed name
+    const distances = labs.map((a) => labs.map((b) => deltaE2000(a, b)));
+
+    const order = [...uniqueByKey]
+      .map(([key, input]) => ({ key, input, hash: Math.abs(hashBasis(input, config)) }))
+      .sort((a, b) => a.hash - b.hash || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    const byName = new Map();
+    let nearest = null;
+    let moved = 0;
+
+    order.forEach(({ key, input, hash }, i) => {
+      if (i % count === 0) nearest = new Array(count).fill(Infinity);
+      const preferred = hash % count;
+      let slot = preferred;
+
+      if (i % count !== 0) {
+        let bestDist = -1;
+        for (let c = 0; c < count; c++) {
+          const d = nearest[c];
+          const tie = Math.abs(d - bestDist) < 1e-9;
+          if ((d > bestDist && !tie) || (tie && slotDistance(c, preferred, count) < slotDistance(slot, preferred, count))) {
+            slot = c;
+            bestDist = d;
+          }
+        }
+        if (nearest[preferred] >= bestDist * KEEP_PREFERRED) slot = preferred;
+      }
+
+      for (let c = 0; c < count; c++) {
+        nearest[c] = Math.min(nearest[c], distances[c][slot]);
+      }
+      if (slot !== preferred) moved++;
+      const name = toPerson(input).name.trim();
+      const { initials, direction, rule } = getInitialsInfo(name, config);
+      byName.set(key, Object.assign(
+        { name, identity: identityOf(input, config), initials, direction, initialsRule: rule },
+        candidates[slot],
+        { reassigned: slot !== preferred }
+      ));
+    });
+
+    const avatars = [...byName.values()];
+    return {
+      byName,
+      size: avatars.length,
+      moved,
+      minDeltaE: minPairwiseDeltaE(avatars.map((av) => av.rgb)),
+      baselineMinDeltaE: minPairwiseDeltaE(unique.map((input) => computeAvatar(input, config).rgb)),
+    };
+  }
+
+  // ── Custom palettes ───────────────────────────────
+  function normalizeHex(value) {
+    const m = String(value).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!m) return null;
+    const h = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+    return '#' + h.toLowerCase();
+  }
+
+  // Accepts a pasted list of hex codes (any separator) or JSON: an array of
+  // hex strings / { hex, text, name } objects, optionally wrapped as
+  // { name, colors: [...] }. Invalid entries are skipped.
+  function parsePalette(text) {
+    const trimmed = text.trim();
+    let items;
+    let name = '';
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      let data = JSON.parse(trimmed);
+      if (!Array.isArray(data)) {
+        name = data.name || '';
+        data = data.colors || data.palette || [];
+      }
+      items = data.map((item) => (typeof item === 'string' ? { hex: item } : item));
+    } else {
+      items = (trimmed.match(/#?\b[0-9a-f]{6}\b|#[0-9a-f]{3}\b/gi) || []).map((hex) => ({ hex }));
+    }
+
+    const entries = [];
+    items.forEach((item) => {
+      const hex = item && normalizeHex(item.hex || item.value || item.color || '');
+      if (!hex) return;
+      const entry = { hex };
+      const text = item.text && normalizeHex(item.text);
+      if (text) entry.text = text;
+      if (item.name) entry.name = String(item.name);
+      entries.push(entry);
+    });
+    return { name, entries };
+  }
+
+  // ── Engine factory ────────────────────────────────
+  // createAvatarEngine(options).compute(nameOrPerson) is the public entry
+  // point; the playground builds one from its state on every render.
+  // With an assignmentGroup, people in that group get their collision-aware
+  // color (computed once, on first use); others hash as usual.
+  // computeDark() gives the same person's dark-theme variant.
+  function createAvatarEngine(options) {
+    const config = resolveOptions(options);
+    const darkConfig = darkThemeConfig(config);
+    let assignment = null;
+
+    const getAssignment = () => {
+      if (!config.assignmentGroup) return null;
+      if (!assignment) assignment = assignDistinct(config.assignmentGroup, config);
+      return assignment;
+    };
+
+    // Results per person. An engine is built for one set of settings, so
+    // the memo never has to be invalidated.
+    const memo = new Map();
+    const memoKey = (input) => `${toPerson(input).name}\u0000${identityOf(input, config) || ''}`;
+
+    const compute = (input) => {
+      const key = memoKey(input);
+      let avatar = memo.get(key);
+      if (!avatar) {
+        const group = getAssignment();
+        avatar = (group && group.byName.get(assignmentKey(input, config))) || computeAvatar(input, config);
+        memo.set(key, avatar);
+      }
+      return avatar;
+    };
+
+    const darkMemo = new Map();
+    const computeDark = (input) => {
+      const key = memoKey(input);
+      let avatar = darkMemo.get(key);
+      if (!avatar) {
+        avatar = recolor(compute(input), darkConfig);
+        darkMemo.set(key, avatar);
+      }
+      return avatar;
+    };
+
+    return {
+      config,
+      darkConfig,
+      // Async hash strategies need their digests before compute() is used
+      needsPreparation: ASYNC_HASHES.has(config.hashStrategy),
+      prepare: (people) => prepareHashes(
+        config.hashStrategy,
+        people.concat(config.assignmentGroup || []).map((input) => colorBasis(input, config))
+      ),
+      getInitials: (name) => getInitials(name, config),
+      getInitialsInfo: (name) => getInitialsInfo(name, config),
+      slugify,
+      identityOf: (input) => identityOf(input, config),
+      nameToHue: (input) => compute(input).hue,
+      compute,
+      computeAll: (names) => names.map(compute),
+      computeDark,
+      computeAllDark: (names) => names.map(computeDark),
+      palette: () => getPalette(config),
+      paletteDark: () => getPalette(darkConfig),
+      assignment: getAssignment,
+      // Adopts results computed elsewhere for the same settings (a Web
+      // Worker), so compute() and computeDark() return them without
+      // recomputing
+      prime: (people, avatars, group, darkAvatars) => {
+        if (group) assignment = group;
+        people.forEach((input, i) => memo.set(memoKey(input), avatars[i]));
+        if (darkAvatars) people.forEach((input, i) => darkMemo.set(memoKey(input), darkAvatars[i]));
+      },
+    };
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    NAME_PROFILES,
+    PREFIXES,
+    createAvatarEngine,
+    resolveOptions,
+    getInitials,
+    getInitialsInfo,
+    getFirstChar,
+    splitGraphemes,
+    detectScript,
+    hashString,
+    HASH_STRATEGIES,
+    hashWith,
+    prepareHashes,
+    IDENTITY_KEYS,
+    normalizeEmail,
+    identityOf,
+    nameToPaletteIndex,
+    nameToHue,
+    COLOR_SPACES,
+    MAX_CHROMA,
+    hslToRgb,
+    oklchToLinearRgb,
+    lchToLinearRgb,
+    linearToSrgb,
+    srgbToLinear,
+    spaceToColor,
+    spaceToRgb,
+    rgbToHsl,
+    rgbToLinear,
+    linearRgbToOklab,
+    linearRgbToLab,
+    rgbToLab,
+    rgbToCss,
+    rgbToHex,
+    hexToRgb,
+    relativeLuminance,
+    contrastRatio,
+    bestTextColor,
+    getContrastInfo,
+    apcaContrast,
+    measureContrast,
+    FORCED_CONTRAST,
+    CONTRAST_FLOOR,
+    CONTRAST_LEVELS,
+    wcagLevel,
+    apcaLevel,
+    requiredContrast,
+    adjustForContrast,
+    TEXT_STRATEGIES,
+    VARIANTS,
+    textColorFor,
+    SURFACE_CONTRAST,
+    DARK_THEME,
+    darkThemeConfig,
+    computeColor,
+    computeEntryColor,
+    computeAvatar,
+    getPalette,
+    deltaE2000,
+    minPairwiseDeltaE,
+    CVD_TYPES,
+    simulateCvd,
+    simulateCvdHex,
+    cvdCollisions,
+    assignDistinct,
+    normalizeHex,
+    parsePalette,
+    slugify,
+  };
+});
@@ -0,0 +1,84 @@
+/* ============================================
+   Avatar Engine — ES module entry
+   Re-exports avatar-engine.js. In Node the import
+   resolves to its CommonJS exports; in the browser
+   the script registers globalThis.AvatarEngine.
+   ============================================ */
+
+import * as umd from './avatar-engine.js';
+
+const AvatarEngine = umd.default || globalThis.AvatarEngine;
+
+export const {
+  DEFAULT_OPTIONS,
+  NAME_PROFILES,
+  PREFIXES,
+  createAvatarEngine,
+  resolveOptions,
+  getInitials,
+  getInitialsInfo,
+  getFirstChar,
+  splitGraphemes,
+  detectScript,
+  hashString,
+  HASH_STRATEGIES,
+  hashWith,
+  prepareHashes,
+  IDENTITY_KEYS,
+  normalizeEmail,
+  identityOf,
+  nameToPaletteIndex,
+  nameToHue,
+  COLOR_SPACES,
+  MAX_CHROMA,
+  hslToRgb,
+  oklchToLinearRgb,
+  lchToLinearRgb,
+  linearToSrgb,
+  srgbToLinear,
+  spaceToColor,
+  spaceToRgb,
+  rgbToHsl,
+  rgbToLinear,
+  linearRgbToOklab,
+  linearRgbToLab,
+  rgbToLab,
+  rgbToCss,
+  rgbToHex,
+  hexToRgb,
+  relativeLuminance,
+  contrastRatio,
+  bestTextColor,
+  getContrastInfo,
+  apcaContrast,
+  measureContrast,
+  FORCED_CONTRAST,
+  CONTRAST_FLOOR,
+  CONTRAST_LEVELS,
+  wcagLevel,
+  apcaLevel,
+  requiredContrast,
+  adjustForContrast,
+  TEXT_STRATEGIES,
+  VARIANTS,
+  textColorFor,
+  SURFACE_CONTRAST,
+  DARK_THEME,
+  darkThemeConfig,
+  computeColor,
+  computeEntryColor,
+  computeAvatar,
+  getPalette,
+  deltaE2000,
+  minPairwiseDeltaE,
+  CVD_TYPES,
+  simulateCvd,
+  simulateCvdHex,
+  cvdCollisions,
+  assignDistinct,
+  normalizeHex,
+  parsePalette,
+  slugify,
+} = AvatarEngine;
+
+export default AvatarEngine;
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/* ============================================
+   Avatar Server — self-hosted avatar service
+   /avatar/:name.svg|.png (light or dark theme),
+   /tokens and /palette, computed by the
+   playground's engine. Output is deterministic
+   per URL, so responses carry an ETag and long
+   cache headers.
+   ============================================ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const AvatarEngine = require('./avatar-engine.js');
+const AvatarSvg = require('./avatar-svg.js');
+const AvatarUrl = require('./avatar-url.js');
+const DesignTokens = require('./design-tokens.js');
+const I18n = require('./i18n.js');
+
+// Messages come from the playground's catalogues, in the language of
+// --lang or of the environment (LANG), else English
+I18n.register('en', require('./locales/en.js'));
+I18n.register('nl', require('./locales/nl.js'));
+const { t, errorText } = I18n;
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const CACHE_CONTROL = 'public, max-age=86400';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ── Rendering ───────────────────────────────────────
+// PNG needs a rasteriser: @resvg/resvg-js, an optional dependency in
+// package.json. Without it .png answers 501 and .svg still works.
+let resvg;
+
+function loadResvg() {
+  if (resvg === undefined) {
+    try {
+      resvg = require('@resvg/resvg-js');
+    } catch (err) {
+      resvg = null;
+    }
+  }
+  return resvg;
+}
+
+function renderPng(svg) {
+  if (!loadResvg()) throw new HttpError(501, t('server.pngRequirement'));
+  return Buffer.from(new resvg.Resvg(svg).render().asPng());
+}
+
+async function createEngine(params, people) {
+  let options;
+  try {
+    options = AvatarUrl.fromQuery(params);
+  } catch (err) {
+    throw new HttpError(400, errorText(err));
+  }
+  const engine = AvatarEngine.createAvatarEngine(options);
+  if (engine.needsPreparation) {
+    try {
+      await engine.prepare(people);
+    } catch (err) {
+      throw new HttpError(501, t('server.hashUnavailable', { error: errorText(err) }));
+    }
+  }
+  return { engine, options };
+}
+
+// ── Routes ──────────────────────────────────────────
+async function avatarRoute(match, params) {
+  const format = match[2];
+  let name;
+  let size;
+  try {
+    name = decodeURIComponent(match[1]).trim();
+  } catch (err) {
+    throw new HttpError(400, t('server.badName'));
+  }
+  try {
+    size = AvatarUrl.sizeFromQuery(params);
+  } catch (err) {
+    throw new HttpError(400, errorText(err));
+  }
+  if (!name) throw new HttpError(400, t('server.noName'));
+
+  const identity = params.get('identity');
+  const person = { name, id: identity, email: identity };
+  const { engine, options } = await createEngine(params, [person]);
+  const svgOptions = { size };
+  ['fontSize', 'letterSpacing', 'fontWeight'].forEach((key) => {
+    if (options[key] !== undefined) svgOptions[key] = options[key];
+  });
+  const avatar = options.theme === 'dark' ? engine.computeDark(person) : engine.compute(person);
+  const svg = AvatarSvg.renderAvatarSvg(avatar, svgOptions);
+  if (format === 'png') return { type: 'image/png', body: renderPng(svg) };
+  return { type: 'image/svg+xml; charset=utf-8', body: svg };
+}
+
+// /tokens?name=Jan&name=Piet&format=css — the playground's token export
+async function tokensRoute(params) {
+  const people = params.getAll('name').filter((name) => name.trim());
+  const format = params.get('format') || 'json';
+  if (!DesignTokens.FORMATS.includes(format)) {
+    throw new HttpError(400, t('server.formatChoice', { formats: DesignTokens.FORMATS.join(', ') }));
+  }
+  const { engine } = await createEngine(params, people);
+  const files = DesignTokens.formatTokens(DesignTokens.buildTokenSet(engine, people), format);
+  if (files.length > 1) throw new HttpError(400, t('server.multipleFiles', { format }));
+  const type = files[0].name.endsWith('.json') ? 'application/json' : 'text/plain';
+  return { type: `${type}; charset=utf-8`, body: files[0].data };
+}
+
+async function paletteRoute(params) {
+  const { engine } = await createEngine(params, []);
+  const set = DesignTokens.buildTokenSet(engine, []);
+  return {
+    type: 'application/json; charset=utf-8',
+    body: JSON.stringify({ settings: set.settings, palette: set.palette }, null, 2) + '\n',
+  };
+}
+
+function indexRoute() {
+  return {
+    type: 'application/json; charset=utf-8',
+    body: JSON.stringify({
+      routes: ['/avatar/:name.svg', '/avatar/:name.png', '/tokens?name=…&format=…', '/palette'],
+      png: loadResvg() ? t('server.pngAvailable') : t('server.pngRequirement'),
+      parameters: 'size, s, l, palette, basis, hash, space, contrast, level, force, variant, text, tc, surface, theme, ds, dl, dsurface, locale, initials, rules, fs, ls, fw, identity',
+    }, null, 2) + '\n',
+  };
+}
+
+function route(url) {
+  const match = url.pathname.match(/^\/avatar\/(.+)\.(svg|png)$/);
+  if (match) return avatarRoute(match, url.searchParams);
+  if (url.pathname === '/tokens') return tokensRoute(url.searchParams);
+  if (url.pathname === '/palette') return paletteRoute(url.searchParams);
+  if (url.pathname === '/') return indexRoute();
+  throw new HttpError(404, t('server.unknownRoute'));
+}
+
+// ── Server ──────────────────────────────────────────
+function etagFor(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+async function handle(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  try {
+    const { type, body } = await route(new URL(req.url, 'http://localhost'));
+    const etag = etagFor(body);
+    const headers = { ETag: etag, 'Cache-Control': CACHE_CONTROL };
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    res.writeHead(200, Object.assign(headers, {
+      'Content-Type': type,
+      'Content-Length': Buffer.byteLength(body),
+    }));
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    const body = JSON.stringify({ error: status === 500 ? t('server.internal') : err.message }) + '\n';
+    if (status === 500) console.error(err);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body);
+  }
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    handle(req, res);
+  });
+}
+
+module.exports = { createServer, handle };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+  };
+  const port = Number(arg('port', process.env.PORT || DEFAULT_PORT));
+  const host = arg('host', DEFAULT_HOST);
+  I18n.setLocale(arg('lang', I18n.negotiate(I18n.environmentLanguages(process.env))));
+  createServer().listen(port, host, () => {
+    console.log(t('server.listening', { url: `http://${host}:${port}/` }));
+  });
+}
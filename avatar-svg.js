@@ -0,0 +1,77 @@
+/* ============================================
+   Avatar SVG — standalone image rendering
+   Produces the same circle, initials and
+   typography as the .avatar preview.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AvatarSvg = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Typography settings are expressed relative to the 120px preview
+  const PREVIEW_SIZE = 120;
+  // Width of the outline variant's ring as a share of the size
+  const RING_WIDTH = 0.06;
+  const DEFAULT_FONT_FAMILY =
+    "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+
+  const DEFAULT_OPTIONS = {
+    size: PREVIEW_SIZE,
+    fontSize: 40,
+    letterSpacing: 0,
+    fontWeight: 600,
+    fontFamily: DEFAULT_FONT_FAMILY,
+  };
+
+  function escapeXml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // avatar: a computeAvatar() result ({ background, ring, textColor,
+  // initials, direction }); results without `background` paint `hex`
+  function renderAvatarSvg(avatar, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const size = opts.size;
+    const scale = size / PREVIEW_SIZE;
+    const r = size / 2;
+    const fontSize = round(opts.fontSize * scale);
+    const spacing = round(opts.letterSpacing * scale);
+    const ring = round(size * RING_WIDTH);
+    const circle = avatar.ring
+      ? `<circle cx="${r}" cy="${r}" r="${round(r - ring / 2)}" fill="${avatar.background}" stroke="${avatar.ring}" stroke-width="${ring}"/>`
+      : `<circle cx="${r}" cy="${r}" r="${r}" fill="${avatar.background || avatar.hex}"/>`;
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${escapeXml(avatar.initials)}">`,
+      circle,
+      `<text x="${r}" y="${r}" fill="${avatar.textColor}" font-family="${escapeXml(opts.fontFamily)}" ` +
+        `font-size="${fontSize}" font-weight="${opts.fontWeight}" letter-spacing="${spacing}" ` +
+        `text-anchor="middle" dominant-baseline="central"${avatar.direction === 'rtl' ? ' direction="rtl"' : ''}>` +
+        `${escapeXml(avatar.initials)}</text>`,
+      '</svg>',
+    ].join('');
+  }
+
+  return {
+    PREVIEW_SIZE,
+    RING_WIDTH,
+    DEFAULT_FONT_FAMILY,
+    DEFAULT_OPTIONS,
+    escapeXml,
+    renderAvatarSvg,
+  };
+});
@@ -0,0 +1,233 @@
+/* ============================================
+   Avatar URL — settings ↔ query parameters
+   The URL scheme of the avatar service, shared by
+   the server (parsing) and the playground (which
+   shows the URL of its current preview).
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./avatar-engine.js'), require('./avatar-svg.js'));
+  } else {
+    root.AvatarUrl = factory(root.AvatarEngine, root.AvatarSvg);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (AvatarEngine, AvatarSvg) {
+  'use strict';
+
+  const DEFAULT_SIZE = 128;
+  const PARTICLE_ACTIONS = ['skip', 'attach', 'name'];
+
+  // [query parameter, option, kind, allowed values or [min, max]]. Values
+  // equal to the default are left out of generated URLs. The level's range
+  // and default follow the contrast algorithm (CONTRAST_LEVELS).
+  const PARAMS = [
+    ['s', 'saturation', 'number', [0, 100]],
+    ['l', 'lightness', 'number', [0, 100]],
+    ['space', 'colorSpace', 'choice', AvatarEngine.COLOR_SPACES],
+    ['hash', 'hashStrategy', 'choice', AvatarEngine.HASH_STRATEGIES],
+    ['contrast', 'contrastAlgorithm', 'choice', ['wcag2', 'apca']],
+    ['level', 'contrastLevel', 'level'],
+    ['force', 'forceAAA', 'boolean'],
+    ['variant', 'variant', 'choice', AvatarEngine.VARIANTS],
+    ['text', 'textStrategy', 'choice', AvatarEngine.TEXT_STRATEGIES],
+    ['locale', 'nameLocale', 'choice', Object.keys(AvatarEngine.NAME_PROFILES)],
+    ['initials', 'initialsCount', 'number', [0, 3]],
+    ['fs', 'fontSize', 'number', [8, 96]],
+    ['ls', 'letterSpacing', 'number', [-10, 20]],
+    ['fw', 'fontWeight', 'number', [100, 900]],
+  ];
+  // theme=dark serves the dark-theme variant; its settings have their own
+  // parameters, left out while they equal the engine's dark defaults
+  const DARK_PARAMS = [
+    ['ds', 'saturation', [0, 100]],
+    ['dl', 'lightness', [0, 100]],
+  ];
+
+  const DEFAULTS = Object.assign({}, AvatarEngine.DEFAULT_OPTIONS, {
+    fontSize: AvatarSvg.DEFAULT_OPTIONS.fontSize,
+    letterSpacing: AvatarSvg.DEFAULT_OPTIONS.letterSpacing,
+    fontWeight: AvatarSvg.DEFAULT_OPTIONS.fontWeight,
+  });
+
+  // ── Settings → URL ────────────────────────────────
+  // options: engine options plus fontSize/letterSpacing/fontWeight and
+  // theme ('light' | 'dark')
+  function toQuery(options, size) {
+    const params = new URLSearchParams();
+    if (size && size !== DEFAULT_SIZE) params.set('size', size);
+    PARAMS.forEach(([param, key, kind]) => {
+      const value = options[key];
+      const fallback = kind === 'level' ? levelRange(options.contrastAlgorithm).initial : DEFAULTS[key];
+      if (value === undefined || value === null || value === fallback) return;
+      params.set(param, kind === 'boolean' ? '1' : value);
+    });
+
+    if (Array.isArray(options.customPalette) && options.customPalette.length > 0) {
+      params.set('palette', options.customPalette.map((entry) => entry.hex.replace('#', '')).join(','));
+    } else if (options.limitedPalette) {
+      params.set('palette', 'limited');
+    }
+    if (options.identityKey) params.set('basis', options.identityKey);
+    else if (options.useFullNameColor) params.set('basis', 'full-name');
+    if (Array.isArray(options.particleRules) && options.particleRules.length > 0) {
+      params.set('rules', options.particleRules.map((r) => `${r.particle}:${r.action}`).join(','));
+    }
+    if (options.textStrategy === 'custom' && options.textColors) {
+      params.set('tc', [options.textColors.dark, options.textColors.light].map((hex) => hex.replace('#', '')).join(','));
+    }
+    if (options.theme === 'dark') {
+      const dark = options.darkTheme || {};
+      params.set('theme', 'dark');
+      DARK_PARAMS.forEach(([param, key]) => {
+        if (dark[key] !== undefined && dark[key] !== AvatarEngine.DARK_THEME[key]) params.set(param, dark[key]);
+      });
+      if (options.variant === 'outline' && dark.surfaceColor && dark.surfaceColor !== AvatarEngine.DARK_THEME.surfaceColor) {
+        params.set('dsurface', dark.surfaceColor.replace('#', ''));
+      }
+    } else if (options.variant === 'outline' && options.surfaceColor && options.surfaceColor !== DEFAULTS.surfaceColor) {
+      params.set('surface', options.surfaceColor.replace('#', ''));
+    }
+    return params.toString();
+  }
+
+  // person: a name or { name, identity } (the identity fills id and email)
+  function avatarPath(person, options, format, size) {
+    const name = typeof person === 'string' ? person : person.name;
+    const query = toQuery(options, size);
+    const identity = typeof person === 'object' && person.identity;
+    const extra = identity ? `identity=${encodeURIComponent(identity)}` : '';
+    const search = [query, extra].filter(Boolean).join('&');
+    return `/avatar/${encodeURIComponent(name)}.${format || 'svg'}${search ? '?' + search : ''}`;
+  }
+
+  function levelRange(algorithm) {
+    return AvatarEngine.CONTRAST_LEVELS[algorithm] || AvatarEngine.CONTRAST_LEVELS[DEFAULTS.contrastAlgorithm];
+  }
+
+  // ── URL → settings ────────────────────────────────
+  // Errors carry a `code` and `params` for the catalogues (error.url-*);
+  // the message names the parameter
+  function invalid(code, message, params) {
+    return Object.assign(new Error(message), { code, params });
+  }
+
+  function numberError(param, min, max) {
+    return invalid('url-number', `${param} moet een getal tussen ${min} en ${max} zijn`, { param, min: String(min), max: String(max) });
+  }
+
+  function hexError(param) {
+    return invalid('url-hex', `${param} moet een hex-kleur zijn`, { param });
+  }
+
+  function fromQuery(params) {
+    const options = {};
+    PARAMS.forEach(([param, key, kind, allowed]) => {
+      if (!params.has(param)) return;
+      const raw = params.get(param);
+      if (kind === 'boolean') {
+        options[key] = raw === '1' || raw === 'true';
+      } else if (kind === 'number' || kind === 'level') {
+        // contrast comes before level, so its range is known here
+        const range = kind === 'level' ? levelRange(options.contrastAlgorithm) : { min: allowed[0], max: allowed[1] };
+        const value = Number(raw);
+        if (raw === '' || !isFinite(value) || value < range.min || value > range.max) {
+          throw numberError(param, range.min, range.max);
+        }
+        options[key] = value;
+      } else {
+        if (!allowed.includes(raw)) {
+          throw invalid('url-choice', `${param} moet een van ${allowed.join(', ')} zijn`, { param, choices: allowed.join(', ') });
+        }
+        options[key] = raw;
+      }
+    });
+    // A level on another scale than the default makes no sense, so a bare
+    // contrast=apca starts at that algorithm's own level
+    if (options.contrastAlgorithm && options.contrastLevel === undefined) {
+      options.contrastLevel = levelRange(options.contrastAlgorithm).initial;
+    }
+
+    const palette = params.get('palette');
+    if (palette === 'limited') {
+      options.limitedPalette = true;
+    } else if (palette && palette !== 'full') {
+      const entries = palette.split(',').map((hex) => AvatarEngine.normalizeHex(hex));
+      if (entries.some((hex) => !hex)) throw invalid('url-palette', 'palette moet full, limited of een lijst hex-kleuren zijn');
+      options.customPalette = entries.map((hex) => ({ hex }));
+    }
+
+    const basis = params.get('basis');
+    if (basis) {
+      if (basis === 'full-name') options.useFullNameColor = true;
+      else if (AvatarEngine.IDENTITY_KEYS.includes(basis)) options.identityKey = basis;
+      else if (basis !== 'initials') {
+        const keys = AvatarEngine.IDENTITY_KEYS.join(', ');
+        throw invalid('url-basis', `basis moet initials, full-name of ${keys} zijn`, { keys });
+      }
+    }
+
+    const rules = params.get('rules');
+    if (rules) {
+      options.particleRules = rules.split(',').map((rule) => {
+        const [particle, action] = rule.split(':');
+        if (!particle || !PARTICLE_ACTIONS.includes(action)) {
+          const actions = PARTICLE_ACTIONS.join(', ');
+          throw invalid('url-rules', `rules verwacht partikel:actie (${actions})`, { actions });
+        }
+        return { particle, action };
+      });
+    }
+
+    // tc=dark,light — the pair for text=custom
+    const textColors = params.get('tc');
+    if (textColors) {
+      const [dark, light] = textColors.split(',').map((hex) => AvatarEngine.normalizeHex(hex));
+      if (!dark || !light) throw invalid('url-text-colors', 'tc moet twee hex-kleuren zijn: donker,licht');
+      options.textColors = { dark, light };
+    }
+    const surface = params.get('surface');
+    if (surface) {
+      options.surfaceColor = AvatarEngine.normalizeHex(surface);
+      if (!options.surfaceColor) throw hexError('surface');
+    }
+
+    const theme = params.get('theme');
+    if (theme) {
+      if (theme !== 'light' && theme !== 'dark') throw invalid('url-theme', 'theme moet light of dark zijn');
+      options.theme = theme;
+    }
+    const dark = {};
+    DARK_PARAMS.forEach(([param, key, [min, max]]) => {
+      if (!params.has(param)) return;
+      const value = Number(params.get(param));
+      if (params.get(param) === '' || !isFinite(value) || value < min || value > max) {
+        throw numberError(param, min, max);
+      }
+      dark[key] = value;
+    });
+    const darkSurface = params.get('dsurface');
+    if (darkSurface) {
+      dark.surfaceColor = AvatarEngine.normalizeHex(darkSurface);
+      if (!dark.surfaceColor) throw hexError('dsurface');
+    }
+    if (Object.keys(dark).length > 0) options.darkTheme = dark;
+    return options;
+  }
+
+  function sizeFromQuery(params) {
+    if (!params.has('size')) return DEFAULT_SIZE;
+    const size = Number(params.get('size'));
+    if (!Number.isInteger(size) || size < 16 || size > 1024) {
+      throw invalid('url-size', 'size moet een geheel getal tussen 16 en 1024 zijn');
+    }
+    return size;
+  }
+
+  return {
+    DEFAULT_SIZE,
+    toQuery,
+    avatarPath,
+    fromQuery,
+    sizeFromQuery,
+  };
+});
@@ -0,0 +1,26 @@
+/* ============================================
+   Avatar Worker — dataset computation off the
+   main thread. Receives { id, config, people,
+   distinct } and replies { id, avatars,
+   darkAvatars, assignment } or { id, error }.
+   ============================================ */
+
+importScripts('avatar-engine.js');
+
+self.onmessage = (e) => {
+  const { id, config, people, distinct } = e.data;
+  const engine = AvatarEngine.createAvatarEngine(
+    Object.assign({}, config, { assignmentGroup: distinct ? people : null })
+  );
+  const prepared = engine.needsPreparation ? engine.prepare(people) : Promise.resolve();
+
+  prepared
+    .then(() => {
+      const avatars = engine.computeAll(people);
+      const darkAvatars = engine.computeAllDark(people);
+      self.postMessage({ id, avatars, darkAvatars, assignment: engine.assignment() });
+    })
+    .catch((err) => {
+      self.postMessage({ id, error: err.message });
+    });
+};
@@ -0,0 +1,304 @@
+/* ============================================
+   Color Migration — baseline vs current strategy
+   Reads an exported avatar-design-tokens.json as
+   the colors users have today, compares them with
+   what the current settings give the same users
+   (ΔE2000, contrast target) and writes the old →
+   new mapping or a list of colors to pin.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ColorMigration = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    toLab: null, // rgb → CIELAB, e.g. AvatarEngine.rgbToLab
+    deltaE: null, // (lab, lab) → ΔE, e.g. AvatarEngine.deltaE2000
+  };
+
+  // Upper ΔE2000 bounds of the change buckets: barely visible, visible at
+  // a glance, a related color, a different color; above the last, another hue
+  const BUCKETS = [2, 10, 25, 50];
+  const THEMES = ['light', 'dark'];
+  // Level per algorithm for baselines exported before the level was written
+  const DEFAULT_LEVELS = { wcag2: 4.5, apca: 60 };
+  // What forced contrast aims for (AvatarEngine.FORCED_CONTRAST); older
+  // baselines wrote the configured level even when colors were forced
+  const FORCED_LEVELS = { wcag2: 7, apca: 75 };
+
+  // ── Baseline ──────────────────────────────────────
+  function hexOrNull(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+  }
+
+  function baselineColor(entry) {
+    const background = hexOrNull(entry && entry.background);
+    if (!background) return null;
+    return {
+      background,
+      textColor: hexOrNull(entry['text-color']),
+      ring: hexOrNull(entry.ring),
+      contrastRatio: Number(entry['contrast-ratio']),
+      apcaLc: Number(entry['apca-lc']),
+      targetMissed: entry['contrast-target-missed'] !== undefined,
+    };
+  }
+
+  // The JSON token export (format "json"): { 'avatar-color-strategy':
+  // { settings, colors: { key: { name, background, …, dark } } } }
+  function parseBaseline(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const strategy = data && data['avatar-color-strategy'];
+    if (!strategy || typeof strategy !== 'object' || !strategy.colors || typeof strategy.colors !== 'object') {
+      throw Object.assign(new Error('geen avatar-design-tokens.json (avatar-color-strategy ontbreekt)'), { code: 'baseline-invalid' });
+    }
+
+    const users = [];
+    Object.keys(strategy.colors).forEach((key) => {
+      const entry = strategy.colors[key];
+      const light = baselineColor(entry);
+      if (!light || typeof entry.name !== 'string') return;
+      users.push({
+        key,
+        name: entry.name,
+        initials: typeof entry.initials === 'string' ? entry.initials : '',
+        identity: typeof entry.identity === 'string' ? entry.identity : null,
+        light,
+        dark: baselineColor(entry.dark),
+      });
+    });
+    if (users.length === 0) {
+      throw Object.assign(new Error('het bestand bevat geen kleuren per naam'), { code: 'baseline-empty' });
+    }
+
+    return { settings: strategy.settings || {}, users };
+  }
+
+  // The engine input for a baseline user. The identity fills both id and
+  // email, so it is found whichever field the current settings key on.
+  function personOf(user) {
+    return { name: user.name, id: user.identity, email: user.identity };
+  }
+
+  // ── Comparison ────────────────────────────────────
+  // The contrast target a settings metadata block was judged against;
+  // `known` is false when the export predates the level
+  function contrastTarget(settings) {
+    const algorithm = settings['contrast-algorithm'] === 'apca' ? 'apca' : 'wcag2';
+    const forced = settings['forced-contrast'] !== undefined && settings['forced-contrast'] !== 'none';
+    if (forced) return { algorithm, level: FORCED_LEVELS[algorithm], known: true };
+    const level = Number(settings['contrast-level']);
+    return { algorithm, level: level > 0 ? level : DEFAULT_LEVELS[algorithm], known: level > 0 };
+  }
+
+  // The baseline's own verdict, from its exported measures
+  function baselineBelow(color, target) {
+    if (color.targetMissed) return true;
+    const value = target.algorithm === 'apca' ? Math.abs(color.apcaLc) : color.contrastRatio;
+    return Number.isFinite(value) && value < target.level;
+  }
+
+  function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  // The color a user is recognised by: the ring of an outline avatar,
+  // otherwise its background
+  function userColor(color) {
+    return color.ring || color.background;
+  }
+
+  // An engine avatar in the baseline's terms
+  function currentColor(av) {
+    const missed = av.contrastAdjustment && !av.contrastAdjustment.met;
+    return {
+      background: av.background || av.hex,
+      textColor: av.textColor,
+      ring: av.ring || null,
+      belowTarget: Boolean(missed) || av.contrastStatus !== 'pass',
+    };
+  }
+
+  // targets: { from, to, same } as given by contrastTarget
+  function compareColor(from, av, targets, opts) {
+    const to = currentColor(av);
+    const changed = userColor(from) !== userColor(to).toLowerCase();
+    const deltaE = changed
+      ? opts.deltaE(opts.toLab(hexToRgb(userColor(from))), opts.toLab(hexToRgb(userColor(to))))
+      : 0;
+    // The same pair under the same target has the same verdict, whatever
+    // the rounding of the exported measures
+    const samePair = from.background === to.background.toLowerCase() && from.textColor === to.textColor.toLowerCase();
+    const wasBelowTarget = samePair && targets.same ? to.belowTarget : baselineBelow(from, targets.from);
+    return { from, to, changed, deltaE: Math.round(deltaE * 100) / 100, wasBelowTarget };
+  }
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+
+  function themeSummary(users, theme) {
+    const entries = users.map((user) => user[theme]).filter(Boolean);
+    const shifts = entries.filter((e) => e.changed).map((e) => e.deltaE).sort((a, b) => a - b);
+    const buckets = BUCKETS.concat(Infinity).map((max, i) => ({
+      min: i === 0 ? 0 : BUCKETS[i - 1],
+      max: max === Infinity ? null : max,
+      count: 0,
+    }));
+    shifts.forEach((value) => {
+      buckets[buckets.findIndex((b) => b.max === null || value < b.max)].count++;
+    });
+    const below = entries.filter((e) => e.to.belowTarget);
+    return {
+      count: entries.length,
+      changed: shifts.length,
+      unchanged: entries.length - shifts.length,
+      deltaE: {
+        mean: shifts.length ? Math.round((shifts.reduce((s, v) => s + v, 0) / shifts.length) * 100) / 100 : null,
+        p50: percentile(shifts, 0.5),
+        p90: percentile(shifts, 0.9),
+        max: shifts.length ? shifts[shifts.length - 1] : null,
+      },
+      buckets,
+      belowTarget: below.length,
+      // Met the target in the baseline, miss it now
+      newlyBelowTarget: below.filter((e) => !e.wasBelowTarget).length,
+    };
+  }
+
+  // current: per baseline user (same order) { light, dark } engine avatars
+  // for the current settings; settings: the current settings metadata
+  function buildMigration(baseline, current, settings, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    if (!opts.toLab || !opts.deltaE) throw new Error('toLab en deltaE zijn verplicht');
+
+    const targets = { from: contrastTarget(baseline.settings), to: contrastTarget(settings) };
+    targets.same = targets.from.algorithm === targets.to.algorithm &&
+      (!targets.from.known || targets.from.level === targets.to.level);
+    const users = baseline.users.map((user, i) => ({
+      key: user.key,
+      name: user.name,
+      initials: user.initials,
+      identity: user.identity,
+      light: compareColor(user.light, current[i].light, targets, opts),
+      dark: user.dark ? compareColor(user.dark, current[i].dark, targets, opts) : null,
+    }));
+    const summary = {};
+    THEMES.forEach((theme) => {
+      summary[theme] = themeSummary(users, theme);
+    });
+
+    return {
+      count: users.length,
+      settings: { from: baseline.settings, to: settings },
+      summary,
+      users,
+    };
+  }
+
+  // Settings metadata keys whose value differs between baseline and now
+  function settingChanges(migration) {
+    const { from, to } = migration.settings;
+    return Object.keys(Object.assign({}, from, to)).filter(
+      (key) => JSON.stringify(from[key]) !== JSON.stringify(to[key])
+    );
+  }
+
+  // ── Files ─────────────────────────────────────────
+  function json(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  function colorEntry(color) {
+    const entry = { background: color.background, 'text-color': color.textColor };
+    if (color.ring) entry.ring = color.ring;
+    return entry;
+  }
+
+  function mappingTheme(entry) {
+    return {
+      from: colorEntry(entry.from),
+      to: colorEntry(entry.to),
+      'delta-e': entry.deltaE,
+      'below-target': entry.to.belowTarget,
+    };
+  }
+
+  // Every user's old and new colors, keyed as in the baseline
+  function toMappingJson(migration) {
+    const users = {};
+    migration.users.forEach((user) => {
+      users[user.key] = Object.assign({ name: user.name }, mappingTheme(user.light));
+      if (user.dark) users[user.key].dark = mappingTheme(user.dark);
+      if (user.identity) users[user.key].identity = user.identity;
+    });
+    return json({
+      'avatar-color-migration': {
+        settings: migration.settings,
+        summary: migration.summary,
+        users,
+      },
+    });
+  }
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // One row per user and theme
+  function toMappingCsv(migration) {
+    const rows = [['key', 'name', 'identity', 'theme', 'from', 'to', 'delta-e', 'below-target']];
+    migration.users.forEach((user) => {
+      THEMES.forEach((theme) => {
+        const entry = user[theme];
+        if (!entry) return;
+        rows.push([
+          user.key, user.name, user.identity, theme,
+          userColor(entry.from), userColor(entry.to), entry.deltaE, entry.to.belowTarget,
+        ]);
+      });
+    });
+    return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  // The baseline colors of the pinned users, as overrides that keep them
+  // where they are under the new strategy
+  function toPinsJson(migration, pinnedKeys) {
+    const pinned = new Set(pinnedKeys);
+    const pins = {};
+    migration.users.forEach((user) => {
+      if (!pinned.has(user.key)) return;
+      pins[user.key] = Object.assign({ name: user.name }, colorEntry(user.light.from));
+      if (user.dark) pins[user.key].dark = colorEntry(user.dark.from);
+      if (user.identity) pins[user.key].identity = user.identity;
+    });
+    return json({
+      'avatar-color-pins': {
+        settings: migration.settings.to,
+        pins,
+      },
+    });
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    BUCKETS,
+    THEMES,
+    parseBaseline,
+    personOf,
+    userColor,
+    buildMigration,
+    settingChanges,
+    toMappingJson,
+    toMappingCsv,
+    toPinsJson,
+  };
+});
@@ -0,0 +1,267 @@
+/* ============================================
+   Dataset Import — CSV, JSON & plain-text parsing
+   DOM-free: turns an uploaded or pasted user list
+   into { name, id } dataset records.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DatasetImport = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Fields a column can be mapped to, in display order
+  const FIELDS = ['firstName', 'lastName', 'displayName', 'id', 'email'];
+
+  // Header names (lower-cased, without spaces/underscores/dashes) that are
+  // recognised automatically per field
+  const HEADER_HINTS = {
+    firstName: ['first', 'firstname', 'givenname', 'given', 'voornaam', 'vorname', 'prenom'],
+    lastName: ['last', 'lastname', 'surname', 'familyname', 'family', 'achternaam', 'nachname', 'nom'],
+    displayName: ['name', 'displayname', 'fullname', 'naam', 'weergavenaam', 'cn'],
+    id: ['id', 'userid', 'uid', 'employeeid', 'personeelsnummer', 'key'],
+    email: ['email', 'mail', 'emailaddress', 'mailaddress', 'emailadres', 'mailadres', 'upn'],
+  };
+
+  // ── Format detection ──────────────────────────────
+  function detectFormat(text, fileName) {
+    const ext = fileName ? fileName.toLowerCase().split('.').pop() : '';
+    if (ext === 'json') return 'json';
+    if (ext === 'csv' || ext === 'tsv') return 'csv';
+    if (ext === 'txt') return 'text';
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+
+    // A delimiter on (nearly) every line suggests CSV
+    const lines = trimmed.split(/\r?\n/).filter((l) => l.trim()).slice(0, 20);
+    const delimiter = detectDelimiter(lines);
+    if (delimiter && lines.every((l) => l.includes(delimiter))) return 'csv';
+    return 'text';
+  }
+
+  function detectDelimiter(lines) {
+    const candidates = [',', ';', '\t', '|'];
+    let best = null;
+    let bestCount = 0;
+    candidates.forEach((d) => {
+      const count = lines.reduce((sum, l) => sum + (l.split(d).length - 1), 0);
+      if (count > bestCount) {
+        best = d;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  // ── Parsers ───────────────────────────────────────
+  // RFC 4180-style: quoted fields, doubled quotes, newlines inside quotes.
+  // header: true or false says whether the first row names the columns;
+  // left out, it is guessed from the header hints. Unnamed columns are
+  // called columnName(n), "column n" by default.
+  function parseCsv(text, delimiter, header, columnName) {
+    const unnamed = columnName || ((n) => `column ${n}`);
+    const src = text.replace(/^\uFEFF/, '');
+    const lines = src.split(/\r?\n/).filter((l) => l.trim()).slice(0, 20);
+    const sep = delimiter || detectDelimiter(lines) || ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (src[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === sep) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ''));
+    if (nonEmpty.length === 0) return { columns: [], rows: [], header: false };
+
+    const first = uniqueColumns(nonEmpty[0].map((c, i) => c.trim() || unnamed(i + 1)));
+    const hasHeader = typeof header === 'boolean' ? header : first.some((c) => guessField(c) !== null);
+    const columns = hasHeader ? first : first.map((_, i) => unnamed(i + 1));
+    const body = hasHeader ? nonEmpty.slice(1) : nonEmpty;
+
+    return {
+      header: hasHeader,
+      columns,
+      rows: body.map((cells) => {
+        const obj = {};
+        columns.forEach((col, i) => {
+          obj[col] = (cells[i] || '').trim();
+        });
+        return obj;
+      }),
+    };
+  }
+
+  function parseJson(text) {
+    let data = JSON.parse(text);
+
+    // Accept { users: [...] }, { data: [...] } or any object with one array
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+      const arrayKey = Object.keys(data).find((k) => Array.isArray(data[k]));
+      data = arrayKey ? data[arrayKey] : [data];
+    }
+    if (!Array.isArray(data)) {
+      throw Object.assign(new Error('JSON moet een lijst van namen of objecten bevatten.'), { code: 'import-json-shape' });
+    }
+
+    // Strings are names; other values (null, numbers, booleans, nested
+    // lists) are not people and are counted as skipped
+    const columns = [];
+    let skipped = 0;
+    const items = data.filter((item) => {
+      const usable = typeof item === 'string' || (typeof item === 'object' && item !== null && !Array.isArray(item));
+      if (!usable) skipped++;
+      return usable;
+    });
+    const rows = items.map((item) => {
+      const obj = typeof item === 'string' ? { name: item } : item;
+      const flat = {};
+      Object.keys(obj).forEach((k) => {
+        const v = obj[k];
+        if (v === null || typeof v === 'object') return;
+        if (!columns.includes(k)) columns.push(k);
+        flat[k] = String(v).trim();
+      });
+      return flat;
+    });
+    return { columns, rows, skipped };
+  }
+
+  function parseText(text) {
+    const rows = text
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .map((name) => ({ name }));
+    return { columns: ['name'], rows };
+  }
+
+  // options.header and options.columnName are passed on to parseCsv
+  function parse(text, fileName, options) {
+    const opts = options || {};
+    const format = detectFormat(text, fileName);
+    let result;
+    if (format === 'json') result = parseJson(text);
+    else if (format === 'csv') result = parseCsv(text, null, opts.header, opts.columnName);
+    else result = parseText(text);
+    result.format = format;
+    return result;
+  }
+
+  // Repeated header cells would share one key in the row objects
+  function uniqueColumns(header) {
+    const used = new Set();
+    return header.map((col) => {
+      let name = col;
+      for (let n = 2; used.has(name); n++) name = `${col} (${n})`;
+      used.add(name);
+      return name;
+    });
+  }
+
+  // ── Column mapping ────────────────────────────────
+  function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[\s_\-.]/g, '');
+  }
+
+  function guessField(header) {
+    const norm = normalizeHeader(header);
+    const field = FIELDS.find((f) => HEADER_HINTS[f].includes(norm));
+    return field || null;
+  }
+
+  function guessMapping(columns) {
+    const mapping = { firstName: '', lastName: '', displayName: '', id: '', email: '' };
+    columns.forEach((col) => {
+      const field = guessField(col);
+      if (field && !mapping[field]) mapping[field] = col;
+    });
+    // Headerless single-column input: treat it as the display name
+    if (!mapping.firstName && !mapping.lastName && !mapping.displayName && columns.length > 0) {
+      mapping.displayName = columns[0];
+    }
+    return mapping;
+  }
+
+  // ── Dataset building ──────────────────────────────
+  // Display name wins; otherwise first + last. Rows without any name are
+  // skipped, and duplicates (same id, else same email, else same name) are
+  // dropped keeping the first occurrence.
+  function buildDataset(rows, mapping) {
+    const records = [];
+    const seen = new Set();
+    let duplicates = 0;
+    let skipped = 0;
+
+    rows.forEach((row) => {
+      const get = (field) => (mapping[field] ? (row[mapping[field]] || '').trim() : '');
+      const display = get('displayName');
+      const name = (display || [get('firstName'), get('lastName')].filter(Boolean).join(' '))
+        .replace(/\s+/g, ' ');
+      if (!name) {
+        skipped++;
+        return;
+      }
+
+      const id = get('id') || null;
+      const email = get('email') || null;
+      let key = 'name:' + name.toLowerCase();
+      if (id) key = 'id:' + id;
+      else if (email) key = 'email:' + email.toLowerCase();
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+      records.push({ name, id, email });
+    });
+
+    return { records, duplicates, skipped };
+  }
+
+  return {
+    FIELDS,
+    detectFormat,
+    parseCsv,
+    parseJson,
+    parseText,
+    parse,
+    guessMapping,
+    buildDataset,
+  };
+});
@@ -0,0 +1,402 @@
+/* ============================================
+   Design Tokens — multi-format token export
+   One token set (settings, palette, per-name
+   colors, each with its dark-theme pair) rendered
+   as JSON, W3C/Style Dictionary, CSS, SCSS,
+   Tailwind, Android and iOS.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./avatar-engine.js'));
+  } else {
+    root.DesignTokens = factory(root.AvatarEngine);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (AvatarEngine) {
+  'use strict';
+
+  // Exports are read by developers whatever the interface language, so
+  // their text is English, like their keys
+  const DESCRIPTION = 'Avatar color strategy — generated by Avatar Playground';
+
+  // ── Token set ─────────────────────────────────────
+  // darkConfig (an engine's darkConfig) adds the dark theme's settings.
+  // contrast-level is the level avatars are held to: the forced target
+  // when colors are forced, else the configured level.
+  function settingsMetadata(config, darkConfig) {
+    const forced = AvatarEngine.FORCED_CONTRAST[config.contrastAlgorithm];
+    const settings = {
+      saturation: config.saturation,
+      lightness: config.lightness,
+      palette: paletteKind(config),
+      'color-basis': config.identityKey || (config.useFullNameColor ? 'full-name' : 'initials'),
+      'name-locale': config.nameLocale,
+      hash: config.hashStrategy,
+      'forced-contrast': config.forceAAA ? (config.contrastAlgorithm === 'apca' ? `Lc ${forced}` : 'AAA') : 'none',
+      variant: config.variant,
+      'text-strategy': config.textStrategy,
+      'color-space': config.colorSpace,
+      'contrast-algorithm': config.contrastAlgorithm,
+      'contrast-level': AvatarEngine.requiredContrast(config),
+      assignment: config.assignmentGroup ? 'distinct' : 'hash',
+      surface: config.surfaceColor,
+    };
+    if (darkConfig) {
+      Object.assign(settings, {
+        'dark-saturation': darkConfig.saturation,
+        'dark-lightness': darkConfig.lightness,
+        'dark-surface': darkConfig.surfaceColor,
+      });
+    }
+    return settings;
+  }
+
+  function paletteKind(config) {
+    if (Array.isArray(config.customPalette) && config.customPalette.length > 0) {
+      return `custom-${config.customPalette.length}`;
+    }
+    return config.limitedPalette ? 'limited-12' : 'full-spectrum';
+  }
+
+  // background is what is painted behind the initials; outline avatars add
+  // a ring in the avatar color
+  function colorToken(key, av) {
+    const token = {
+      key,
+      background: av.background || av.hex,
+      textColor: av.textColor,
+      css: av.css,
+      contrastRatio: Number(av.contrastRatio.toFixed(2)),
+      apcaLc: Number(av.apcaContrast.toFixed(1)),
+      wcag: av.wcag.label,
+    };
+    if (av.ring) token.ring = av.ring;
+    token.surfaceContrast = Number(av.surfaceContrast.toFixed(2));
+    if (av.contrastAdjustment && !av.contrastAdjustment.met) token.contrastTargetMissed = av.contrastAdjustment.target;
+    return token;
+  }
+
+  // Token key before de-duplication: the identity when colors are keyed on
+  // one ("jan@example.com" → "jan-example-com"), else the slugified name
+  function baseKey(engine, av) {
+    if (av.identity) return engine.slugify(av.identity.replace(/[^\p{L}\p{M}\p{N}]+/gu, ' '));
+    return engine.slugify(av.name);
+  }
+
+  // Format-neutral snapshot of an engine over a list of names or person
+  // records. Keys are made unique so no entry overwrites another.
+  function buildTokenSet(engine, people) {
+    const used = new Set();
+    const uniqueKey = (base) => {
+      let key = base || 'user';
+      for (let n = 2; used.has(key); n++) key = `${base || 'user'}-${n}`;
+      used.add(key);
+      return key;
+    };
+
+    // Every token carries its dark-theme pair under `dark`
+    const darkPalette = engine.paletteDark();
+    return {
+      settings: settingsMetadata(engine.config, engine.darkConfig),
+      palette: engine.palette().map((entry, i) =>
+        Object.assign(colorToken(entry.key, entry), { dark: colorToken(entry.key, darkPalette[i]) })),
+      colors: people.map((person) => {
+        const av = engine.compute(person);
+        const key = uniqueKey(baseKey(engine, av));
+        const token = Object.assign(colorToken(key, av), {
+          name: av.name,
+          initials: av.initials,
+          dark: colorToken(key, engine.computeDark(person)),
+        });
+        if (av.identity) token.identity = av.identity;
+        return token;
+      }),
+    };
+  }
+
+  // ── Helpers ───────────────────────────────────────
+  function json(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  function snake(key) {
+    return key.replace(/-/g, '_');
+  }
+
+  function xmlEscape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function commentSafe(str) {
+    return String(str).replace(/\*\//g, '* /');
+  }
+
+  // Both palette entries and per-name colors, as [prefix, token] pairs.
+  // Each gets its own prefix, so a user named "Palette 1" cannot override
+  // the first palette entry.
+  function allTokens(set) {
+    return set.palette
+      .map((t) => ['palette-' + t.key, t])
+      .concat(set.colors.map((t) => ['user-' + t.key, t]));
+  }
+
+  // ── Formats ───────────────────────────────────────
+  // The original avatar-color-strategy shape, plus the palette. The color
+  // notation is keyed by its space ("hsl", "oklch" or "lch").
+  function jsonColor(t, space) {
+    const color = {
+      background: t.background,
+      'text-color': t.textColor,
+      [space]: t.css,
+      'contrast-ratio': t.contrastRatio,
+      'apca-lc': t.apcaLc,
+      wcag: t.wcag,
+      'surface-contrast': t.surfaceContrast,
+    };
+    if (t.ring) color.ring = t.ring;
+    if (t.contrastTargetMissed) color['contrast-target-missed'] = t.contrastTargetMissed;
+    return color;
+  }
+
+  function toJson(set) {
+    const space = set.settings['color-space'];
+    const colors = {};
+    set.colors.forEach((t) => {
+      colors[t.key] = Object.assign(
+        { name: t.name, initials: t.initials },
+        jsonColor(t, space),
+        { dark: jsonColor(t.dark, space) }
+      );
+      if (t.identity) colors[t.key].identity = t.identity;
+    });
+    const palette = {};
+    set.palette.forEach((t) => {
+      palette[t.key] = Object.assign(jsonColor(t, space), { dark: jsonColor(t.dark, space) });
+    });
+
+    return [{
+      name: 'avatar-design-tokens.json',
+      data: json({
+        'avatar-color-strategy': {
+          description: DESCRIPTION,
+          settings: set.settings,
+          palette,
+          colors,
+        },
+      }),
+    }];
+  }
+
+  // W3C Design Tokens uses $value/$type; Style Dictionary 3 uses value/type
+  function toTokenTree(set, w3c) {
+    const v = w3c ? '$value' : 'value';
+    const type = w3c ? '$type' : 'type';
+    const desc = w3c ? '$description' : 'comment';
+    const color = (hex, description) => {
+      const token = { [v]: hex, [type]: 'color' };
+      if (description) token[desc] = description;
+      return token;
+    };
+
+    // background/text/ring, with the dark-theme pair as a `dark` group
+    const group = (t, description, detail) => {
+      const tokens = {
+        background: color(t.background, description),
+        text: color(t.textColor, `${t.contrastRatio}:1, Lc ${t.apcaLc}${detail}`),
+      };
+      if (t.ring) tokens.ring = color(t.ring);
+      return tokens;
+    };
+
+    const palette = {};
+    set.palette.forEach((t) => {
+      palette[t.key] = Object.assign(group(t, t.css, ''), { dark: group(t.dark, t.dark.css, '') });
+    });
+    const user = {};
+    set.colors.forEach((t) => {
+      const description = `${t.name} (${t.initials})`;
+      user[t.key] = Object.assign(group(t, description, ` — ${t.wcag}`), {
+        dark: group(t.dark, description, ` — ${t.dark.wcag}`),
+      });
+    });
+
+    const avatar = { palette, user };
+    if (w3c) {
+      avatar.$description = DESCRIPTION;
+      avatar.$extensions = { 'avatar-playground': { settings: set.settings } };
+    }
+    return [{
+      name: w3c ? 'avatar.tokens.json' : 'avatar.style-dictionary.json',
+      data: json({ avatar }),
+    }];
+  }
+
+  // The dark pair overrides the same properties for dark color schemes
+  function toCss(set) {
+    const declarations = (indent, dark) => {
+      const out = [];
+      allTokens(set).forEach(([prefix, pair]) => {
+        const t = dark ? pair.dark : pair;
+        if (pair.name) out.push(`${indent}/* ${commentSafe(pair.name)} */`);
+        out.push(`${indent}--avatar-${prefix}-bg: ${t.background};`);
+        out.push(`${indent}--avatar-${prefix}-text: ${t.textColor};`);
+        if (t.ring) out.push(`${indent}--avatar-${prefix}-ring: ${t.ring};`);
+      });
+      return out;
+    };
+    const lines = [
+      `/* ${commentSafe(DESCRIPTION)} */`,
+      ':root {',
+      ...declarations('  ', false),
+      '}',
+      '',
+      '@media (prefers-color-scheme: dark) {',
+      '  :root {',
+      ...declarations('    ', true),
+      '  }',
+      '}',
+    ];
+    return [{ name: 'avatar-tokens.css', data: lines.join('\n') + '\n' }];
+  }
+
+  function toScss(set) {
+    const entry = (t) =>
+      `  '${t.key}': (background: ${t.background}, text: ${t.textColor}${t.ring ? `, ring: ${t.ring}` : ''}, contrast: ${t.contrastRatio}, apca: ${t.apcaLc}),`;
+    const dark = (t) => entry(t.dark);
+    const lines = [
+      `// ${DESCRIPTION}`,
+      `$avatar-saturation: ${set.settings.saturation}%;`,
+      `$avatar-lightness: ${set.settings.lightness}%;`,
+      `$avatar-dark-saturation: ${set.settings['dark-saturation']}%;`,
+      `$avatar-dark-lightness: ${set.settings['dark-lightness']}%;`,
+      '',
+      '$avatar-palette: (',
+      ...set.palette.map(entry),
+      ');',
+      '',
+      '$avatar-colors: (',
+      ...set.colors.map(entry),
+      ');',
+      '',
+      '$avatar-palette-dark: (',
+      ...set.palette.map(dark),
+      ');',
+      '',
+      '$avatar-colors-dark: (',
+      ...set.colors.map(dark),
+      ');',
+    ];
+    return [{ name: '_avatar-tokens.scss', data: lines.join('\n') + '\n' }];
+  }
+
+  function toTailwind(set) {
+    // bg-avatar-user-jan / bg-avatar-user-jan-dark, text-avatar-user-jan-text / -dark-text
+    const colors = (t) => {
+      const entry = { DEFAULT: t.background, text: t.textColor };
+      if (t.ring) entry.ring = t.ring;
+      return entry;
+    };
+    const avatar = { palette: {}, user: {} };
+    set.palette.forEach((t) => {
+      avatar.palette[t.key] = Object.assign(colors(t), { dark: colors(t.dark) });
+    });
+    set.colors.forEach((t) => {
+      avatar.user[t.key] = Object.assign(colors(t), { dark: colors(t.dark) });
+    });
+    const theme = { theme: { extend: { colors: { avatar } } } };
+    return [{
+      name: 'tailwind.avatar-colors.js',
+      data: `// ${DESCRIPTION}\nmodule.exports = ${JSON.stringify(theme, null, 2)};\n`,
+    }];
+  }
+
+  // The dark pair goes to values-night under the same names, so Android
+  // picks it in night mode
+  function toAndroid(set) {
+    const argb = (hex) => '#FF' + hex.slice(1).toUpperCase();
+    const resources = (dark) => {
+      const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<!-- ${xmlEscape(DESCRIPTION).replace(/--/g, '—')} -->`,
+        '<resources>',
+      ];
+      // Resource names are ASCII only, so keys in other scripts are reduced
+      // to what is left and numbered apart
+      const used = new Set();
+      allTokens(set).forEach(([prefix, pair]) => {
+        const t = dark ? pair.dark : pair;
+        const base = 'avatar_' + (snake(prefix).replace(/[^a-z0-9_]+/g, '').replace(/^_+|_+$/g, '') || 'user');
+        let name = base;
+        for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+        used.add(name);
+        lines.push(`    <color name="${name}_bg">${argb(t.background)}</color>`);
+        lines.push(`    <color name="${name}_text">${argb(t.textColor)}</color>`);
+        if (t.ring) lines.push(`    <color name="${name}_ring">${argb(t.ring)}</color>`);
+      });
+      lines.push('</resources>');
+      return lines.join('\n') + '\n';
+    };
+    return [
+      { name: 'values/avatar_colors.xml', data: resources(false) },
+      { name: 'values-night/avatar_colors.xml', data: resources(true) },
+    ];
+  }
+
+  // An .xcassets catalog is a folder, so this format yields several files
+  function toIos(set) {
+    const root = 'AvatarColors.xcassets';
+    const info = { author: 'xcode', version: 1 };
+    const color = (hex) => {
+      const [r, g, b] = [1, 3, 5].map((i) => (parseInt(hex.substr(i, 2), 16) / 255).toFixed(3));
+      return {
+        'color-space': 'srgb',
+        components: { red: r, green: g, blue: b, alpha: '1.000' },
+      };
+    };
+    // The dark pair is the colorset's dark appearance
+    const colorset = (light, dark) => json({
+      colors: [
+        { idiom: 'universal', color: color(light) },
+        { idiom: 'universal', appearances: [{ appearance: 'luminosity', value: 'dark' }], color: color(dark) },
+      ],
+      info,
+    });
+
+    const files = [{ name: `${root}/Contents.json`, data: json({ info }) }];
+    allTokens(set).forEach(([prefix, t]) => {
+      files.push({ name: `${root}/avatar-${prefix}-bg.colorset/Contents.json`, data: colorset(t.background, t.dark.background) });
+      files.push({ name: `${root}/avatar-${prefix}-text.colorset/Contents.json`, data: colorset(t.textColor, t.dark.textColor) });
+      if (t.ring) files.push({ name: `${root}/avatar-${prefix}-ring.colorset/Contents.json`, data: colorset(t.ring, t.dark.ring) });
+    });
+    return files;
+  }
+
+  const FORMATS = {
+    json: toJson,
+    w3c: (set) => toTokenTree(set, true),
+    'style-dictionary': (set) => toTokenTree(set, false),
+    css: toCss,
+    scss: toScss,
+    tailwind: toTailwind,
+    android: toAndroid,
+    ios: toIos,
+  };
+
+  // Returns [{ name, data }]; formats with more than one file are meant to
+  // be zipped or written out as a directory by the caller
+  function formatTokens(set, format) {
+    const build = FORMATS[format];
+    if (!build) {
+      throw Object.assign(new Error(`Onbekend tokenformaat: ${format}`), { code: 'token-format', params: { format } });
+    }
+    return build(set);
+  }
+
+  return {
+    FORMATS: Object.keys(FORMATS),
+    settingsMetadata,
+    baseKey,
+    buildTokenSet,
+    formatTokens,
+  };
+});
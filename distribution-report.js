@@ -0,0 +1,305 @@
+/* ============================================
+   Distribution Report — quantitative metrics
+   Hue histogram, chi-square uniformity, collision
+   rates, ΔE2000 percentiles and contrast pass rate
+   for a set of computed avatars.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DistributionReport = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    buckets: 36, // histogram buckets over 360°
+    collisionThreshold: 10, // degrees
+    maxPairs: 20000, // above this the ΔE2000 pairs are sampled
+    slots: 360, // distinct colors the strategy can produce
+    slotHues: null, // hue of each slot when they are not evenly spaced (a custom palette)
+    toLab: null, // rgb → CIELAB, e.g. AvatarEngine.rgbToLab
+    deltaE: null, // (lab, lab) → ΔE, e.g. AvatarEngine.deltaE2000
+  };
+
+  // ── Statistics helpers ────────────────────────────
+  function logGamma(x) {
+    // Lanczos approximation (g = 7)
+    const c = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+      9.9843695780195716e-6, 1.5056327351493116e-7,
+    ];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // Regularised upper incomplete gamma Q(a, x): series below a + 1,
+  // continued fraction above (Numerical Recipes, gser/gcf)
+  function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    const lead = -x + a * Math.log(x) - logGamma(a);
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+        term *= x / (a + n);
+        sum += term;
+      }
+      return 1 - sum * Math.exp(lead);
+    }
+    let b = x + 1 - a;
+    let c = 1e300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c;
+      if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(lead) * h;
+  }
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // Small seeded PRNG so sampled reports are reproducible
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function round(n, digits) {
+    if (n === null || !isFinite(n)) return n;
+    const f = Math.pow(10, digits);
+    return Math.round(n * f) / f;
+  }
+
+  // ── Metrics ───────────────────────────────────────
+  function histogram(hues, buckets) {
+    const size = 360 / buckets;
+    const counts = new Array(buckets).fill(0);
+    hues.forEach((h) => {
+      counts[Math.min(buckets - 1, Math.floor((((h % 360) + 360) % 360) / size))]++;
+    });
+    return { bucketSize: size, counts };
+  }
+
+  // Index of the slot an avatar landed on: its palette entry, else the
+  // nearest of `slots` evenly spaced hues
+  function slotIndex(av, slots) {
+    if (av.paletteIndex !== undefined) return av.paletteIndex;
+    return Math.round((((av.hue % 360) + 360) % 360) / (360 / slots)) % slots;
+  }
+
+  function slotCounts(avatars, slots) {
+    const counts = new Array(slots).fill(0);
+    avatars.forEach((av) => {
+      counts[slotIndex(av, slots)]++;
+    });
+    return counts;
+  }
+
+  // Chi-square against an even spread over the buckets. With fewer than
+  // five expected per bucket the approximation is unreliable, so it is
+  // flagged rather than hidden.
+  function uniformity(counts, n) {
+    const expected = n / counts.length;
+    const chiSquare = counts.reduce((sum, o) => sum + ((o - expected) * (o - expected)) / expected, 0);
+    const df = counts.length - 1;
+    return {
+      chiSquare: round(chiSquare, 3),
+      degreesOfFreedom: df,
+      pValue: round(gammaQ(df / 2, chiSquare / 2), 4),
+      expectedPerBucket: round(expected, 2),
+      reliable: expected >= 5,
+    };
+  }
+
+  // Chance that two uniformly drawn slots lie closer than the threshold
+  // on the hue circle (a slot with itself included)
+  function slotCollisionRate(slotHues, threshold) {
+    let close = 0;
+    slotHues.forEach((a) => {
+      slotHues.forEach((b) => {
+        const d = Math.abs(a - b) % 360;
+        if (Math.min(d, 360 - d) < threshold) close++;
+      });
+    });
+    return close / (slotHues.length * slotHues.length);
+  }
+
+  // Pairs closer than the threshold on the hue circle, against the rate
+  // the strategy's slots give when every name draws one at random
+  function hueCollisions(hues, threshold, slotHues) {
+    const sorted = [...hues].sort((a, b) => a - b);
+    const n = sorted.length;
+    let observed = 0;
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+      // Count partners ahead of i (wrapping) within the threshold
+      if (j < i + 1) j = i + 1;
+      while (j < i + n && sorted[j % n] + (j >= n ? 360 : 0) - sorted[i] < threshold) j++;
+      observed += j - i - 1;
+    }
+    const total = (n * (n - 1)) / 2;
+    const expectedRate = slotCollisionRate(slotHues, threshold);
+    return {
+      thresholdDegrees: threshold,
+      observedPairs: observed,
+      expectedPairs: round(total * expectedRate, 1),
+      observedRate: round(total ? observed / total : 0, 5),
+      expectedRate: round(expectedRate, 5),
+    };
+  }
+
+  // Pairs with the exact same color, against the birthday expectation for
+  // the number of colors the strategy can produce
+  function identicalColors(avatars, slots) {
+    const groups = new Map();
+    avatars.forEach((av) => groups.set(av.hex, (groups.get(av.hex) || 0) + 1));
+    let observed = 0;
+    groups.forEach((c) => {
+      observed += (c * (c - 1)) / 2;
+    });
+    const n = avatars.length;
+    const total = (n * (n - 1)) / 2;
+    return {
+      distinctColors: groups.size,
+      slots,
+      observedPairs: observed,
+      expectedPairs: round(total / slots, 1),
+      observedRate: round(total ? observed / total : 0, 5),
+      expectedRate: round(1 / slots, 5),
+    };
+  }
+
+  // Every pair when there are few enough, otherwise a seeded sample
+  function deltaEPercentiles(avatars, opts) {
+    const labs = avatars.map((av) => opts.toLab(av.rgb));
+    const n = labs.length;
+    const total = (n * (n - 1)) / 2;
+    const values = [];
+    if (total <= opts.maxPairs) {
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) values.push(opts.deltaE(labs[i], labs[j]));
+      }
+    } else {
+      const random = mulberry32(n);
+      while (values.length < opts.maxPairs) {
+        const i = Math.floor(random() * n);
+        const j = Math.floor(random() * n);
+        if (i !== j) values.push(opts.deltaE(labs[i], labs[j]));
+      }
+    }
+    values.sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+    return {
+      pairs: values.length,
+      totalPairs: total,
+      sampled: total > opts.maxPairs,
+      min: round(values[0] === undefined ? null : values[0], 2),
+      p1: round(percentile(values, 0.01), 2),
+      p5: round(percentile(values, 0.05), 2),
+      p25: round(percentile(values, 0.25), 2),
+      p50: round(percentile(values, 0.5), 2),
+      mean: round(mean, 2),
+    };
+  }
+
+  function contrastRates(avatars) {
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    avatars.forEach((av) => counts[av.contrastStatus]++);
+    return Object.assign(counts, {
+      passRate: round(avatars.length ? counts.pass / avatars.length : 0, 4),
+    });
+  }
+
+  // ── Report ────────────────────────────────────────
+  // avatars: engine.compute() results ({ hue, hex, rgb, contrastStatus })
+  function buildReport(avatars, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    if (!opts.toLab || !opts.deltaE) throw new Error('toLab en deltaE zijn verplicht');
+    const hues = avatars.map((av) => av.hue);
+    const hist = histogram(hues, opts.buckets);
+    const slotHues = opts.slotHues || Array.from({ length: opts.slots }, (_, i) => (i * 360) / opts.slots);
+    // A palette is tested over its own entries; the full spectrum over the
+    // histogram buckets, as 360 cells would rarely have enough per cell
+    const cells = opts.slots < 360 ? slotCounts(avatars, opts.slots) : hist.counts;
+
+    return {
+      count: avatars.length,
+      histogram: hist,
+      uniformity: uniformity(cells, avatars.length),
+      hueCollisions: hueCollisions(hues, opts.collisionThreshold, slotHues),
+      identicalColors: identicalColors(avatars, opts.slots),
+      deltaE2000: deltaEPercentiles(avatars, opts),
+      contrast: contrastRates(avatars),
+    };
+  }
+
+  function toJson(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+
+  // Flat section,metric,value rows; histogram buckets become one row each
+  function toCsv(report) {
+    const rows = [['section', 'metric', 'value']];
+    const add = (section, obj) => {
+      Object.keys(obj).forEach((key) => {
+        const value = obj[key];
+        if (value !== null && typeof value === 'object') return;
+        rows.push([section, key, value]);
+      });
+    };
+
+    rows.push(['summary', 'count', report.count]);
+    if (report.settings) add('settings', report.settings);
+    const size = report.histogram.bucketSize;
+    report.histogram.counts.forEach((count, i) => {
+      rows.push(['histogram', `${round(i * size, 1)}-${round((i + 1) * size, 1)}`, count]);
+    });
+    add('uniformity', report.uniformity);
+    add('hueCollisions', report.hueCollisions);
+    add('identicalColors', report.identicalColors);
+    add('deltaE2000', report.deltaE2000);
+    add('contrast', report.contrast);
+
+    const cell = (v) => {
+      const str = v === null || v === undefined ? '' : String(v);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return rows.map((row) => row.map(cell).join(',')).join('\n') + '\n';
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    gammaQ,
+    buildReport,
+    toJson,
+    toCsv,
+  };
+});
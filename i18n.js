@@ -0,0 +1,141 @@
+/* ============================================
+   I18n — message catalogues for the playground
+   Every language is one file in locales/ that
+   registers itself; the language switcher lists
+   whatever is registered. Messages fill {name}
+   placeholders, and a message written as plural
+   forms ({ one, other, … }) is picked by its
+   {count} with Intl.PluralRules. The CLI and the
+   server load the same catalogues.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Missing messages fall back to this catalogue, then to the key itself
+  const FALLBACK = 'en';
+
+  const catalogues = {};
+  const pluralRules = {};
+  const numberFormats = {};
+  let locale = FALLBACK;
+
+  // catalogue: { name (in its own language), messages: { key: message } }
+  function register(code, catalogue) {
+    catalogues[code] = catalogue;
+  }
+
+  function languages() {
+    return Object.keys(catalogues).map((code) => ({ code, name: catalogues[code].name }));
+  }
+
+  function has(code) {
+    return Object.prototype.hasOwnProperty.call(catalogues, code);
+  }
+
+  function setLocale(code) {
+    if (has(code)) locale = code;
+    return locale;
+  }
+
+  function getLocale() {
+    return locale;
+  }
+
+  // The first preferred language with a catalogue, matched exactly or by
+  // its primary subtag ('nl-BE' → 'nl')
+  function negotiate(preferred) {
+    const tags = (preferred || []).filter(Boolean);
+    for (const tag of tags) {
+      if (has(tag)) return tag;
+      const primary = tag.split('-')[0].toLowerCase();
+      if (has(primary)) return primary;
+    }
+    return has(FALLBACK) ? FALLBACK : Object.keys(catalogues)[0] || FALLBACK;
+  }
+
+  function lookup(key) {
+    const own = catalogues[locale] && catalogues[locale].messages[key];
+    if (own !== undefined) return own;
+    const fallback = catalogues[FALLBACK] && catalogues[FALLBACK].messages[key];
+    return fallback !== undefined ? fallback : key;
+  }
+
+  function pluralCategory(count) {
+    if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+    return pluralRules[locale].select(count);
+  }
+
+  // Numbers get the locale's grouping and decimal mark; anything already
+  // formatted (ratios, hex codes) should be passed as a string
+  function formatValue(value) {
+    if (typeof value !== 'number') return String(value);
+    if (!numberFormats[locale]) numberFormats[locale] = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+    return numberFormats[locale].format(value);
+  }
+
+  function t(key, params) {
+    let message = lookup(key);
+    if (message && typeof message === 'object') {
+      const form = message[pluralCategory(params && params.count !== undefined ? params.count : 0)];
+      message = form !== undefined ? form : message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+      params && params[name] !== undefined ? formatValue(params[name]) : match
+    );
+  }
+
+  // Errors from the shared modules carry a `code` (and `params`) whose
+  // message is in the catalogues as 'error.<code>'. Anything else (a JSON
+  // syntax error, a file system error) keeps its own message.
+  function errorText(err) {
+    if (err && err.code) {
+      const key = `error.${err.code}`;
+      const text = t(key, err.params);
+      if (text !== key) return text;
+    }
+    return err && err.message ? err.message : String(err);
+  }
+
+  // The POSIX locale variables as language tags, most binding first:
+  // LANG=nl_NL.UTF-8 gives 'nl-NL'. For the command-line tools.
+  function environmentLanguages(env) {
+    return [env.LC_ALL, env.LC_MESSAGES, env.LANG]
+      .filter(Boolean)
+      .map((value) => value.split(/[.@]/)[0].replace(/_/g, '-'));
+  }
+
+  // Fills the static markup: data-i18n sets the text, data-i18n-attr
+  // lists attributes as "placeholder:key, title:key"
+  function translateDom(rootEl) {
+    rootEl.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    rootEl.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+      el.getAttribute('data-i18n-attr').split(',').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((part) => part.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  return {
+    FALLBACK,
+    register,
+    languages,
+    has,
+    setLocale,
+    getLocale,
+    negotiate,
+    t,
+    errorText,
+    environmentLanguages,
+    translateDom,
+  };
+});
@@ -0,0 +1,61 @@
+/* ============================================
+   <InitialsAvatar> for React
+   Thin wrapper around the <initials-avatar>
+   custom element. Objects (config, avatar) are
+   set as properties, everything else as attributes;
+   onFallback receives the avatar-fallback event and
+   onAvatarError the avatar-error event.
+   ============================================ */
+
+import { createElement, useLayoutEffect, useRef } from 'react';
+// The element's script reads globalThis.AvatarEngine outside CommonJS, so
+// the engine is loaded first
+import './avatar-engine.js';
+import './initials-avatar.js';
+
+export function InitialsAvatar(props) {
+  const ref = useRef(null);
+  const { config, avatar, onFallback, onAvatarError } = props;
+
+  useLayoutEffect(() => {
+    ref.current.config = config || null;
+  }, [config]);
+
+  useLayoutEffect(() => {
+    ref.current.avatar = avatar || null;
+  }, [avatar]);
+
+  // React does not bind custom events on custom elements itself
+  useLayoutEffect(() => {
+    if (!onFallback) return undefined;
+    const el = ref.current;
+    const listener = (e) => onFallback(e.detail);
+    el.addEventListener('avatar-fallback', listener);
+    return () => el.removeEventListener('avatar-fallback', listener);
+  }, [onFallback]);
+
+  useLayoutEffect(() => {
+    if (!onAvatarError) return undefined;
+    const el = ref.current;
+    const listener = (e) => onAvatarError(e.detail);
+    el.addEventListener('avatar-error', listener);
+    return () => el.removeEventListener('avatar-error', listener);
+  }, [onAvatarError]);
+
+  return createElement('initials-avatar', {
+    ref,
+    name: props.name,
+    identity: props.identity,
+    size: props.size,
+    src: props.src,
+    alt: props.alt,
+    'font-size': props.fontSize,
+    'letter-spacing': props.letterSpacing,
+    'font-weight': props.fontWeight,
+    'font-family': props.fontFamily,
+    className: props.className,
+    style: props.style,
+  });
+}
+
+export default InitialsAvatar;
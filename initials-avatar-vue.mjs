@@ -0,0 +1,49 @@
+/* ============================================
+   <InitialsAvatar> for Vue 3
+   Thin wrapper around the <initials-avatar>
+   custom element. Objects (config, avatar) are
+   set as properties, everything else as attributes.
+   ============================================ */
+
+import { defineComponent, h } from 'vue';
+// The element's script reads globalThis.AvatarEngine outside CommonJS, so
+// the engine is loaded first
+import './avatar-engine.js';
+import './initials-avatar.js';
+
+export const InitialsAvatar = defineComponent({
+  name: 'InitialsAvatar',
+  props: {
+    name: { type: String, default: '' },
+    identity: { type: String, default: null },
+    size: { type: [Number, String], default: null },
+    src: { type: String, default: null },
+    alt: { type: String, default: null },
+    fontSize: { type: [Number, String], default: null },
+    letterSpacing: { type: [Number, String], default: null },
+    fontWeight: { type: [Number, String], default: null },
+    fontFamily: { type: String, default: null },
+    config: { type: Object, default: null },
+    avatar: { type: Object, default: null },
+  },
+  emits: ['avatar-fallback', 'avatar-error'],
+  setup(props, { emit }) {
+    return () => h('initials-avatar', {
+      name: props.name,
+      identity: props.identity,
+      size: props.size,
+      src: props.src,
+      alt: props.alt,
+      'font-size': props.fontSize,
+      'letter-spacing': props.letterSpacing,
+      'font-weight': props.fontWeight,
+      'font-family': props.fontFamily,
+      '.config': props.config,
+      '.avatar': props.avatar,
+      'onAvatar-fallback': (e) => emit('avatar-fallback', e.detail),
+      'onAvatar-error': (e) => emit('avatar-error', e.detail),
+    });
+  },
+});
+
+export default InitialsAvatar;
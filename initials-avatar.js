@@ -0,0 +1,365 @@
+/* ============================================
+   <initials-avatar> — drop-in custom element
+   Renders the playground's avatar (color, initials,
+   typography) in Shadow DOM, optionally showing an
+   image with the initials as fallback, and measures
+   whether the initials fit the circle. Fires
+   avatar-fallback when the image fails and
+   avatar-error when a SHA-256 color cannot be made.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./avatar-engine.js'));
+  } else {
+    root.InitialsAvatar = factory(root.AvatarEngine);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (AvatarEngine) {
+  'use strict';
+
+  const TAG = 'initials-avatar';
+  // Typography is expressed at this size, like the playground preview
+  const PREVIEW_SIZE = 120;
+  const DEFAULT_SIZE = 40;
+  // The outline variant's ring, as a share of the size (as in avatar-svg.js)
+  const RING_WIDTH = 0.06;
+  const TYPOGRAPHY = { fontSize: 40, letterSpacing: 0, fontWeight: 600 };
+  const DEFAULT_FONT_FAMILY =
+    "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+  const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-rounded', 'ui-monospace'];
+  // Glyphs whose centre is further off than this share of the size are
+  // reported as off-centre
+  const CENTRE_TOLERANCE = 0.04;
+  const PLACEHOLDER = { initials: '?', hex: '#e5e7eb', textColor: '#9ca3af', direction: 'ltr' };
+
+  const STYLE = `
+    :host {
+      display: inline-block;
+      vertical-align: middle;
+      flex-shrink: 0;
+    }
+    .avatar {
+      position: relative;
+      width: 100%;
+      height: 100%;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      overflow: hidden;
+      user-select: none;
+      transition: background-color 0.15s;
+    }
+    .initials {
+      line-height: 1;
+      text-align: center;
+      white-space: nowrap;
+      transition: color 0.15s;
+    }
+    img {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+  `;
+
+  // ── Shared configuration ──────────────────────────
+  // Engine options plus typography, for every element without its own
+  // `config`. Engines are cached per configuration so elements share them.
+  let sharedConfig = {};
+  const engines = new Map();
+
+  function engineFor(config) {
+    const key = JSON.stringify(config);
+    if (!engines.has(key)) {
+      if (engines.size >= 16) engines.clear();
+      engines.set(key, AvatarEngine.createAvatarEngine(config));
+    }
+    return engines.get(key);
+  }
+
+  function configure(config) {
+    sharedConfig = Object.assign({}, config);
+    if (typeof document === 'undefined') return;
+    document.querySelectorAll(TAG).forEach((el) => el.render());
+  }
+
+  function numberAttr(el, name, fallback) {
+    const value = Number(el.getAttribute(name));
+    return el.hasAttribute(name) && isFinite(value) ? value : fallback;
+  }
+
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // ── Typography ────────────────────────────────────
+  // A family name (installed or uploaded) in front of the system stack
+  function fontStack(family) {
+    const name = String(family || '').trim();
+    if (!name) return DEFAULT_FONT_FAMILY;
+    const css = GENERIC_FAMILIES.includes(name) ? name : `"${name.replace(/["\\]/g, '')}"`;
+    return `${css}, ${DEFAULT_FONT_FAMILY}`;
+  }
+
+  // The typography of an avatar rendered at `size` px. config.sizeRules
+  // ({ size, fontSize, letterSpacing, fontWeight }, in px at that size)
+  // take over from the base settings: the nearest rule is scaled to the
+  // size. Without rules the base settings scale from the preview.
+  function typographyFor(size, config) {
+    const opts = config || sharedConfig;
+    const rules = Array.isArray(opts.sizeRules) ? opts.sizeRules : [];
+    const rule = rules.reduce(
+      (best, r) => (!best || Math.abs(r.size - size) < Math.abs(best.size - size) ? r : best),
+      null
+    );
+    const source = rule || {
+      fontSize: opts.fontSize !== undefined ? opts.fontSize : TYPOGRAPHY.fontSize,
+      letterSpacing: opts.letterSpacing !== undefined ? opts.letterSpacing : TYPOGRAPHY.letterSpacing,
+      fontWeight: opts.fontWeight !== undefined ? opts.fontWeight : TYPOGRAPHY.fontWeight,
+    };
+    const scale = size / (rule ? rule.size : PREVIEW_SIZE);
+    return {
+      fontSize: round(source.fontSize * scale),
+      letterSpacing: round(source.letterSpacing * scale),
+      fontWeight: source.fontWeight,
+      fontFamily: fontStack(opts.fontFamily),
+    };
+  }
+
+  // ── Measurement ───────────────────────────────────
+  // Glyph boxes come from canvas text metrics, cached per initials and
+  // typography; a font that finishes loading invalidates them
+  const fits = new Map();
+  let measureContext;
+
+  function context2d() {
+    if (measureContext === undefined) {
+      const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+      measureContext = (canvas && canvas.getContext && canvas.getContext('2d')) || null;
+    }
+    return measureContext;
+  }
+
+  function clearMeasurements() {
+    fits.clear();
+  }
+
+  if (typeof document !== 'undefined' && document.fonts && document.fonts.addEventListener) {
+    document.fonts.addEventListener('loadingdone', clearMeasurements);
+  }
+
+  // Where the initials' ink lands in an avatar of `size` px laid out like
+  // the element does it (a centred line box of line-height 1). `ring`
+  // narrows the circle by the outline variant's ring. Gives { box, dx, dy,
+  // overflow, offCentre } in px, or null where there is no canvas.
+  function measureFit(initials, size, config, ring) {
+    const typo = typographyFor(size, config);
+    const key = [initials, size, ring ? 1 : 0, typo.fontSize, typo.letterSpacing, typo.fontWeight, typo.fontFamily].join('|');
+    if (fits.has(key)) return fits.get(key);
+    const ctx = context2d();
+    if (!ctx || !initials) return null;
+
+    ctx.font = `${typo.fontWeight} ${typo.fontSize}px ${typo.fontFamily}`;
+    const m = ctx.measureText(initials);
+    const chars = Array.from(initials).length;
+    const spacing = typo.letterSpacing;
+    // The baseline sits half the ascent/descent difference below the
+    // centre; browsers without font metrics get typical proportions
+    const ascent = m.fontBoundingBoxAscent !== undefined ? m.fontBoundingBoxAscent : typo.fontSize * 0.8;
+    const descent = m.fontBoundingBoxDescent !== undefined ? m.fontBoundingBoxDescent : typo.fontSize * 0.2;
+    const centre = size / 2;
+    const baseline = centre + (ascent - descent) / 2;
+    // Letter spacing follows every glyph, the last one included
+    const start = centre - (m.width + spacing * chars) / 2;
+    const box = {
+      left: round(start - m.actualBoundingBoxLeft),
+      right: round(start + m.actualBoundingBoxRight + spacing * (chars - 1)),
+      top: round(baseline - m.actualBoundingBoxAscent),
+      bottom: round(baseline + m.actualBoundingBoxDescent),
+    };
+    const radius = centre - (ring ? size * RING_WIDTH : 0);
+    const corners = [[box.left, box.top], [box.right, box.top], [box.left, box.bottom], [box.right, box.bottom]];
+    const dx = round((box.left + box.right) / 2 - centre);
+    const dy = round((box.top + box.bottom) / 2 - centre);
+    const fit = {
+      box,
+      dx,
+      dy,
+      overflow: corners.some(([x, y]) => Math.hypot(x - centre, y - centre) > radius),
+      offCentre: Math.max(Math.abs(dx), Math.abs(dy)) > size * CENTRE_TOLERANCE,
+    };
+    if (fits.size >= 5000) fits.clear();
+    fits.set(key, fit);
+    return fit;
+  }
+
+  // ── Element ───────────────────────────────────────
+  const HTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+  class InitialsAvatarElement extends HTMLElementBase {
+    static get observedAttributes() {
+      return ['name', 'identity', 'size', 'src', 'alt', 'font-size', 'letter-spacing', 'font-weight', 'font-family'];
+    }
+
+    constructor() {
+      super();
+      this._config = null;
+      this._avatar = null;
+      this._failedSrc = null;
+      this._hashFailure = null;
+      const shadow = this.attachShadow({ mode: 'open' });
+      shadow.innerHTML = `<style>${STYLE}</style><div class="avatar" part="avatar"><span class="initials" part="initials"></span></div>`;
+      this._box = shadow.querySelector('.avatar');
+      this._initials = shadow.querySelector('.initials');
+    }
+
+    // Per-element configuration, merged over the shared one
+    get config() {
+      return this._config;
+    }
+
+    set config(value) {
+      this._config = value || null;
+      this.render();
+    }
+
+    // A precomputed engine result to show as-is (the playground passes its
+    // own, with color-vision simulation applied)
+    get avatar() {
+      return this._avatar;
+    }
+
+    set avatar(value) {
+      this._avatar = value || null;
+      this.render();
+    }
+
+    connectedCallback() {
+      this.render();
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.render();
+    }
+
+    render() {
+      const config = this._typographyConfig();
+      const size = numberAttr(this, 'size', DEFAULT_SIZE);
+      const typo = typographyFor(size, config);
+
+      this.style.width = `${size}px`;
+      this.style.height = `${size}px`;
+      this._initials.style.fontSize = `${typo.fontSize}px`;
+      this._initials.style.letterSpacing = `${typo.letterSpacing}px`;
+      this._initials.style.fontWeight = typo.fontWeight;
+      this._initials.style.fontFamily = typo.fontFamily;
+
+      const av = this._avatar || this._compute(config);
+      if (!av) return; // waiting for SHA-256 digests
+      this._box.style.backgroundColor = av.background || av.hex;
+      this._box.style.boxShadow = av.ring ? `inset 0 0 0 ${Math.round(size * RING_WIDTH * 100) / 100}px ${av.ring}` : '';
+      this._initials.style.color = av.textColor;
+      this._initials.textContent = av.initials;
+      this._initials.dir = av.direction;
+      if (!this.hasAttribute('role')) this.setAttribute('role', 'img');
+      this.setAttribute('aria-label', this.getAttribute('alt') || av.name || av.initials);
+      this._renderImage(av);
+    }
+
+    // Typography attributes are this element's own base settings; an
+    // element with any of them skips the shared size rules
+    _typographyConfig() {
+      const config = Object.assign({}, sharedConfig, this._config);
+      const attrs = [['font-size', 'fontSize'], ['letter-spacing', 'letterSpacing'], ['font-weight', 'fontWeight']];
+      attrs.forEach(([attr, key]) => {
+        if (!this.hasAttribute(attr)) return;
+        config[key] = numberAttr(this, attr, config[key]);
+        config.sizeRules = null;
+      });
+      if (this.hasAttribute('font-family')) config.fontFamily = this.getAttribute('font-family');
+      return config;
+    }
+
+    // How this element's initials fit its circle (see measureFit)
+    get fit() {
+      const av = this._avatar || this._compute(this._typographyConfig());
+      if (!av || av === PLACEHOLDER) return null;
+      return measureFit(av.initials, numberAttr(this, 'size', DEFAULT_SIZE), this._typographyConfig(), Boolean(av.ring));
+    }
+
+    _compute(config) {
+      const name = (this.getAttribute('name') || '').trim();
+      if (!name) return PLACEHOLDER;
+      const identity = this.getAttribute('identity');
+      const person = { name, id: identity, email: identity };
+      const engine = engineFor(config);
+      if (engine.needsPreparation) {
+        const failure = this._hashFailure;
+        if (failure && failure.engine === engine && failure.name === name && failure.identity === identity) {
+          return this._unhashed(engine, name);
+        }
+        try {
+          return engine.compute(person);
+        } catch (err) {
+          engine.prepare([person]).then(() => this.render(), (error) => {
+            this._hashFailure = { engine, name, identity };
+            this.render();
+            this.dispatchEvent(new CustomEvent('avatar-error', { detail: { error } }));
+          });
+          return null;
+        }
+      }
+      return engine.compute(person);
+    }
+
+    // The digest could not be made (no SubtleCrypto outside a secure
+    // context): the initials on the neutral placeholder colors, rather than
+    // a color another hash would pick
+    _unhashed(engine, name) {
+      const info = engine.getInitialsInfo(name);
+      return Object.assign({}, PLACEHOLDER, { name, initials: info.initials, direction: info.direction });
+    }
+
+    // The image covers the initials once it loads; a broken URL is
+    // dropped so the initials stay visible
+    _renderImage(av) {
+      const src = this.getAttribute('src');
+      let img = this._box.querySelector('img');
+      if (!src || src === this._failedSrc) {
+        if (img) img.remove();
+        return;
+      }
+      if (!img) {
+        img = document.createElement('img');
+        img.setAttribute('part', 'image');
+        img.addEventListener('error', () => {
+          this._failedSrc = img.getAttribute('src');
+          img.remove();
+          this.dispatchEvent(new CustomEvent('avatar-fallback', { detail: { src: this._failedSrc } }));
+        });
+        this._box.appendChild(img);
+      }
+      img.alt = this.getAttribute('alt') || av.name || '';
+      if (img.getAttribute('src') !== src) img.setAttribute('src', src);
+    }
+  }
+
+  if (typeof customElements !== 'undefined' && !customElements.get(TAG)) {
+    customElements.define(TAG, InitialsAvatarElement);
+  }
+
+  return {
+    TAG,
+    PREVIEW_SIZE,
+    DEFAULT_FONT_FAMILY,
+    configure,
+    fontStack,
+    typographyFor,
+    measureFit,
+    clearMeasurements,
+    InitialsAvatarElement,
+  };
+});
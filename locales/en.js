@@ -0,0 +1,496 @@
+/* ============================================
+   English — the fallback catalogue: every key
+   the playground, the CLI and the server use is
+   defined here
+   ============================================ */
+
+(function (root) {
+  const catalogue = {
+    name: 'English',
+    messages: {
+      'app.title': 'Avatar Playground — Initials & Color Strategy',
+      'app.subtitle': 'Initials avatar color strategy explorer',
+      'app.language': 'Language',
+
+      'common.save': 'Save',
+      'common.remove': 'Remove',
+      'common.up': 'Move up',
+      'common.down': 'Move down',
+      'common.storageFailed': 'Saving failed: localStorage is not available.',
+
+      'name.title': 'Name input',
+      'name.fullName': 'Full name',
+      'name.identity': 'ID or email (optional)',
+      'name.fullNamePlaceholder': 'e.g. John Wayne',
+      'name.identityPlaceholder': 'e.g. jan@example.com',
+
+      'initials.title': 'Initials',
+      'initials.locale': 'Naming convention',
+      'initials.count': 'Number of initials',
+      'initials.countAuto': 'Per naming convention',
+      'initials.particleRules': 'Custom particle rules (override the naming convention)',
+      'initials.addRule': 'Add rule',
+
+      'profile.default': 'Mixed (default)',
+      'profile.en': 'English',
+      'profile.nl': 'Dutch',
+      'profile.de': 'German',
+      'profile.fr': 'French',
+      'profile.es': 'Spanish',
+      'profile.pt': 'Portuguese',
+      'profile.it': 'Italian',
+      'profile.ar': 'Arabic',
+      'profile.particles': 'Particles: {particles}',
+      'profile.noParticles': 'No particles',
+
+      'particle.placeholder': 'e.g. van',
+      'particle.action': 'Action',
+      'particle.skip': 'Skip',
+      'particle.attach': 'Part of the surname',
+      'particle.name': 'Ordinary name part',
+
+      'rule.empty': 'Empty name',
+      'rule.symbol': 'No letters: first symbol',
+      'rule.cjk': 'CJK: family name first',
+      'rule.custom': '{word} (custom rule)',
+      'rule.skipped': 'skipped: {words}',
+      'rule.attached': 'with surname: {words}',
+
+      'color.title': 'Color strategy',
+      'color.space': 'Color space',
+      'color.spaceOklch': 'OKLCH (perceptually uniform)',
+      'color.key': 'Color key',
+      'color.keyName': 'Name',
+      'color.keyEmail': 'Email',
+      'color.keyEmailNormalized': 'Email (normalized)',
+      'color.hash': 'Hash strategy',
+      'color.fullName': 'Use the full name as the basis for the color',
+      'color.limited': 'Limited palette (12 colors)',
+      'color.distinct': 'Maximally distinct colors within the dataset',
+      'color.darkMode': 'Dark mode (show the dark variants)',
+      'color.settingsTitle': '{space} settings',
+      'color.saturation': 'Saturation',
+      'color.chroma': 'Chroma',
+      'color.lightness': 'Lightness',
+      'color.lightnessL': 'Lightness (L)',
+      'color.whiteText': 'White (#FFF)',
+      'color.blackText': 'Black (#000)',
+
+      'hash.default': 'default',
+
+      'palette.title': 'Brand palette',
+      'palette.use': 'Use a custom palette instead of hues',
+      'palette.add': 'Add color',
+      'palette.importLabel': 'Import palette',
+      'palette.import': 'Import palette',
+      'palette.importPlaceholder': '#1D3557, #E76F51, … or JSON',
+      'palette.saved': 'Saved palettes',
+      'palette.namePlaceholder': 'Palette name',
+      'palette.savedSelect': 'Saved palette',
+      'palette.delete': 'Delete selected palette',
+      'palette.choose': '— choose palette —',
+      'palette.entry': 'Color {n}',
+      'palette.textColor': 'Text color',
+      'palette.textAuto': 'Auto',
+      'palette.textWhite': 'White',
+      'palette.textBlack': 'Black',
+      'palette.unreadable': 'Cannot read palette: {error}',
+      'palette.noColors': 'No valid hex colors found.',
+      'palette.imported': { one: '{count} color imported.', other: '{count} colors imported.' },
+      'palette.nameRequired': 'Give the palette a name first.',
+      'palette.stored': 'Palette "{name}" saved.',
+      'palette.deleted': 'Palette "{name}" deleted.',
+
+      'themes.title': 'Themes',
+      'themes.dark': 'Dark theme',
+      'themes.surfaces': 'Surface (light / dark)',
+      'themes.surfaceLight': 'Light theme surface',
+      'themes.surfaceDark': 'Dark theme surface',
+      'themes.surfaceHint': 'Avatars with less than 3:1 contrast against their surface disappear into the page.',
+
+      'typography.title': 'Typography',
+      'typography.font': 'Font',
+      'typography.systemFont': 'System font',
+      'typography.upload': 'Upload WOFF2/TTF',
+      'typography.localFonts': 'Installed fonts',
+      'typography.fontHint': 'An uploaded font only lasts for this session.',
+      'typography.fontSize': 'Font size (at 120px)',
+      'typography.letterSpacing': 'Letter spacing',
+      'typography.weight': 'Weight',
+      'typography.weight400': 'Regular (400)',
+      'typography.weight500': 'Medium (500)',
+      'typography.weight600': 'Semibold (600)',
+      'typography.weight700': 'Bold (700)',
+      'typography.sizeRules': 'Rules per size (px at that size)',
+      'typography.addSize': 'Add size',
+      'typography.sizeHint': 'The nearest rule scales to other sizes; without rules everything scales from 120px.',
+
+      'sizeRule.size': 'Size (px)',
+      'sizeRule.fontSize': 'Font size (px)',
+      'sizeRule.letterSpacing': 'Letter spacing (px)',
+
+      'font.unsupported': 'This browser cannot load fonts; choose an installed font.',
+      'font.uploadedName': 'Uploaded font',
+      'font.loaded': '{family} loaded (this session only).',
+      'font.unreadable': '{file} is not a readable WOFF2, WOFF, TTF or OTF file.',
+      'font.noLocalFonts': 'This browser does not list installed fonts; type the family name.',
+      'font.localFonts': {
+        one: '{count} installed family in the list.',
+        other: '{count} installed families in the list.',
+      },
+      'font.localFontsDenied': 'No access to the installed fonts.',
+
+      'fit.fits': 'Fits the circle',
+      'fit.overflow': 'Overflows',
+      'fit.offCentre': 'Off centre',
+      'fit.overflowAt': 'Overflows at {sizes}px',
+      'fit.offCentreAt': 'Off centre at {sizes}px',
+      'fit.status': '{count} of {total} names: initials overflow or sit off centre.',
+
+      'style.title': 'Style',
+      'style.variant': 'Variant',
+      'style.filled': 'Filled',
+      'style.soft': 'Soft (pastel with colored text)',
+      'style.outline': 'Ring',
+      'style.textColor': 'Text color',
+      'style.blackWhite': 'Black or white',
+      'style.tinted': 'Tint of the avatar color',
+      'style.custom': 'Custom color pair',
+      'style.darkLight': 'dark / light',
+      'style.textDark': 'Dark text color',
+      'style.textLight': 'Light text color',
+      'style.hint': 'Tints and custom pairs are darkened or lightened until the contrast level is met.',
+
+      'contrast.title': 'Accessibility',
+      'contrast.algorithm': 'Contrast algorithm',
+      'contrast.apca': 'APCA (WCAG 3 draft, Lc)',
+      'contrast.level': 'Minimum contrast level',
+      'contrast.levelAa': 'AA (4.5:1)',
+      'contrast.levelAaa': 'AAA (7:1)',
+      'contrast.levelLc60': 'Lc 60 (large text)',
+      'contrast.levelLc75': 'Lc 75 (body text)',
+      'contrast.levelLc90': 'Lc 90 (preferred)',
+      'contrast.levelTitle.wcag2': 'WCAG level',
+      'contrast.levelTitle.apca': 'APCA level',
+      'contrast.force.wcag2': 'Force AAA compliance (adjust the color)',
+      'contrast.force.apca': 'Force Lc 75 (adjust the color)',
+
+      'level.aaa': 'AAA Pass',
+      'level.aa': 'AA Pass',
+      'level.aa-not-aaa': 'AA Pass (AAA Fail)',
+      'level.below-aa': 'Insufficient (AA Fail)',
+      'level.fail': 'Insufficient',
+      'level.apca-preferred': 'Lc 90 Pass',
+      'level.apca-pass': 'Lc {target} Pass',
+      'level.apca-below': 'Insufficient (Lc {target} Fail)',
+
+      'adjustment.met': '{target} met',
+      'adjustment.missed': '{target} not reachable',
+
+      'cvd.label': 'Simulate color blindness',
+      'cvd.none': 'None (typical vision)',
+      'cvd.option.protanopia': 'Protanopia (red-blind)',
+      'cvd.option.deuteranopia': 'Deuteranopia (green-blind)',
+      'cvd.option.tritanopia': 'Tritanopia (blue-blind)',
+      'cvd.option.achromatopsia': 'Achromatopsia (no color)',
+      'cvd.protanopia': 'Protanopia',
+      'cvd.deuteranopia': 'Deuteranopia',
+      'cvd.tritanopia': 'Tritanopia',
+      'cvd.achromatopsia': 'Achromatopsia',
+
+      'dataset.title': 'Dataset simulation',
+      'dataset.generate': 'Generate 50 names',
+      'dataset.clear': 'Clear dataset',
+
+      'import.title': 'Import dataset',
+      'import.drop': 'Drop a CSV, JSON or text file here',
+      'import.chooseFile': 'Choose file',
+      'import.paste': 'Or paste names',
+      'import.placeholder': 'One name per line, CSV or JSON',
+      'import.parse': 'Read pasted text',
+      'import.field.firstName': 'First name',
+      'import.field.lastName': 'Last name',
+      'import.field.displayName': 'Display name',
+      'import.field.email': 'Email',
+      'import.headerRow': 'First row contains column names',
+      'import.apply': 'Import into dataset',
+      'import.none': '— none —',
+      'import.column': 'column {n}',
+      'import.unreadable': 'Cannot read file: {error}',
+      'import.noRows': 'No rows found.',
+      'import.found': {
+        one: '{count} row found ({format}). Check the columns and import.',
+        other: '{count} rows found ({format}). Check the columns and import.',
+      },
+      'import.imported': { one: '{count} name imported', other: '{count} names imported' },
+      'import.duplicates': { one: '{count} duplicate', other: '{count} duplicates' },
+      'import.skipped': { one: '{count} skipped', other: '{count} skipped' },
+      'import.skippedItems': { one: '{count} item that is not a name was skipped.', other: '{count} items that are not names were skipped.' },
+
+      'presets.title': 'Share configuration',
+      'presets.copyLink': 'Copy link to these settings',
+      'presets.label': 'Presets',
+      'presets.namePlaceholder': 'Preset name',
+      'presets.savedSelect': 'Saved preset',
+      'presets.delete': 'Delete selected preset',
+      'presets.export': 'Export preset file',
+      'presets.import': 'Import preset file',
+      'presets.choose': '— choose preset —',
+      'presets.newerVersion': 'This configuration comes from a newer version; unknown settings were ignored.',
+      'presets.invalidLink': 'The link holds no valid configuration: {error}',
+      'presets.unreadable': 'Cannot read preset: {error}',
+      'presets.loaded': 'Preset "{name}" loaded.',
+      'presets.linkCopied': 'Link copied.',
+      'presets.linkCopiedNoDataset': 'Link copied without the dataset, which is too large for a link; export a preset file to share it.',
+      'presets.copyFailed': 'Copying is not allowed; copy the link from the address bar.',
+      'presets.nameRequired': 'Give the preset a name first.',
+      'presets.stored': 'Preset "{name}" saved.',
+      'presets.deleted': 'Preset "{name}" deleted.',
+
+      'export.title': 'Export',
+      'export.tokenFormat': 'Token format',
+      'export.android': 'Android colors.xml, light + night (ZIP)',
+      'export.tokens': 'Export as design tokens',
+      'export.imageFormat': 'Image format',
+      'export.imageSize': 'Size',
+      'export.image': 'Download preview avatar',
+      'export.zip': 'Export dataset as ZIP',
+      'export.noNames': 'No names to export. Enter a name or generate a dataset.',
+      'export.noName': 'Enter a name first to export an avatar.',
+      'export.noDataset': 'No dataset to export. Generate or import names first.',
+      'export.progress': 'Working… {current}/{total}',
+      'export.pngFailed': 'The PNG could not be created.',
+      'export.svgFailed': 'The SVG could not be loaded.',
+
+      'service.title': 'Avatar service',
+      'service.base': 'Address of avatar-server.js',
+      'service.url': 'URL for this preview',
+      'service.copy': 'Copy URL',
+      'service.copied': 'URL copied.',
+      'service.copyFailed': 'Copying is not allowed; select the URL and copy it yourself.',
+      'service.distinctNote': 'Note: distinct assignment only applies within the dataset; the service uses the hashed color.',
+
+      'preview.title': 'Avatar Preview',
+      'meta.initials': 'Initials',
+      'meta.rule': 'Rule',
+      'meta.background': 'Background',
+      'meta.textColor': 'Text color',
+      'meta.contrast': 'Contrast ratio',
+      'meta.surface': 'Surface contrast',
+      'meta.adjustment': 'Contrast target',
+      'meta.fit': 'Fit',
+      'meta.ring': 'ring {color}',
+      'meta.surfaceContrast': '{ratio}:1 against {surface}',
+
+      'tooltip.key': 'Key',
+      'tooltip.rule': 'Rule',
+      'tooltip.contrast': 'Contrast',
+      'tooltip.target': 'Contrast target',
+      'tooltip.pair': 'Light / dark',
+      'tooltip.surface': 'Surface',
+      'tooltip.fit': 'Fit',
+
+      'grid.title': 'Grid Preview',
+      'grid.computing': 'computing…',
+      'list.title': 'List Preview',
+
+      'distribution.title': 'Color distribution',
+      'distribution.reportJson': 'Report as JSON',
+      'distribution.reportCsv': 'Report as CSV',
+      'wheel.names': { one: '{count} name', other: '{count} names' },
+      'wheel.spread': 'hue spread',
+
+      'warning.hueCollisions': {
+        one: '{count} color pair lies within {threshold} degrees — possibly hard to tell apart.',
+        other: '{count} color pairs lie within {threshold} degrees of each other — possibly hard to tell apart.',
+      },
+      'warning.minGap': 'The minimum hue distance is only {gap}°. Consider a limited palette or another hash strategy.',
+      'warning.cvd': {
+        one: '{type}: {count} color pair merges — e.g. {examples}.',
+        other: '{type}: {count} color pairs merge — e.g. {examples}.',
+      },
+      'warning.adjustments': {
+        one: '{count} avatar misses the contrast target {target}, even after adjustment — e.g. {examples}.',
+        other: '{count} avatars miss the contrast target {target}, even after adjustment — e.g. {examples}.',
+      },
+      'warning.surfaces': 'Avatars with less than {ratio}:1 contrast against their surface: {themes}.',
+      'warning.surfaceLight': 'light theme {count} on {surface}',
+      'warning.surfaceDark': 'dark theme {count} on {surface}',
+      'warning.paletteSimilar': 'Palette colors are very similar: {colors}.',
+      'warning.paletteContrast': {
+        one: '{count} palette color misses the contrast level: {colors}.',
+        other: '{count} palette colors miss the contrast level: {colors}.',
+      },
+      'warning.hashUnavailable': 'Hash strategy not available: {error}',
+      'info.assignment': 'Distinct assignment: min ΔE2000 {minDeltaE} (hash: {baseline}) · {count} of {total} names moved',
+      'info.spread': 'Hue spread: min {min}° | ideal {ideal}° per name | {palette}',
+      'info.customPalette': { one: 'custom palette ({count} color)', other: 'custom palette ({count} colors)' },
+      'info.limitedPalette': '12-color palette',
+      'info.fullSpectrum': 'full spectrum',
+
+      'report.uniformity': 'χ² uniformity',
+      'report.pValue': 'p-value',
+      'report.unreliable': '{value} (too few names)',
+      'report.huePairs': 'Pairs < {threshold}°',
+      'report.identical': 'Identical colors',
+      'report.expected': '{observed} / expected {expected}',
+      'report.deltaEMedian': 'ΔE2000 p25 / median',
+      'report.contrast': 'Contrast met',
+      'report.sampled': '* ΔE2000 over a sample of {pairs} of {total} pairs',
+
+      'hashCompare.title': 'Compare hash strategies',
+      'hashCompare.toggle': 'Show the dataset under every hash strategy',
+      'hashCompare.stats': {
+        one: 'min {gap}° · {count} collision < {threshold}°',
+        other: 'min {gap}° · {count} collisions < {threshold}°',
+      },
+      'hashCompare.sample': 'sample of {count}',
+
+      'ab.title': 'A/B comparison',
+      'ab.hint': 'Capture two snapshots of the settings; the dataset is shown under both.',
+      'ab.capture': 'Use current settings',
+      'ab.load': 'Load into the controls',
+      'ab.clear': 'Clear A and B',
+      'ab.empty': 'Not captured yet',
+      'ab.same': 'Same settings as the other side',
+      'ab.needBoth': 'Capture both A and B to compare them.',
+      'ab.needDataset': 'Generate or import names to compare A and B.',
+      'ab.minGap': 'Min. hue distance',
+      'ab.colorChanges': {
+        one: '{count} of {total} names changes color',
+        other: '{count} of {total} names change color',
+      },
+      'ab.levelChanges': { one: '{count} changes contrast level', other: '{count} change contrast level' },
+      'ab.diffTitle': 'Names that change',
+
+      'migration.title': 'Color migration',
+      'migration.hint': 'Load a previously exported avatar-design-tokens.json as the baseline; its users are compared with the current settings.',
+      'migration.load': 'Load token file',
+      'migration.clear': 'Clear baseline',
+      'migration.empty': 'No baseline loaded.',
+      'migration.unreadable': 'Cannot read token file: {error}',
+      'migration.loaded': {
+        one: '"{name}" loaded: {count} user.',
+        other: '"{name}" loaded: {count} users.',
+      },
+      'migration.changes': {
+        one: '{count} of {total} users changes color',
+        other: '{count} of {total} users change color',
+      },
+      'migration.belowTarget': '{count} below the contrast target ({newly} new)',
+      'migration.sameSettings': 'Same settings as the baseline',
+      'migration.theme': 'Theme',
+      'migration.themeLight': 'Light',
+      'migration.themeDark': 'Dark',
+      'migration.deltaEMean': 'ΔE2000 mean / median',
+      'migration.deltaEMax': 'ΔE2000 p90 / max',
+      'migration.threshold': 'Pin from ΔE',
+      'migration.pinned': { one: '{count} user pinned', other: '{count} users pinned' },
+      'migration.pin': 'Pin',
+      'migration.below': 'Below target',
+      'migration.meets': 'Meets target',
+      'migration.mappingJson': 'Mapping as JSON',
+      'migration.mappingCsv': 'Mapping as CSV',
+      'migration.pins': 'Pinned colors',
+      'migration.noPins': 'No users are pinned.',
+
+      'error.import-json-shape': 'JSON must hold a list of names or objects.',
+      'error.preset-invalid': 'not a valid preset (settings are missing)',
+      'error.baseline-invalid': 'not an avatar-design-tokens.json (avatar-color-strategy is missing)',
+      'error.baseline-empty': 'the file holds no per-name colors',
+      'error.token-format': 'Unknown token format: {format}',
+      'error.hash-not-prepared': 'SHA-256 digests were not computed yet',
+      'error.no-subtle-crypto': 'SubtleCrypto is not available here (it needs https or localhost)',
+      'error.zip-too-large': 'ZIP archives over 4 GB are not supported; export fewer avatars or a smaller size.',
+      'error.url-number': '{param} must be a number between {min} and {max}',
+      'error.url-choice': '{param} must be one of {choices}',
+      'error.url-palette': 'palette must be full, limited or a list of hex colors',
+      'error.url-basis': 'basis must be initials, full-name or {keys}',
+      'error.url-rules': 'rules expects particle:action ({actions})',
+      'error.url-text-colors': 'tc must be two hex colors: dark,light',
+      'error.url-hex': '{param} must be a hex color',
+      'error.url-theme': 'theme must be light or dark',
+      'error.url-size': 'size must be a whole number between 16 and 1024',
+
+      'cli.usage': `Usage: avatar-cli <tokens|svg|audit> <names file> [options]
+
+The names file may be CSV, JSON or plain text, like the import in
+the playground.
+
+Options:
+  --preset <file>               playground preset as a base; the options below override it
+  --saturation <0-100>          saturation (default 65)
+  --lightness <0-100>           lightness (default 45)
+  --palette <full|limited|file>
+                                full spectrum, 12 colors, or a palette of your own
+  --basis <initials|full-name|id|email|email-normalized>
+                                what the color is based on
+  --hash <strategy>             {hashes}
+  --color-space <hsl|oklch|lch>
+  --locale <profile>            {profiles}
+  --contrast-algorithm <wcag2|apca>
+  --level <n>                   required contrast: ratio 1–21 (wcag2) or Lc 1–108 (apca)
+  --force-contrast              adjust colors until they reach AAA / Lc 75
+  --variant <filled|soft|outline>
+                                filled, pastel with colored text, or a ring
+  --text <black-white|tinted|custom>
+                                text color: black/white, a shade of the avatar color, or a pair of your own
+  --text-colors <dark,light>    the pair for --text custom, e.g. 1e293b,f8fafc
+  --surface <hex>               surface of the light theme (default ffffff)
+  --dark-saturation <0-100>     saturation in the dark theme (default {darkSaturation})
+  --dark-lightness <0-100>      lightness in the dark theme (default {darkLightness})
+  --dark-surface <hex>          surface of the dark theme (default {darkSurface})
+  --distinct                    distinct assignment across the whole list
+  --format <format>             tokens: {formats} (default json)
+  --size <px>                   svg: size (default 128)
+  --out <path>                  output directory (tokens, svg) or file (audit)
+  --json                        audit as JSON instead of text
+  --lang <code>                 language of messages and reports: {languages}
+                                (default from LANG)
+
+Exit codes: 0 all good, 1 when an avatar misses the required contrast,
+2 on an invalid call or unreadable input, 3 when the output cannot be
+written or on another error.`,
+      'cli.seeHelp': 'See avatar-cli --help',
+      'cli.flagValue': '--{flag} expects a value',
+      'cli.flagNumber': '--{flag} must be a number between {min} and {max}',
+      'cli.flagHex': '--{flag} must be a hex color',
+      'cli.flagChoice': '--{flag} must be one of {choices}',
+      'cli.textColors': '--text-colors expects two hex colors: dark,light',
+      'cli.invalidPreset': '{file} is not a valid preset: {error}',
+      'cli.noColors': 'no colors found in {file}',
+      'cli.unreadable': 'cannot read {file}: {error}',
+      'cli.unwritable': 'cannot write {file}: {error}',
+      'cli.noNames': 'no names found in {file}',
+      'cli.unknownCommand': 'unknown command: {command}',
+      'cli.noCommand': 'no command given',
+      'cli.noInput': 'no names file given',
+      'cli.hashUnavailable': 'hash strategy {strategy} is not available: {error}',
+      'cli.multipleFiles': 'format {format} consists of several files; give a directory with --out',
+      'cli.svgNeedsOut': 'svg needs an output directory (--out)',
+      'cli.contrastFailed': '{failed} of {total} avatars do not reach the required contrast',
+      'cli.audit.title': 'Contrast audit ({algorithm}, required {level})',
+      'cli.audit.summary': '{passed} of {total} avatars pass, {failed} below the required level (light or dark theme)',
+      'cli.audit.light': 'light',
+      'cli.audit.dark': 'dark',
+      'cli.audit.surface': 'Below {minimum}:1 against the surface: {light} (light), {dark} (dark)',
+
+      'server.listening': 'Avatar service on {url}',
+      'server.pngAvailable': 'available',
+      'server.pngRequirement': 'PNG needs @resvg/resvg-js (npm install @resvg/resvg-js); without that package .png answers 501',
+      'server.hashUnavailable': 'hash strategy not available: {error}',
+      'server.badName': 'invalid name in the URL',
+      'server.noName': 'name is missing',
+      'server.formatChoice': 'format must be one of {formats}',
+      'server.multipleFiles': 'format {format} consists of several files; use avatar-cli',
+      'server.unknownRoute': 'unknown route',
+      'server.internal': 'internal error',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = catalogue;
+  } else {
+    root.I18n.register('en', catalogue);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,494 @@
+/* ============================================
+   Nederlands — missing keys fall back to English
+   ============================================ */
+
+(function (root) {
+  const catalogue = {
+    name: 'Nederlands',
+    messages: {
+      'app.title': 'Avatar Playground — Initials & Color Strategy',
+      'app.subtitle': 'Initialen-avatar kleurstrategie explorer',
+      'app.language': 'Taal',
+
+      'common.save': 'Opslaan',
+      'common.remove': 'Verwijder',
+      'common.up': 'Omhoog',
+      'common.down': 'Omlaag',
+      'common.storageFailed': 'Opslaan mislukt: localStorage is niet beschikbaar.',
+
+      'name.title': 'Naam invoer',
+      'name.fullName': 'Volledige naam',
+      'name.identity': 'ID of e-mail (optioneel)',
+      'name.fullNamePlaceholder': 'bijv. John Wayne',
+      'name.identityPlaceholder': 'bijv. jan@example.com',
+
+      'initials.title': 'Initialen',
+      'initials.locale': 'Naamconventie',
+      'initials.count': 'Aantal initialen',
+      'initials.countAuto': 'Volgens naamconventie',
+      'initials.particleRules': 'Eigen partikelregels (gaan voor de naamconventie)',
+      'initials.addRule': 'Regel toevoegen',
+
+      'profile.default': 'Gemengd (standaard)',
+      'profile.en': 'Engels',
+      'profile.nl': 'Nederlands',
+      'profile.de': 'Duits',
+      'profile.fr': 'Frans',
+      'profile.es': 'Spaans',
+      'profile.pt': 'Portugees',
+      'profile.it': 'Italiaans',
+      'profile.ar': 'Arabisch',
+      'profile.particles': 'Partikels: {particles}',
+      'profile.noParticles': 'Geen partikels',
+
+      'particle.placeholder': 'bijv. van',
+      'particle.action': 'Actie',
+      'particle.skip': 'Overslaan',
+      'particle.attach': 'Hoort bij achternaam',
+      'particle.name': 'Gewoon naamdeel',
+
+      'rule.empty': 'Lege naam',
+      'rule.symbol': 'Geen letters: eerste symbool',
+      'rule.cjk': 'CJK: familienaam eerst',
+      'rule.custom': '{word} (eigen regel)',
+      'rule.skipped': 'overgeslagen: {words}',
+      'rule.attached': 'bij achternaam: {words}',
+
+      'color.title': 'Kleurstrategie',
+      'color.space': 'Kleurruimte',
+      'color.spaceOklch': 'OKLCH (perceptueel uniform)',
+      'color.key': 'Kleursleutel',
+      'color.keyName': 'Naam',
+      'color.keyEmail': 'E-mail',
+      'color.keyEmailNormalized': 'E-mail (genormaliseerd)',
+      'color.hash': 'Hash-strategie',
+      'color.fullName': 'Gebruik volledige naam als basis voor kleur',
+      'color.limited': 'Beperkt kleurenpalet (12 kleuren)',
+      'color.distinct': 'Maximaal onderscheidende kleuren binnen de dataset',
+      'color.darkMode': 'Donkere modus (toon de donkere varianten)',
+      'color.settingsTitle': '{space} Instellingen',
+      'color.saturation': 'Saturation',
+      'color.chroma': 'Chroma',
+      'color.lightness': 'Lightness',
+      'color.lightnessL': 'Lightness (L)',
+      'color.whiteText': 'Wit (#FFF)',
+      'color.blackText': 'Zwart (#000)',
+
+      'hash.default': 'standaard',
+
+      'palette.title': 'Merkpalet',
+      'palette.use': 'Gebruik eigen palet in plaats van hues',
+      'palette.add': 'Kleur toevoegen',
+      'palette.importLabel': 'Palet importeren',
+      'palette.import': 'Importeer palet',
+      'palette.importPlaceholder': '#1D3557, #E76F51, … of JSON',
+      'palette.saved': 'Opgeslagen paletten',
+      'palette.namePlaceholder': 'Naam van palet',
+      'palette.savedSelect': 'Opgeslagen palet',
+      'palette.delete': 'Verwijder gekozen palet',
+      'palette.choose': '— kies palet —',
+      'palette.entry': 'Kleur {n}',
+      'palette.textColor': 'Tekstkleur',
+      'palette.textAuto': 'Auto',
+      'palette.textWhite': 'Wit',
+      'palette.textBlack': 'Zwart',
+      'palette.unreadable': 'Kan palet niet lezen: {error}',
+      'palette.noColors': 'Geen geldige hexkleuren gevonden.',
+      'palette.imported': { one: '{count} kleur geïmporteerd.', other: '{count} kleuren geïmporteerd.' },
+      'palette.nameRequired': 'Geef het palet eerst een naam.',
+      'palette.stored': 'Palet "{name}" opgeslagen.',
+      'palette.deleted': 'Palet "{name}" verwijderd.',
+
+      'themes.title': "Thema's",
+      'themes.dark': 'Donker thema',
+      'themes.surfaces': 'Oppervlak (licht / donker)',
+      'themes.surfaceLight': 'Oppervlak licht thema',
+      'themes.surfaceDark': 'Oppervlak donker thema',
+      'themes.surfaceHint': 'Avatars met minder dan 3:1 contrast tegen hun oppervlak vallen weg in de pagina.',
+
+      'typography.title': 'Typografie',
+      'typography.font': 'Lettertype',
+      'typography.systemFont': 'Systeemlettertype',
+      'typography.upload': 'Upload WOFF2/TTF',
+      'typography.localFonts': 'Geïnstalleerde lettertypen',
+      'typography.fontHint': 'Een geüpload lettertype geldt alleen in deze sessie.',
+      'typography.fontSize': 'Lettergrootte (bij 120px)',
+      'typography.letterSpacing': 'Letterspacing',
+      'typography.weight': 'Gewicht',
+      'typography.weight400': 'Regular (400)',
+      'typography.weight500': 'Medium (500)',
+      'typography.weight600': 'Semibold (600)',
+      'typography.weight700': 'Bold (700)',
+      'typography.sizeRules': 'Regels per formaat (px bij dat formaat)',
+      'typography.addSize': 'Formaat toevoegen',
+      'typography.sizeHint': 'De dichtstbijzijnde regel schaalt mee naar andere formaten; zonder regels schaalt alles vanaf 120px.',
+
+      'sizeRule.size': 'Formaat (px)',
+      'sizeRule.fontSize': 'Lettergrootte (px)',
+      'sizeRule.letterSpacing': 'Letterspacing (px)',
+
+      'font.unsupported': 'Deze browser kan geen lettertypen laden; kies een geïnstalleerd lettertype.',
+      'font.uploadedName': 'Geüpload lettertype',
+      'font.loaded': '{family} geladen (alleen in deze sessie).',
+      'font.unreadable': '{file} is geen leesbaar WOFF2-, WOFF-, TTF- of OTF-bestand.',
+      'font.noLocalFonts': 'Deze browser geeft geen lijst van geïnstalleerde lettertypen; typ de naam van de familie.',
+      'font.localFonts': {
+        one: '{count} geïnstalleerde familie in de keuzelijst.',
+        other: '{count} geïnstalleerde families in de keuzelijst.',
+      },
+      'font.localFontsDenied': 'Geen toegang tot de geïnstalleerde lettertypen.',
+
+      'fit.fits': 'Past in de cirkel',
+      'fit.overflow': 'Loopt over',
+      'fit.offCentre': 'Uit het midden',
+      'fit.overflowAt': 'Loopt over bij {sizes}px',
+      'fit.offCentreAt': 'Uit het midden bij {sizes}px',
+      'fit.status': '{count} van {total} namen: initialen lopen over of staan uit het midden.',
+
+      'style.title': 'Stijl',
+      'style.variant': 'Variant',
+      'style.filled': 'Gevuld',
+      'style.soft': 'Zacht (pastel met gekleurde tekst)',
+      'style.outline': 'Ring',
+      'style.textColor': 'Tekstkleur',
+      'style.blackWhite': 'Zwart of wit',
+      'style.tinted': 'Tint van de avatarkleur',
+      'style.custom': 'Eigen kleurpaar',
+      'style.darkLight': 'donker / licht',
+      'style.textDark': 'Donkere tekstkleur',
+      'style.textLight': 'Lichte tekstkleur',
+      'style.hint': 'Tint en eigen paar worden donkerder of lichter gezocht tot het contrastniveau gehaald is.',
+
+      'contrast.title': 'Accessibility',
+      'contrast.algorithm': 'Contrastalgoritme',
+      'contrast.apca': 'APCA (WCAG 3 concept, Lc)',
+      'contrast.level': 'Minimaal contrastniveau',
+      'contrast.levelAa': 'AA (4.5:1)',
+      'contrast.levelAaa': 'AAA (7:1)',
+      'contrast.levelLc60': 'Lc 60 (grote tekst)',
+      'contrast.levelLc75': 'Lc 75 (lopende tekst)',
+      'contrast.levelLc90': 'Lc 90 (voorkeur)',
+      'contrast.levelTitle.wcag2': 'WCAG niveau',
+      'contrast.levelTitle.apca': 'APCA niveau',
+      'contrast.force.wcag2': 'Forceer AAA-compliance (pas kleur aan)',
+      'contrast.force.apca': 'Forceer Lc 75 (pas kleur aan)',
+
+      'level.aaa': 'AAA Pass',
+      'level.aa': 'AA Pass',
+      'level.aa-not-aaa': 'AA Pass (AAA Fail)',
+      'level.below-aa': 'Onvoldoende (AA Fail)',
+      'level.fail': 'Onvoldoende',
+      'level.apca-preferred': 'Lc 90 Pass',
+      'level.apca-pass': 'Lc {target} Pass',
+      'level.apca-below': 'Onvoldoende (Lc {target} Fail)',
+
+      'adjustment.met': '{target} gehaald',
+      'adjustment.missed': '{target} niet haalbaar',
+
+      'cvd.label': 'Simuleer kleurenblindheid',
+      'cvd.none': 'Geen (normaal zicht)',
+      'cvd.option.protanopia': 'Protanopie (rood-blind)',
+      'cvd.option.deuteranopia': 'Deuteranopie (groen-blind)',
+      'cvd.option.tritanopia': 'Tritanopie (blauw-blind)',
+      'cvd.option.achromatopsia': 'Achromatopsie (geen kleur)',
+      'cvd.protanopia': 'Protanopie',
+      'cvd.deuteranopia': 'Deuteranopie',
+      'cvd.tritanopia': 'Tritanopie',
+      'cvd.achromatopsia': 'Achromatopsie',
+
+      'dataset.title': 'Dataset simulatie',
+      'dataset.generate': 'Genereer 50 namen',
+      'dataset.clear': 'Wis dataset',
+
+      'import.title': 'Dataset importeren',
+      'import.drop': 'Sleep een CSV-, JSON- of tekstbestand hierheen',
+      'import.chooseFile': 'Kies bestand',
+      'import.paste': 'Of plak namen',
+      'import.placeholder': 'Eén naam per regel, CSV of JSON',
+      'import.parse': 'Lees geplakte tekst',
+      'import.field.firstName': 'Voornaam',
+      'import.field.lastName': 'Achternaam',
+      'import.field.displayName': 'Weergavenaam',
+      'import.field.email': 'E-mail',
+      'import.headerRow': 'Eerste rij bevat kolomnamen',
+      'import.apply': 'Importeer in dataset',
+      'import.none': '— geen —',
+      'import.column': 'kolom {n}',
+      'import.unreadable': 'Kan bestand niet lezen: {error}',
+      'import.noRows': 'Geen rijen gevonden.',
+      'import.found': {
+        one: '{count} rij gevonden ({format}). Controleer de kolommen en importeer.',
+        other: '{count} rijen gevonden ({format}). Controleer de kolommen en importeer.',
+      },
+      'import.imported': { one: '{count} naam geïmporteerd', other: '{count} namen geïmporteerd' },
+      'import.duplicates': { one: '{count} duplicaat', other: '{count} duplicaten' },
+      'import.skipped': { one: '{count} overgeslagen', other: '{count} overgeslagen' },
+      'import.skippedItems': { one: '{count} item zonder naam is overgeslagen.', other: '{count} items zonder naam zijn overgeslagen.' },
+
+      'presets.title': 'Configuratie delen',
+      'presets.copyLink': 'Kopieer link naar deze instellingen',
+      'presets.label': 'Presets',
+      'presets.namePlaceholder': 'Naam van preset',
+      'presets.savedSelect': 'Opgeslagen preset',
+      'presets.delete': 'Verwijder gekozen preset',
+      'presets.export': 'Exporteer preset-bestand',
+      'presets.import': 'Importeer preset-bestand',
+      'presets.choose': '— kies preset —',
+      'presets.newerVersion': 'Deze configuratie komt uit een nieuwere versie; onbekende instellingen zijn genegeerd.',
+      'presets.invalidLink': 'Link bevat geen geldige configuratie: {error}',
+      'presets.unreadable': 'Kan preset niet lezen: {error}',
+      'presets.loaded': 'Preset "{name}" geladen.',
+      'presets.linkCopied': 'Link gekopieerd.',
+      'presets.linkCopiedNoDataset': 'Link gekopieerd zonder de dataset, die te groot is voor een link; exporteer een preset-bestand om die te delen.',
+      'presets.copyFailed': 'Kopiëren niet toegestaan; kopieer de link uit de adresbalk.',
+      'presets.nameRequired': 'Geef de preset eerst een naam.',
+      'presets.stored': 'Preset "{name}" opgeslagen.',
+      'presets.deleted': 'Preset "{name}" verwijderd.',
+
+      'export.title': 'Exporteren',
+      'export.tokenFormat': 'Tokenformaat',
+      'export.android': 'Android colors.xml, licht + nacht (ZIP)',
+      'export.tokens': 'Exporteer als design tokens',
+      'export.imageFormat': 'Afbeeldingsformaat',
+      'export.imageSize': 'Afmeting',
+      'export.image': 'Download preview-avatar',
+      'export.zip': 'Exporteer dataset als ZIP',
+      'export.noNames': 'Geen namen beschikbaar om te exporteren. Voer een naam in of genereer een dataset.',
+      'export.noName': 'Voer eerst een naam in om een avatar te exporteren.',
+      'export.noDataset': 'Geen dataset om te exporteren. Genereer of importeer eerst namen.',
+      'export.progress': 'Bezig… {current}/{total}',
+      'export.pngFailed': 'PNG kon niet worden gemaakt.',
+      'export.svgFailed': 'SVG kon niet worden geladen.',
+
+      'service.title': 'Avatar-service',
+      'service.base': 'Adres van avatar-server.js',
+      'service.url': 'URL voor deze preview',
+      'service.copy': 'Kopieer URL',
+      'service.copied': 'URL gekopieerd.',
+      'service.copyFailed': 'Kopiëren niet toegestaan; selecteer de URL en kopieer die zelf.',
+      'service.distinctNote': 'Let op: onderscheidende toewijzing geldt alleen binnen de dataset; de service gebruikt de gehashte kleur.',
+
+      'preview.title': 'Avatar Preview',
+      'meta.initials': 'Initialen',
+      'meta.rule': 'Regel',
+      'meta.background': 'Achtergrond',
+      'meta.textColor': 'Tekstkleur',
+      'meta.contrast': 'Contrast ratio',
+      'meta.surface': 'Oppervlakcontrast',
+      'meta.adjustment': 'Contrastdoel',
+      'meta.fit': 'Passing',
+      'meta.ring': 'ring {color}',
+      'meta.surfaceContrast': '{ratio}:1 t.o.v. {surface}',
+
+      'tooltip.key': 'Sleutel',
+      'tooltip.rule': 'Regel',
+      'tooltip.contrast': 'Contrast',
+      'tooltip.target': 'Contrastdoel',
+      'tooltip.pair': 'Licht / donker',
+      'tooltip.surface': 'Oppervlak',
+      'tooltip.fit': 'Passing',
+
+      'grid.title': 'Grid Preview',
+      'grid.computing': 'berekenen…',
+      'list.title': 'List Preview',
+
+      'distribution.title': 'Kleurdistributie',
+      'distribution.reportJson': 'Rapport als JSON',
+      'distribution.reportCsv': 'Rapport als CSV',
+      'wheel.names': { one: '{count} naam', other: '{count} namen' },
+      'wheel.spread': 'hue spread',
+
+      'warning.hueCollisions': {
+        one: '{count} kleurpaar ligt binnen {threshold} graden van elkaar — mogelijk moeilijk te onderscheiden.',
+        other: '{count} kleurparen liggen binnen {threshold} graden van elkaar — mogelijk moeilijk te onderscheiden.',
+      },
+      'warning.minGap': 'Minimale hue-afstand is slechts {gap}°. Overweeg een beperkt kleurenpalet of andere hash-strategie.',
+      'warning.cvd': {
+        one: '{type}: {count} kleurpaar valt samen — bijv. {examples}.',
+        other: '{type}: {count} kleurparen vallen samen — bijv. {examples}.',
+      },
+      'warning.adjustments': {
+        one: '{count} avatar haalt het contrastdoel {target} niet, ook niet na aanpassing — bijv. {examples}.',
+        other: '{count} avatars halen het contrastdoel {target} niet, ook niet na aanpassing — bijv. {examples}.',
+      },
+      'warning.surfaces': 'Avatars met minder dan {ratio}:1 contrast tegen hun oppervlak: {themes}.',
+      'warning.surfaceLight': 'licht thema {count} op {surface}',
+      'warning.surfaceDark': 'donker thema {count} op {surface}',
+      'warning.paletteSimilar': 'Paletkleuren lijken sterk op elkaar: {colors}.',
+      'warning.paletteContrast': {
+        one: '{count} paletkleur haalt het contrastniveau niet: {colors}.',
+        other: '{count} paletkleuren halen het contrastniveau niet: {colors}.',
+      },
+      'warning.hashUnavailable': 'Hash-strategie niet beschikbaar: {error}',
+      'info.assignment': 'Onderscheidende toewijzing: min ΔE2000 {minDeltaE} (hash: {baseline}) · {count} van {total} namen verschoven',
+      'info.spread': 'Hue spread: min {min}° | ideaal {ideal}° per naam | {palette}',
+      'info.customPalette': { one: 'eigen palet ({count} kleur)', other: 'eigen palet ({count} kleuren)' },
+      'info.limitedPalette': '12-kleurenpalet',
+      'info.fullSpectrum': 'volledig spectrum',
+
+      'report.uniformity': 'χ² uniformiteit',
+      'report.pValue': 'p-waarde',
+      'report.unreliable': '{value} (te weinig namen)',
+      'report.huePairs': 'Paren < {threshold}°',
+      'report.identical': 'Identieke kleuren',
+      'report.expected': '{observed} / verwacht {expected}',
+      'report.deltaEMedian': 'ΔE2000 p25 / mediaan',
+      'report.contrast': 'Contrast gehaald',
+      'report.sampled': '* ΔE2000 over een steekproef van {pairs} van {total} paren',
+
+      'hashCompare.title': 'Hash-strategieën vergelijken',
+      'hashCompare.toggle': 'Toon de dataset onder elke hash-strategie',
+      'hashCompare.stats': {
+        one: 'min {gap}° · {count} botsing < {threshold}°',
+        other: 'min {gap}° · {count} botsingen < {threshold}°',
+      },
+      'hashCompare.sample': 'steekproef van {count}',
+
+      'ab.title': 'A/B-vergelijking',
+      'ab.hint': 'Leg twee momentopnamen van de instellingen vast; de dataset wordt onder beide getoond.',
+      'ab.capture': 'Neem huidige instellingen',
+      'ab.load': 'Laad in het paneel',
+      'ab.clear': 'Wis A en B',
+      'ab.empty': 'Nog niet vastgelegd',
+      'ab.same': 'Zelfde instellingen als de andere kant',
+      'ab.needBoth': 'Leg A en B allebei vast om ze te vergelijken.',
+      'ab.needDataset': 'Genereer of importeer namen om A en B te vergelijken.',
+      'ab.minGap': 'Min. hue-afstand',
+      'ab.colorChanges': {
+        one: '{count} van {total} namen krijgt een andere kleur',
+        other: '{count} van {total} namen krijgen een andere kleur',
+      },
+      'ab.levelChanges': { one: '{count} wisselt van contrastniveau', other: '{count} wisselen van contrastniveau' },
+      'ab.diffTitle': 'Namen die veranderen',
+
+      'migration.title': 'Kleurmigratie',
+      'migration.hint': 'Laad een eerder geëxporteerde avatar-design-tokens.json als uitgangspunt; die gebruikers worden met de huidige instellingen vergeleken.',
+      'migration.load': 'Laad token-bestand',
+      'migration.clear': 'Wis uitgangspunt',
+      'migration.empty': 'Geen uitgangspunt geladen.',
+      'migration.unreadable': 'Token-bestand niet leesbaar: {error}',
+      'migration.loaded': {
+        one: '"{name}" geladen: {count} gebruiker.',
+        other: '"{name}" geladen: {count} gebruikers.',
+      },
+      'migration.changes': {
+        one: '{count} van {total} gebruikers krijgt een andere kleur',
+        other: '{count} van {total} gebruikers krijgen een andere kleur',
+      },
+      'migration.belowTarget': '{count} onder het contrastdoel ({newly} nieuw)',
+      'migration.sameSettings': 'Zelfde instellingen als het uitgangspunt',
+      'migration.theme': 'Thema',
+      'migration.themeLight': 'Licht',
+      'migration.themeDark': 'Donker',
+      'migration.deltaEMean': 'ΔE2000 gemiddeld / mediaan',
+      'migration.deltaEMax': 'ΔE2000 p90 / max',
+      'migration.threshold': 'Vastzetten vanaf ΔE',
+      'migration.pinned': { one: '{count} gebruiker vastgezet', other: '{count} gebruikers vastgezet' },
+      'migration.pin': 'Vastzetten',
+      'migration.below': 'Onder doel',
+      'migration.meets': 'Haalt doel',
+      'migration.mappingJson': 'Mapping als JSON',
+      'migration.mappingCsv': 'Mapping als CSV',
+      'migration.pins': 'Vastgezette kleuren',
+      'migration.noPins': 'Er zijn geen gebruikers vastgezet.',
+
+      'error.import-json-shape': 'JSON moet een lijst van namen of objecten bevatten.',
+      'error.preset-invalid': 'geen geldige preset (settings ontbreekt)',
+      'error.baseline-invalid': 'geen avatar-design-tokens.json (avatar-color-strategy ontbreekt)',
+      'error.baseline-empty': 'het bestand bevat geen kleuren per naam',
+      'error.token-format': 'Onbekend tokenformaat: {format}',
+      'error.hash-not-prepared': 'De SHA-256-waarden zijn nog niet berekend',
+      'error.no-subtle-crypto': 'SubtleCrypto is hier niet beschikbaar (dat vraagt https of localhost)',
+      'error.zip-too-large': 'ZIP-archieven boven 4 GB worden niet ondersteund; exporteer minder avatars of een kleiner formaat.',
+      'error.url-number': '{param} moet een getal tussen {min} en {max} zijn',
+      'error.url-choice': '{param} moet een van {choices} zijn',
+      'error.url-palette': 'palette moet full, limited of een lijst hex-kleuren zijn',
+      'error.url-basis': 'basis moet initials, full-name of {keys} zijn',
+      'error.url-rules': 'rules verwacht partikel:actie ({actions})',
+      'error.url-text-colors': 'tc moet twee hex-kleuren zijn: donker,licht',
+      'error.url-hex': '{param} moet een hex-kleur zijn',
+      'error.url-theme': 'theme moet light of dark zijn',
+      'error.url-size': 'size moet een geheel getal tussen 16 en 1024 zijn',
+
+      'cli.usage': `Gebruik: avatar-cli <tokens|svg|audit> <namenbestand> [opties]
+
+Het namenbestand mag CSV, JSON of platte tekst zijn, net als de
+import in de playground.
+
+Opties:
+  --preset <bestand>            playground-preset als basis; opties hieronder gaan voor
+  --saturation <0-100>          verzadiging (standaard 65)
+  --lightness <0-100>           lichtheid (standaard 45)
+  --palette <full|limited|bestand>
+                                volledig spectrum, 12 kleuren, of een eigen palet
+  --basis <initials|full-name|id|email|email-normalized>
+                                waarop de kleur gebaseerd is
+  --hash <strategie>            {hashes}
+  --color-space <hsl|oklch|lch>
+  --locale <profiel>            {profiles}
+  --contrast-algorithm <wcag2|apca>
+  --level <n>                   vereist contrast: ratio 1–21 (wcag2) of Lc 1–108 (apca)
+  --force-contrast              pas kleuren aan tot AAA / Lc 75
+  --variant <filled|soft|outline>
+                                gevuld, pastel met gekleurde tekst, of een ring
+  --text <black-white|tinted|custom>
+                                tekstkleur: zwart/wit, tint van de eigen kleur of een eigen paar
+  --text-colors <donker,licht>  het paar voor --text custom, bijv. 1e293b,f8fafc
+  --surface <hex>               oppervlak van het lichte thema (standaard ffffff)
+  --dark-saturation <0-100>     verzadiging in het donkere thema (standaard {darkSaturation})
+  --dark-lightness <0-100>      lichtheid in het donkere thema (standaard {darkLightness})
+  --dark-surface <hex>          oppervlak van het donkere thema (standaard {darkSurface})
+  --distinct                    onderscheidende toewijzing over de hele lijst
+  --format <formaat>            tokens: {formats} (standaard json)
+  --size <px>                   svg: afmeting (standaard 128)
+  --out <pad>                   uitvoermap (tokens, svg) of -bestand (audit)
+  --json                        audit als JSON in plaats van tekst
+  --lang <code>                 taal van meldingen en rapporten: {languages}
+                                (standaard volgens LANG)
+
+Exitcodes: 0 in orde, 1 als een avatar het vereiste contrast niet haalt,
+2 bij een ongeldige aanroep of onleesbare invoer, 3 als de uitvoer niet
+geschreven kan worden of bij een andere fout.`,
+      'cli.seeHelp': 'Zie avatar-cli --help',
+      'cli.flagValue': '--{flag} verwacht een waarde',
+      'cli.flagNumber': '--{flag} moet een getal tussen {min} en {max} zijn',
+      'cli.flagHex': '--{flag} moet een hex-kleur zijn',
+      'cli.flagChoice': '--{flag} moet een van {choices} zijn',
+      'cli.textColors': '--text-colors verwacht twee hex-kleuren: donker,licht',
+      'cli.invalidPreset': '{file} is geen geldige preset: {error}',
+      'cli.noColors': 'geen kleuren gevonden in {file}',
+      'cli.unreadable': 'kan {file} niet lezen: {error}',
+      'cli.unwritable': 'kan {file} niet schrijven: {error}',
+      'cli.noNames': 'geen namen gevonden in {file}',
+      'cli.unknownCommand': 'onbekend commando: {command}',
+      'cli.noCommand': 'geen commando opgegeven',
+      'cli.noInput': 'geen namenbestand opgegeven',
+      'cli.hashUnavailable': 'hash-strategie {strategy} niet beschikbaar: {error}',
+      'cli.multipleFiles': 'formaat {format} bestaat uit meerdere bestanden; geef een map op met --out',
+      'cli.svgNeedsOut': 'svg heeft een uitvoermap nodig (--out)',
+      'cli.contrastFailed': '{failed} van {total} avatars halen het vereiste contrast niet',
+      'cli.audit.title': 'Contrast-audit ({algorithm}, vereist {level})',
+      'cli.audit.summary': '{passed} van {total} avatars in orde, {failed} onder het vereiste niveau (licht of donker thema)',
+      'cli.audit.light': 'licht',
+      'cli.audit.dark': 'donker',
+      'cli.audit.surface': 'Onder {minimum}:1 tegen het oppervlak: {light} (licht), {dark} (donker)',
+
+      'server.listening': 'Avatar-service op {url}',
+      'server.pngAvailable': 'beschikbaar',
+      'server.pngRequirement': 'PNG vereist @resvg/resvg-js (npm install @resvg/resvg-js); zonder dat pakket antwoordt .png met 501',
+      'server.hashUnavailable': 'hash-strategie niet beschikbaar: {error}',
+      'server.badName': 'ongeldige naam in de URL',
+      'server.noName': 'naam ontbreekt',
+      'server.formatChoice': 'format moet een van {formats} zijn',
+      'server.multipleFiles': 'format {format} bestaat uit meerdere bestanden; gebruik avatar-cli',
+      'server.unknownRoute': 'onbekende route',
+      'server.internal': 'interne fout',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = catalogue;
+  } else {
+    root.I18n.register('nl', catalogue);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
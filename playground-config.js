@@ -0,0 +1,88 @@
+/* ============================================
+   Playground Config — shareable presets
+   Versioned snapshots of the playground state,
+   encoded into the URL hash or a preset file.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PlaygroundConfig = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Bump when a setting is renamed or changes meaning, and add a migration
+  // below. Settings that are only added need no bump: older presets simply
+  // lack them and the playground falls back to its defaults.
+  const PRESET_VERSION = 1;
+  const HASH_KEY = 'config';
+
+  // MIGRATIONS[n] upgrades the settings of a version n + 1 preset to n + 2
+  const MIGRATIONS = [];
+
+  // ── Presets ───────────────────────────────────────
+  function createPreset(settings, name) {
+    const preset = { version: PRESET_VERSION, settings: JSON.parse(JSON.stringify(settings)) };
+    if (name) preset.name = name;
+    return preset;
+  }
+
+  // Accepts a preset object or its JSON text. Returns the preset upgraded to
+  // the current version; presets from a newer version are loaded as-is and
+  // flagged so the caller can warn that some settings may be ignored.
+  function parsePreset(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || typeof data !== 'object' || !data.settings || typeof data.settings !== 'object') {
+      throw Object.assign(new Error('geen geldige preset (settings ontbreekt)'), { code: 'preset-invalid' });
+    }
+    const version = Number(data.version) || 1;
+    let settings = data.settings;
+    for (let v = version; v < PRESET_VERSION; v++) {
+      if (MIGRATIONS[v - 1]) settings = MIGRATIONS[v - 1](settings);
+    }
+    return {
+      version: Math.max(version, PRESET_VERSION),
+      name: typeof data.name === 'string' ? data.name : '',
+      settings,
+      fromNewerVersion: version > PRESET_VERSION,
+    };
+  }
+
+  // ── URL hash ──────────────────────────────────────
+  // base64url of the UTF-8 JSON, so names with accents survive the round trip
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new TextDecoder().decode(bytes);
+  }
+
+  function encodeHash(preset) {
+    return `#${HASH_KEY}=${toBase64Url(JSON.stringify(preset))}`;
+  }
+
+  // Returns the parsed preset, or null when the hash carries no config
+  function decodeHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+    return parsePreset(fromBase64Url(encoded));
+  }
+
+  return {
+    PRESET_VERSION,
+    createPreset,
+    parsePreset,
+    encodeHash,
+    decodeHash,
+  };
+});
@@ -0,0 +1,104 @@
+/* ============================================
+   Virtual List — windowed rendering
+   Renders only the rows of a long grid or list
+   that are visible in its scroll container, so
+   tens of thousands of items stay responsive.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VirtualList = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    rowHeight: 48, // px, every row the same height
+    columnWidth: 0, // px including the gap; 0 = one item per row
+    gap: 0, // px between columns
+    overscan: 4, // extra rows above and below the viewport
+    fallbackHeight: 560, // viewport height before layout has run
+    renderItem: null, // (index) → Element
+  };
+
+  // container: the scrolling element. Items go into a window element
+  // that is moved to the first visible row inside a full-height spacer.
+  function createVirtualList(container, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-spacer';
+    spacer.style.position = 'relative';
+    const windowEl = document.createElement('div');
+    windowEl.className = 'virtual-window';
+    windowEl.style.position = 'absolute';
+    windowEl.style.left = '0';
+    windowEl.style.right = '0';
+    spacer.appendChild(windowEl);
+    container.innerHTML = '';
+    container.appendChild(spacer);
+
+    let count = 0;
+    let rendered = null; // { first, last, columns } of the current window
+    let frame = 0;
+
+    function columns() {
+      if (!opts.columnWidth) return 1;
+      const width = container.clientWidth;
+      if (!width) return 1;
+      return Math.max(1, Math.floor((width + opts.gap) / opts.columnWidth));
+    }
+
+    function draw(force) {
+      const cols = columns();
+      const rows = Math.ceil(count / cols);
+      const viewport = container.clientHeight || opts.fallbackHeight;
+      const first = Math.max(0, Math.floor(container.scrollTop / opts.rowHeight) - opts.overscan);
+      const last = Math.min(rows, Math.ceil((container.scrollTop + viewport) / opts.rowHeight) + opts.overscan);
+
+      spacer.style.height = `${rows * opts.rowHeight}px`;
+      if (!force && rendered && rendered.first === first && rendered.last === last && rendered.columns === cols) return;
+      rendered = { first, last, columns: cols };
+
+      windowEl.style.top = `${first * opts.rowHeight}px`;
+      if (opts.columnWidth) windowEl.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+      const fragment = document.createDocumentFragment();
+      for (let i = first * cols; i < Math.min(count, last * cols); i++) {
+        fragment.appendChild(opts.renderItem(i));
+      }
+      windowEl.innerHTML = '';
+      windowEl.appendChild(fragment);
+    }
+
+    function onScroll() {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        draw(false);
+      });
+    }
+
+    container.addEventListener('scroll', onScroll);
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => draw(false)).observe(container);
+    }
+
+    return {
+      // New item count (or new content for the same count): redraws the window
+      update(newCount) {
+        count = newCount;
+        draw(true);
+      },
+      scrollToIndex(index) {
+        container.scrollTop = Math.floor(index / columns()) * opts.rowHeight;
+        draw(false);
+      },
+    };
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    createVirtualList,
+  };
+});
@@ -0,0 +1,153 @@
+/* ============================================
+   ZIP Writer — minimal, uncompressed (STORE)
+   Enough to bundle batch avatar exports without
+   pulling in a compression library.
+   ============================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ZipWriter = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // ── CRC-32 ────────────────────────────────────────
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // ── Helpers ───────────────────────────────────────
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new TextEncoder().encode(String(data));
+  }
+
+  // Values here stay below 2^53; the high word is whatever is above 2^32
+  function setUint64(view, pos, value) {
+    view.setUint32(pos, value % 0x100000000, true);
+    view.setUint32(pos + 4, Math.floor(value / 0x100000000), true);
+  }
+
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  // ── Archive ───────────────────────────────────────
+  // From 65,535 entries (0xffff marks ZIP64) the count moves to ZIP64 end
+  // records. Offsets and sizes are not widened: an archive past 4 GB is
+  // refused instead, as it would not fit in one array anyway.
+  const MAX_ENTRIES = 0xffff;
+  const MAX_SIZE = 0xffffffff;
+
+  // ZIP64 end of central directory record and its locator
+  function zip64End(count, centralSize, centralOffset) {
+    const view = new DataView(new ArrayBuffer(56 + 20));
+    view.setUint32(0, 0x06064b50, true);
+    setUint64(view, 4, 44); // size of the rest of the record
+    view.setUint16(12, 45, true); // version made by
+    view.setUint16(14, 45, true); // version needed
+    setUint64(view, 24, count);
+    setUint64(view, 32, count);
+    setUint64(view, 40, centralSize);
+    setUint64(view, 48, centralOffset);
+    view.setUint32(56, 0x07064b50, true);
+    setUint64(view, 64, centralOffset + centralSize);
+    view.setUint32(72, 1, true); // total disks
+    return new Uint8Array(view.buffer);
+  }
+
+  // entries: [{ name, data }] where data is a string, Uint8Array or
+  // ArrayBuffer. Returns the archive as a Uint8Array.
+  function createZip(entries, date) {
+    const { time, day } = dosDateTime(date || new Date());
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach((entry) => {
+      const name = encoder.encode(entry.name);
+      const data = toBytes(entry.data);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // STORE
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      locals.push(new Uint8Array(local.buffer), name, data);
+      centrals.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    if (offset + centralSize > MAX_SIZE) {
+      throw Object.assign(new Error('ZIP-archieven boven 4 GB worden niet ondersteund'), { code: 'zip-too-large' });
+    }
+    const zip64 = entries.length >= MAX_ENTRIES ? [zip64End(entries.length, centralSize, offset)] : [];
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Math.min(entries.length, MAX_ENTRIES), true);
+    end.setUint16(10, Math.min(entries.length, MAX_ENTRIES), true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = locals.concat(centrals, zip64, [new Uint8Array(end.buffer)]);
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(size);
+    let pos = 0;
+    parts.forEach((part) => {
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  }
+
+  return {
+    crc32,
+    createZip,
+  };
+});